@@ -0,0 +1,182 @@
+// scripts/mockServer.js
+// Local stub of the Coresky sign endpoint for tests and manual runs.
+// Usage: npm run mock -- [port] [scenario]
+//        CORESKY_API_BASE_URL=http://127.0.0.1:4010 npm start
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+const SIGN_IN_PATH = '/api/taskwall/meme/sign';
+
+/**
+ * Supported scenarios and how the stub answers each one.
+ * - reward:       code 200 with debug.task.rewardPoint (a fresh check-in)
+ * - duplicate:    code 200 without rewardPoint (already checked in today)
+ * - api-error:    code 500 in the body with HTTP 200
+ * - auth-error:   code 401 in the body with HTTP 200
+ * - http-500:     HTTP 500
+ * - rate-limited: HTTP 429 with a Retry-After header
+ * - unauthorized: HTTP 401
+ * - malformed:    HTTP 200 with a body that isn't JSON
+ * - no-code:      HTTP 200 with JSON missing the `code` field
+ * - drift:        code 200 with the reward moved out of debug.task (a changed API)
+ * - slow:         reward, but only after `slowDelayMs`
+ * - trickle:      reward, sent a byte at a time over `slowDelayMs` (never idle long enough for a socket timeout)
+ * - reset:        the connection is destroyed without a response
+ */
+const SCENARIOS = ['reward', 'duplicate', 'api-error', 'auth-error', 'http-500', 'rate-limited', 'unauthorized', 'malformed', 'no-code', 'drift', 'slow', 'trickle', 'reset'];
+
+/**
+ * Writes a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ * @param {object} [headers]
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Starts the mock server.
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=0] Port to listen on (0 picks a free port).
+ * @param {string | string[] | ((token: string) => string)} [options.scenario='reward']
+ *   A scenario name, a list consumed one per request (the last one repeats),
+ *   or a function choosing a scenario from the request's Token header.
+ * @param {number} [options.rewardPoint=10] Points returned by the reward scenario.
+ * @param {number} [options.slowDelayMs=2000] Response delay of the slow scenario.
+ * @param {number} [options.retryAfterSeconds=1] Retry-After sent by the rate-limited scenario.
+ * @returns {Promise<{url: string, requests: object[], setScenario: Function, close: () => Promise<void>}>}
+ */
+async function startMockServer({ port = 0, scenario = 'reward', rewardPoint = 10, slowDelayMs = 2000, retryAfterSeconds = 1 } = {}) {
+  let currentScenario = scenario;
+  const requests = []; // Every request received, for assertions
+  const sockets = new Set();
+
+  /**
+   * Picks the scenario for the next request.
+   * @param {string} token
+   * @returns {string}
+   */
+  function nextScenario(token) {
+    if (typeof currentScenario === 'function') return currentScenario(token);
+    if (Array.isArray(currentScenario)) {
+      return currentScenario.length > 1 ? currentScenario.shift() : currentScenario[0];
+    }
+    return currentScenario;
+  }
+
+  const server = http.createServer((req, res) => {
+    let rawBody = '';
+    req.on('data', chunk => { rawBody += chunk; });
+    req.on('end', () => {
+      const token = req.headers.token || '';
+      const name = nextScenario(token);
+      requests.push({ method: req.method, url: req.url, token, body: rawBody, scenario: name });
+
+      if (req.method !== 'POST' || req.url !== SIGN_IN_PATH) {
+        sendJson(res, 404, { code: 404, message: 'Not found' });
+        return;
+      }
+
+      switch (name) {
+        case 'reward':
+          sendJson(res, 200, { code: 200, message: 'success', debug: { task: { rewardPoint } } });
+          break;
+        case 'duplicate':
+          sendJson(res, 200, { code: 200, message: 'success', debug: { task: {} } });
+          break;
+        case 'api-error':
+          sendJson(res, 200, { code: 500, message: 'Internal task error' });
+          break;
+        case 'auth-error':
+          sendJson(res, 200, { code: 401, message: 'Token invalid' });
+          break;
+        case 'http-500':
+          sendJson(res, 500, { message: 'Internal Server Error' });
+          break;
+        case 'rate-limited':
+          sendJson(res, 429, { message: 'Too Many Requests' }, { 'Retry-After': String(retryAfterSeconds) });
+          break;
+        case 'unauthorized':
+          sendJson(res, 401, { message: 'Unauthorized' });
+          break;
+        case 'malformed':
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end('<html>maintenance</html>');
+          break;
+        case 'no-code':
+          sendJson(res, 200, { status: 'ok', data: null });
+          break;
+        case 'drift':
+          sendJson(res, 200, { code: 200, message: 'success', data: { task: { rewardPoint } } });
+          break;
+        case 'slow':
+          setTimeout(() => {
+            if (!res.writableEnded) sendJson(res, 200, { code: 200, message: 'success', debug: { task: { rewardPoint } } });
+          }, slowDelayMs);
+          break;
+        case 'trickle': {
+          const body = JSON.stringify({ code: 200, message: 'success', debug: { task: { rewardPoint } } });
+          const interval = Math.max(1, Math.floor(slowDelayMs / body.length));
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          let sent = 0;
+          const timer = setInterval(() => {
+            if (res.destroyed) return clearInterval(timer);
+            res.write(body[sent++]);
+            if (sent === body.length) {
+              clearInterval(timer);
+              res.end();
+            }
+          }, interval);
+          break;
+        }
+        case 'reset':
+          req.socket.destroy();
+          break;
+        default:
+          sendJson(res, 500, { message: `Unknown mock scenario "${name}"` });
+      }
+    });
+  });
+
+  // Track sockets so close() doesn't wait on keep-alive or slow connections
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    setScenario: (next) => { currentScenario = next; },
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(() => resolve());
+    }),
+  };
+}
+
+// Run standalone when executed directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.argv[2] || 4010);
+  const scenario = process.argv[3] || 'reward';
+  if (!SCENARIOS.includes(scenario)) {
+    console.error(`Unknown scenario "${scenario}". Available: ${SCENARIOS.join(', ')}`);
+    process.exit(1);
+  }
+  startMockServer({ port, scenario }).then(({ url }) => {
+    console.log(`Mock Coresky API listening on ${url} (scenario: ${scenario})`);
+    console.log(`Run the bot against it with: CORESKY_API_BASE_URL=${url} npm start`);
+  });
+}
+
+export { startMockServer, SCENARIOS };
@@ -2,22 +2,49 @@
 // Contains the core logic for the check-in bot, including scheduling and execution.
 
 import emitter from './events.js';
-import { loadApiKeys, maskToken } from './utils/tokenLoader.js';
-import { isTokenExpiredOrInvalid } from './utils/auth.js';
-import { performSign } from './services/apiClient.js';
+import { loadAccounts, selectActiveAccounts, diffAccounts, formatAccountName, maskToken } from './utils/tokenLoader.js';
+import { startWalletWatcher, stopWalletWatcher } from './utils/walletWatcher.js';
+import { isTokenExpiredOrInvalid, getTokenInfo, formatDuration, buildExpiryReport } from './utils/auth.js';
+import { performTask, getLastResponse } from './services/apiClient.js';
+import { resolveTasks } from './tasks/registry.js';
+import { ERROR_CLASSES, isTransientErrorClass } from './services/errors.js';
+import { loadHistory, recordCheckin, getLastCheckin, getRecentCheckins, hasCheckedInToday, getLedger } from './utils/historyStore.js';
+import { getNextRunTime, loadSchedulerState, saveSchedulerState } from './utils/schedule.js';
+import { writeCycleReport } from './utils/reportWriter.js';
+import { buildLedgerSummary, computeStreaks } from './utils/ledger.js';
+import { getConfig } from './config.js';
+import { runPool } from './utils/workerPool.js';
+import { describeSimulation } from './services/simulatedClient.js';
 
 // --- Constants ---
-const CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-const DELAY_BETWEEN_ACCOUNTS_MS = 3000; // 3 seconds delay between checking each account
+// The schedule (daily time or cron, plus timezone) and the delay between accounts come from config
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1; // setTimeout's upper limit (~24.8 days)
+const BUSY_RECHECK_MS = 1000; // A scheduled run that comes due during a single-account run waits this long
+const DETAIL_HISTORY_LIMIT = 10; // History records shown in the account detail view
+
+// Result recorded for accounts whose token is expired (no request is made)
+const EXPIRED_RESULT = Object.freeze({ success: false, message: 'Token Expired/Invalid', reward: 0, isDuplicate: false, errorClass: ERROR_CLASSES.AUTH });
 
 // --- State ---
-let checkIntervalId = null; // To store the interval timer
+let checkIntervalId = null; // To store the scheduler timer
 let nextRunTimestamp = null; // Timestamp for the next scheduled run
 let botStatus = 'IDLE'; // Current status of the bot
-let loadedTokens = []; // Store the loaded tokens
+let loadedAccounts = []; // Accounts selected for processing (enabled and matching the tag filter)
+let cycleInProgress = false; // True while runCheckInCycle() is processing accounts
+let reloadPending = false; // Wallet changed mid-cycle; reload once the cycle ends
+let schedulerPaused = false; // While paused, runs are planned but the timer isn't armed
+let cancelRequested = false; // Stop the running cycle after the current account
 
 // --- Utility Functions ---
 
+/**
+ * Identifies a job (one task of one account) within a cycle.
+ * @param {number} accountIndex
+ * @param {string} taskName
+ * @returns {string}
+ */
+const jobKey = (accountIndex, taskName) => `${accountIndex}:${taskName}`;
+
 /**
  * Delays execution for a specified amount of time.
  * @param {number} ms - Milliseconds to delay.
@@ -32,7 +59,7 @@ const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 function updateBotStatus(newStatus) {
   botStatus = newStatus;
   emitter.emit('statusUpdate', {
-    tokensLoaded: loadedTokens.length,
+    tokensLoaded: loadedAccounts.length,
     nextRunTimestamp: nextRunTimestamp,
     botStatus: botStatus
   });
@@ -42,129 +69,819 @@ function updateBotStatus(newStatus) {
 // --- Core Check-in Logic ---
 
 /**
- * Performs the check-in process for all loaded tokens.
+ * Performs the check-in process for all loaded accounts: every due task of every account.
+ * Account reloads requested while the cycle runs are applied once it ends.
+ * @param {{scheduleNext?: boolean}} [options] - Set scheduleNext to false for one-shot runs.
+ * @returns {Promise<{total: number, succeeded: number, failed: number, skipped: number, cancelled: number, results: object[]}>}
+ * Outcome counts for the cycle, one per task run (account and task). Tasks skipped because they were already
+ * done today count as succeeded; tasks not reached because the cycle was cancelled are only counted in `cancelled`.
+ */
+async function runCheckInCycle(options = {}) {
+  return withCycleLock(() => executeCycle(options));
+}
+
+/**
+ * Runs work that processes accounts, marking a cycle as in progress so it can't overlap
+ * with another one. Reloads requested meanwhile are applied when it ends.
+ * @template T
+ * @param {() => Promise<T>} work
+ * @returns {Promise<T>}
  */
-async function runCheckInCycle() {
+async function withCycleLock(work) {
+  cycleInProgress = true;
+  cancelRequested = false;
+  try {
+    return await work();
+  } finally {
+    cycleInProgress = false;
+    cancelRequested = false;
+    if (reloadPending) {
+      reloadPending = false;
+      reloadAccounts();
+    }
+  }
+}
+
+/**
+ * Lists the tasks an account runs: those named in its wallet entry, or the configured `tasks`.
+ * Unknown names are left out (selectAccounts() warns about them).
+ * @param {import('./utils/tokenLoader.js').Account} account
+ * @returns {import('./tasks/registry.js').TaskPlugin[]}
+ */
+function getAccountTasks(account) {
+  return resolveTasks(account.tasks || getConfig().tasks).tasks;
+}
+
+/**
+ * Checks whether an account is done for the current Coresky day: each of its daily tasks succeeded today.
+ * @param {import('./utils/tokenLoader.js').Account} account
+ * @returns {boolean} False if the account has no daily task.
+ */
+function isDoneToday(account) {
+  const dailyTasks = getAccountTasks(account).filter(task => task.schedule === 'daily');
+  return dailyTasks.length > 0 && dailyTasks.every(task => hasCheckedInToday(account, Date.now(), task.name));
+}
+
+/**
+ * Runs the accounts of one cycle (see runCheckInCycle).
+ * @param {{scheduleNext?: boolean}} options
+ */
+async function executeCycle({ scheduleNext = true } = {}) {
   updateBotStatus('RUNNING');
   emitter.emit('log', { level: 'info', message: '🚀 Starting check-in cycle...' });
 
-  if (loadedTokens.length === 0) {
-    emitter.emit('log', { level: 'warn', message: 'No tokens loaded, skipping check-in cycle.' });
-    scheduleNextRun(); // Still schedule the next run
-    return;
+  // One job per account and task, in account order
+  const jobs = loadedAccounts.flatMap(account => getAccountTasks(account).map(task => ({ account, task })));
+  // Extra details for the cycle report; jobOrder maps jobKey() to the job's position
+  const cycle = { startedAt: Date.now(), skippedJobs: [], jobOrder: new Map(jobs.map(({ account, task }, position) => [jobKey(account.index, task.name), position])) };
+  const summary = { total: jobs.length, succeeded: 0, failed: 0, skipped: 0, cancelled: 0, results: [] };
+
+  if (jobs.length === 0) {
+    emitter.emit('log', { level: 'warn', message: loadedAccounts.length === 0 ? 'No tokens loaded, skipping check-in cycle.' : 'No tasks to run, skipping check-in cycle.' });
+    return completeCycle(summary, cycle, scheduleNext); // Still schedules the next run
   }
 
-  emitter.emit('log', { level: 'info', message: `Processing ${loadedTokens.length} account(s)...` });
+  const { concurrency } = getConfig();
+  const workers = Math.min(concurrency, jobs.length);
+  const taskCount = jobs.length > loadedAccounts.length ? ` (${jobs.length} tasks)` : '';
+  emitter.emit('log', { level: 'info', message: `Processing ${loadedAccounts.length} account(s)${taskCount}${workers > 1 ? ` with ${workers} workers` : ''}...` });
+  const retryQueue = []; // Jobs that failed with a transient error
+  const collectResult = (checkinResult) => {
+    summary.results.push(checkinResult);
+    if (checkinResult.success) summary.succeeded++;
+    else summary.failed++;
+  };
+
+  // Jobs run in parallel, but their outcomes are recorded and emitted in account order
+  const { started } = await runPool(jobs, processJob, {
+    concurrency,
+    shouldStop: () => cancelRequested,
+    onResult: (outcome) => {
+      if (outcome.skipped) {
+        cycle.skippedJobs.push({ account: outcome.account, task: outcome.task, lastCheckIn: outcome.lastCheckIn });
+        summary.skipped++;
+        summary.succeeded++;
+      } else if (outcome.retry) {
+        retryQueue.push({ account: outcome.account, task: outcome.task, firstResult: outcome.result });
+      } else {
+        collectResult(finishAccount(outcome.account, outcome.task, outcome.result, outcome.attempts));
+      }
+    }
+  });
 
-  for (let i = 0; i < loadedTokens.length; i++) {
-    const token = loadedTokens[i];
-    const accountIndex = i;
-    const masked = maskToken(token);
+  if (started < jobs.length) {
+    summary.cancelled = jobs.length - started;
+    emitter.emit('log', { level: 'warn', message: `⏹️ Cycle cancelled: ${summary.cancelled} task(s) not processed.` });
+  }
 
-    emitter.emit('log', { level: 'info', message: `--- Processing Account ${accountIndex + 1} (${masked}) ---` });
+  // Retry pass for jobs that failed with transient errors
+  if (retryQueue.length > 0) {
+    emitter.emit('log', { level: 'info', message: `🔁 Retry pass for ${retryQueue.length} task(s)...` });
+    await runPool(retryQueue, async ({ account, task, firstResult }) => {
+      if (cancelRequested) return { account, task, result: firstResult, attempts: firstResult.attempts }; // Keep the first failure instead of retrying
+      await delay(getConfig().accountDelayMs);
+      const result = await performTask(task, account.token, account.index, account.label);
+      return { account, task, result, attempts: firstResult.attempts + result.attempts, durationMs: firstResult.durationMs + result.durationMs };
+    }, {
+      concurrency,
+      onResult: ({ account, task, result, attempts, durationMs }) => collectResult(finishAccount(account, task, result, attempts, durationMs))
+    });
+  }
 
-    // 1. Check Token Validity (Expiration)
-    if (isTokenExpiredOrInvalid(token, accountIndex)) {
-      emitter.emit('log', { level: 'error', message: `[Account ${accountIndex + 1}] Token is expired or invalid. Skipping.` });
-       emitter.emit('checkinResult', { index: accountIndex, success: false, message: 'Token Expired/Invalid', reward: 0, isDuplicate: false });
-      // Optionally add delay even for skipped tokens
-      await delay(DELAY_BETWEEN_ACCOUNTS_MS);
-      continue; // Move to the next token
-    }
+  // Keep results in account (then task) order even when some went through the retry pass
+  summary.results.sort((a, b) => cycle.jobOrder.get(jobKey(a.index, a.task)) - cycle.jobOrder.get(jobKey(b.index, b.task)));
 
-    // 2. Perform Sign-In via API
-    const result = await performSign(token, accountIndex);
+  return completeCycle(summary, cycle, scheduleNext);
+}
 
-     // Emit detailed result for TUI processing
-     emitter.emit('checkinResult', {
-        index: accountIndex,
-        success: result.success,
-        message: result.message,
-        reward: result.reward,
-        isDuplicate: result.isDuplicate
-      });
+/**
+ * Processes one task of one account (a pool worker, see executeCycle).
+ * Daily tasks already done today are skipped synchronously; the others go to runJob().
+ * @param {{account: import('./utils/tokenLoader.js').Account, task: import('./tasks/registry.js').TaskPlugin}} job
+ * @param {number} position - Position in the cycle.
+ * @param {() => boolean} hasNext - Whether jobs are still waiting for a worker.
+ * @returns {object | Promise<object>} The job's outcome:
+ * { account, task, skipped: true, lastCheckIn } or { account, task, result, attempts, retry }.
+ */
+function processJob({ account, task }, position, hasNext) {
+  const { token, label } = account;
+  const accountIndex = account.index; // Position in the wallet file, stable across tag filters
+  const accountName = formatAccountName(accountIndex, label);
+  const masked = maskToken(token);
+
+  emitter.emit('log', { level: 'info', message: `--- Processing ${accountName} (${masked}): ${task.name} ---`, accountIndex });
+
+  // 1. Skip daily tasks already done during the current Coresky day (from persisted history)
+  if (task.schedule === 'daily' && hasCheckedInToday(account, Date.now(), task.name)) {
+    const last = getLastCheckin(account, task.name);
+    emitter.emit('log', { level: 'info', message: `[${accountName}] ${task.title} already done today at ${new Date(last.timestamp).toLocaleString()}. Skipping.`, accountIndex });
+    if (isDoneToday(account)) {
+      emitter.emit('tokenStatus', { index: accountIndex, label, maskedToken: masked, status: 'Done Today ⚠️', lastCheckIn: last.timestamp });
+    }
+    return { account, task, skipped: true, lastCheckIn: last.timestamp }; // No request was made, so no delay is needed
+  }
 
+  return runJob(account, task, hasNext);
+}
 
-    // 3. Delay before processing the next account
-    if (i < loadedTokens.length - 1) {
-       emitter.emit('log', { level: 'info', message: `Waiting ${DELAY_BETWEEN_ACCOUNTS_MS / 1000}s before next account...` });
-       await delay(DELAY_BETWEEN_ACCOUNTS_MS);
+/**
+ * Checks an account's token and runs one of its tasks (with in-call retries), then waits accountDelayMs
+ * if this worker has more jobs to process.
+ * @param {import('./utils/tokenLoader.js').Account} account
+ * @param {import('./tasks/registry.js').TaskPlugin} task
+ * @param {() => boolean} hasNext
+ * @returns {Promise<{account: object, task: object, result: object, attempts: number, retry: boolean}>}
+ */
+async function runJob(account, task, hasNext) {
+  const { token, label } = account;
+  const accountIndex = account.index;
+  const accountName = formatAccountName(accountIndex, label);
+
+  let outcome;
+  if (isTokenExpiredOrInvalid(token, accountIndex, label)) {
+    // 2. Check Token Validity (Expiration)
+    emitter.emit('log', { level: 'error', message: `[${accountName}] Token is expired or invalid. Skipping.`, accountIndex });
+    outcome = { account, task, result: EXPIRED_RESULT, attempts: 0, retry: false };
+  } else {
+    // 3. Run the task via the API
+    const result = await performTask(task, token, accountIndex, label);
+    const retry = !result.success && isTransientErrorClass(result.errorClass);
+    if (retry) {
+      // Still failing after in-call retries: try once more at the end of the cycle
+      emitter.emit('log', { level: 'warn', message: `[${accountName}] ${task.title} queued for retry pass (${result.errorClass}).`, accountIndex });
     }
+    outcome = { account, task, result, attempts: result.attempts, retry };
   }
 
-  emitter.emit('log', { level: 'info', message: '✅ Check-in cycle finished.' });
-  scheduleNextRun();
+  // 4. Delay before this worker's next job
+  if (hasNext() && !cancelRequested) {
+    emitter.emit('log', { level: 'info', message: `Waiting ${getConfig().accountDelayMs / 1000}s before next account...`, accountIndex });
+    await delay(getConfig().accountDelayMs);
+  }
+  return outcome;
 }
 
 /**
- * Schedules the next check-in run and updates the status.
+ * Names the outcome of an account's check-in for reports.
+ * @param {object} result - A checkinResult.
+ * @returns {'checked_in' | 'duplicate' | 'expired' | 'schema_drift' | 'failed'}
  */
-function scheduleNextRun() {
-  clearTimeout(checkIntervalId); // Clear any existing timer
+function getOutcome(result) {
+  if (result.success) return result.isDuplicate ? 'duplicate' : 'checked_in';
+  // A response we couldn't read: Coresky's API may have changed (see services/responseSchema.js)
+  if (result.errorClass === ERROR_CLASSES.SCHEMA) return 'schema_drift';
+  // Expired tokens are rejected locally, so they are the only auth failures without a request
+  return result.errorClass === ERROR_CLASSES.AUTH && result.attempts === 0 ? 'expired' : 'failed';
+}
 
-  nextRunTimestamp = Date.now() + CHECK_INTERVAL_MS;
-  updateBotStatus('WAITING'); // Update status to waiting
+/**
+ * Ends a cycle: schedules the next run (if requested), writes the cycle report and emits 'cycleComplete'.
+ * @param {{total: number, succeeded: number, failed: number, skipped: number, cancelled: number, results: object[]}} summary
+ * @param {{startedAt: number, skippedJobs: Array<{account: object, task: object, lastCheckIn: number}>, jobOrder: Map<string, number>}} cycle
+ * @param {boolean} scheduleNext - Whether to schedule the next run.
+ * @returns {object} The summary, unchanged.
+ */
+function completeCycle(summary, { startedAt, skippedJobs, jobOrder }, scheduleNext) {
+  if (scheduleNext) scheduleNextRun();
+
+  const upcomingRun = scheduleNext ? nextRunTimestamp : null;
+  const finishedAt = Date.now();
+  const maskedTokens = new Map(loadedAccounts.map(account => [account.index, maskToken(account.token)]));
+
+  // One row per account and task: processed tasks from their results, skipped ones from history
+  const accounts = [
+    ...summary.results.map(result => ({
+      index: result.index,
+      label: result.label,
+      maskedToken: maskedTokens.get(result.index),
+      task: result.task,
+      outcome: getOutcome(result),
+      success: result.success,
+      reward: result.reward,
+      errorClass: result.errorClass,
+      attempts: result.attempts,
+      message: result.message,
+      timestamp: result.timestamp
+    })),
+    ...skippedJobs.map(({ account, task, lastCheckIn }) => ({
+      index: account.index,
+      label: account.label,
+      maskedToken: maskToken(account.token),
+      task: task.name,
+      outcome: 'already_done',
+      success: true,
+      reward: 0,
+      errorClass: null,
+      attempts: 0,
+      message: 'Already checked in today',
+      timestamp: lastCheckIn
+    }))
+  ].sort((a, b) => jobOrder.get(jobKey(a.index, a.task)) - jobOrder.get(jobKey(b.index, b.task)));
+  const countOutcome = (outcome) => accounts.filter(account => account.outcome === outcome).length;
+  // Counted per account: one account's tasks all drifting is less telling than several accounts
+  const driftAccounts = new Set(accounts.filter(account => account.outcome === 'schema_drift').map(account => account.index)).size;
+
+  const { total, succeeded, failed, skipped, cancelled } = summary;
+  const report = {
+    total,
+    succeeded,
+    failed,
+    skipped,
+    cancelled,
+    points: accounts.reduce((sum, account) => sum + (account.reward || 0), 0),
+    newCheckins: countOutcome('checked_in'),
+    duplicates: countOutcome('duplicate'),
+    expiredTokens: countOutcome('expired'),
+    schemaDrift: driftAccounts,
+    driftAlert: driftAccounts >= getConfig().driftAlertAccounts,
+    startedAt,
+    finishedAt,
+    durationMs: finishedAt - startedAt,
+    nextRunTimestamp: upcomingRun,
+    simulated: getConfig().dryRun,
+    accounts,
+    // Lets listeners (e.g. notifications) warn about tokens that need replacing
+    expiry: buildExpiryReport(loadedAccounts, { nextRunTimestamp: upcomingRun, warningDays: getConfig().expiryWarningDays })
+  };
+
+  emitter.emit('log', {
+    level: 'info',
+    message: `✅ Check-in cycle finished in ${Math.round(report.durationMs / 1000)}s: ${report.newCheckins} new check-in(s) (+${report.points} points), ${report.duplicates} duplicate(s), ${skipped} already done, ${report.expiredTokens} expired, ${failed - report.expiredTokens} failed${cancelled > 0 ? `, ${cancelled} cancelled` : ''}.`
+  });
+  if (report.driftAlert) {
+    emitter.emit('log', {
+      level: 'error',
+      message: `🧬 API drift: ${driftAccounts} account(s) got responses that don't match the expected schema. Coresky may have changed its API${getConfig().dryRun ? '' : `; responses saved to ${getConfig().quarantineFile}`}.`
+    });
+  }
+
+  const reportFiles = writeCycleReport(report);
+  if (reportFiles) {
+    emitter.emit('log', { level: 'info', message: `📄 Cycle report saved: ${reportFiles.json} (+ .csv)` });
+  }
+
+  emitter.emit('cycleComplete', { ...report, reportFiles });
+  emitLedger(); // Totals and streaks changed
+  return summary;
+}
+
+/**
+ * Records the final result of an account's task and emits it.
+ * @param {import('./utils/tokenLoader.js').Account} account - The account.
+ * @param {import('./tasks/registry.js').TaskPlugin} task - The task that ran.
+ * @param {object} result - Result from performTask().
+ * @param {number} attempts - Total requests made for this task in the cycle.
+ * @param {number | null} [durationMs=result.durationMs] - Time spent in performTask() for this task in the cycle.
+ * @returns {object} The emitted checkinResult.
+ */
+function finishAccount(account, task, result, attempts, durationMs = result.durationMs ?? null) {
+  const checkinResult = {
+    index: account.index,
+    label: account.label,
+    task: task.name,
+    success: result.success,
+    message: result.message,
+    reward: result.reward,
+    isDuplicate: result.isDuplicate,
+    errorClass: result.errorClass,
+    attempts,
+    durationMs,
+    timestamp: Date.now()
+  };
+
+  // Persist before emitting so a crash right after still leaves the result on disk
+  recordCheckin(account, checkinResult);
+
+  // Emit detailed result for TUI processing
+  emitter.emit('checkinResult', checkinResult);
+  return checkinResult;
+}
+
+/**
+ * Arms the scheduler timer for a target timestamp.
+ * Long waits are split into chunks below setTimeout's limit, and the remaining
+ * time is re-checked on every wake-up so clock changes or sleep don't cause drift.
+ * @param {number} targetTimestamp - Unix timestamp in ms of the planned run.
+ */
+function armTimer(targetTimestamp) {
+  clearTimeout(checkIntervalId);
+  const remainingMs = targetTimestamp - Date.now();
+
+  if (remainingMs <= 0) {
+    if (cycleInProgress) {
+      // A single-account run is still going; start the cycle right after it
+      checkIntervalId = setTimeout(() => armTimer(targetTimestamp), BUSY_RECHECK_MS);
+      return;
+    }
+    checkIntervalId = null;
+    startCycle();
+    return;
+  }
 
+  checkIntervalId = setTimeout(() => armTimer(targetTimestamp), Math.min(remainingMs, MAX_TIMER_DELAY_MS));
+}
+
+/**
+ * Sets the next run time, persists it and updates the status.
+ * @param {number} timestamp - Unix timestamp in ms of the planned run.
+ */
+function scheduleRunAt(timestamp) {
+  nextRunTimestamp = timestamp;
+  if (!getConfig().dryRun) saveSchedulerState(getConfig().stateFile, { nextRunTimestamp }); // Survives restarts (dry runs leave the real plan alone)
   const nextRunDate = new Date(nextRunTimestamp);
+
+  if (schedulerPaused) {
+    // Keep the plan, but don't arm the timer until resumed
+    updateBotStatus('PAUSED');
+    emitter.emit('log', { level: 'wait', message: `⏸️ Next check-in cycle planned for ${nextRunDate.toLocaleString()}, but the scheduler is paused.` });
+    return;
+  }
+
+  updateBotStatus('WAITING'); // Update status to waiting
    emitter.emit('log', { level: 'wait', message: `⏳ Scheduling next check-in cycle for: ${nextRunDate.toLocaleString()}` });
 
-  checkIntervalId = setTimeout(() => {
-    runCheckInCycle(); // Run the cycle again after the interval
-  }, CHECK_INTERVAL_MS);
+  armTimer(nextRunTimestamp);
+}
 
-  // Keep emitting status updates while waiting (e.g., for countdown)
-  // This might be better handled within the TUI itself by calculating from nextRunTimestamp
+/**
+ * Schedules the next check-in run from the calendar schedule and updates the status.
+ */
+function scheduleNextRun() {
+  scheduleRunAt(getNextRunTime(getConfig().schedule, Date.now()));
 }
 
 // --- Control Functions ---
 
 /**
- * Initializes and starts the bot logic.
- * Loads tokens and schedules the first run.
+ * Loads the wallet file and selects the accounts to process (enabled, matching the tag filter).
+ * @returns {boolean} False if the wallet couldn't be read; the loaded accounts are then left as they were.
  */
-async function startBot() {
+function selectAccounts() {
+   const allAccounts = loadAccounts(); // Load accounts initially
+   if (allAccounts === null) return false; // One bad read (e.g. an editor's save in progress) never wipes the accounts
+   const { tags } = getConfig();
+   loadedAccounts = selectActiveAccounts(allAccounts, tags);
+
+   const disabledCount = allAccounts.filter(account => !account.enabled).length;
+   if (disabledCount > 0) {
+       emitter.emit('log', { level: 'info', message: `Skipping ${disabledCount} disabled account(s).` });
+   }
+   if (tags.length > 0) {
+       emitter.emit('log', { level: 'info', message: `🏷️ Tag filter [${tags.join(', ')}]: ${loadedAccounts.length} of ${allAccounts.length} account(s) selected.` });
+   }
+
+   // Unknown task names are skipped; say so once per load rather than every cycle
+   loadedAccounts.forEach(account => {
+       const { unknown } = resolveTasks(account.tasks || getConfig().tasks);
+       if (unknown.length > 0) {
+           emitter.emit('log', { level: 'warn', message: `[${formatAccountName(account.index, account.label)}] Unknown task(s) skipped: ${unknown.join(', ')}.`, accountIndex: account.index });
+       }
+   });
+   return true;
+}
+
+/**
+ * Emits the status of each selected account, including when it last checked in (from history).
+ */
+function emitAccountStatuses() {
+    const warningMs = getConfig().expiryWarningDays * 24 * 60 * 60 * 1000;
+
+    loadedAccounts.forEach((account) => {
+        const { index, label, token } = account;
+        const last = getLastCheckin(account);
+        const { expiresAt, issuedAt, subject, expiresInMs } = getTokenInfo(token);
+        let status = isTokenExpiredOrInvalid(token, index, label) ? 'Expired' : 'Valid';
+        if (status === 'Valid' && isDoneToday(account)) status = 'Done Today ⚠️';
+        emitter.emit('tokenStatus', {
+            index,
+            label,
+            maskedToken: maskToken(token),
+            status,
+            lastCheckIn: last ? last.timestamp : null,
+            lastReward: last ? last.reward : null,
+            expiresAt,
+            issuedAt,
+            subject,
+            expiringSoon: expiresInMs !== null && expiresInMs > 0 && expiresInMs <= warningMs
+        });
+    });
+}
+
+/**
+ * Emits the points ledger (totals, streaks, last 30 days) of the loaded accounts as 'ledgerUpdate'.
+ */
+function emitLedger() {
+    emitter.emit('ledgerUpdate', buildLedgerSummary(loadedAccounts));
+}
+
+/**
+ * Logs (and emits as 'expiryReport') which tokens are expired, will expire before the
+ * next scheduled run, or expire within the configured warning window.
+ * @param {number | null} upcomingRunTimestamp - The next scheduled run (Unix ms).
+ */
+function reportTokenExpiry(upcomingRunTimestamp) {
+    const { expiryWarningDays } = getConfig();
+    const report = buildExpiryReport(loadedAccounts, { nextRunTimestamp: upcomingRunTimestamp, warningDays: expiryWarningDays });
+    const describe = ({ index, label, expiresInMs }) => `${formatAccountName(index, label)} (${expiresInMs > 0 ? `expires in ${formatDuration(expiresInMs)}` : 'expired'})`;
+
+    if (report.expiringBeforeNextRun.length > 0) {
+        emitter.emit('log', { level: 'error', message: `⏰ ${report.expiringBeforeNextRun.length} token(s) will expire before the next run at ${new Date(upcomingRunTimestamp).toLocaleString()}. Replace them: ${report.expiringBeforeNextRun.map(describe).join(', ')}` });
+    }
+    if (report.expiringSoon.length > 0) {
+        emitter.emit('log', { level: 'warn', message: `⏰ ${report.expiringSoon.length} token(s) expire within ${expiryWarningDays} day(s): ${report.expiringSoon.map(describe).join(', ')}` });
+    }
+    if (report.expired.length > 0) {
+        emitter.emit('log', { level: 'warn', message: `⏰ ${report.expired.length} token(s) already expired or invalid: ${report.expired.map(describe).join(', ')}` });
+    }
+    if (report.expired.length + report.expiringBeforeNextRun.length + report.expiringSoon.length === 0 && loadedAccounts.length > 0) {
+        emitter.emit('log', { level: 'info', message: `⏰ Token expiry check: all ${loadedAccounts.length} token(s) valid for more than ${expiryWarningDays} day(s).` });
+    }
+
+    emitter.emit('expiryReport', { nextRunTimestamp: upcomingRunTimestamp, warningDays: expiryWarningDays, ...report });
+}
+
+/**
+ * Loads history and tokens and emits the initial status for every account.
+ */
+function initializeBot() {
    emitter.emit('log', { level: 'info', message: 'Initializing Core-Sky Bot Logic...' });
+   if (getConfig().dryRun) {
+       emitter.emit('log', { level: 'warn', message: `🧪 Dry run: nothing is sent to Coresky (${describeSimulation()}). History and scheduler state are not saved.` });
+   }
    updateBotStatus('INITIALIZING');
 
-   loadedTokens = loadApiKeys(); // Load tokens initially
+   loadHistory(); // Restore per-account check-in history from disk
+   selectAccounts(); // Load tokens initially
 
    // Emit initial status after loading tokens
     emitter.emit('statusUpdate', {
-        tokensLoaded: loadedTokens.length,
+        tokensLoaded: loadedAccounts.length,
         nextRunTimestamp: null, // Not scheduled yet
         botStatus: botStatus
     });
 
-    // Emit status for each loaded token (optional, could be too verbose)
-    // loadedTokens.forEach((token, index) => {
-    //     const status = isTokenExpiredOrInvalid(token, index) ? 'Expired' : 'Valid';
-    //     emitter.emit('tokenStatus', { index, maskedToken: maskToken(token), status });
-    // });
+    emitAccountStatuses();
+    emitLedger();
+}
 
+/**
+ * Reloads the wallet file and applies the new account set to the next cycle.
+ * Never swaps accounts mid-cycle: if a cycle is running, the reload is deferred until it ends.
+ * @returns {boolean | null} True if the reload was applied now, false if it was deferred,
+ * null if the wallet couldn't be read (the current accounts are kept).
+ */
+function reloadAccounts() {
+   if (cycleInProgress) {
+       if (!reloadPending) {
+           emitter.emit('log', { level: 'info', message: '🔄 Wallet change detected. Reload will apply after the current cycle.' });
+       }
+       reloadPending = true;
+       return false;
+   }
 
-   if (loadedTokens.length > 0) {
-       emitter.emit('log', { level: 'info', message: 'Ready to start first check-in cycle.' });
-       // Optionally start immediately or wait for the first interval
-       // Starting immediately for demonstration:
-       await runCheckInCycle();
+   const previous = loadedAccounts;
+   if (!selectAccounts()) {
+       emitter.emit('log', { level: 'error', message: `🔄 Wallet reload failed: keeping the ${previous.length} account(s) loaded before.` });
+       return null;
+   }
+   const { added, removed, replaced } = diffAccounts(previous, loadedAccounts);
+   const describe = (account) => `${formatAccountName(account.index, account.label)} (${maskToken(account.token)})`;
+
+   if (added.length + removed.length + replaced.length === 0) {
+       emitter.emit('log', { level: 'info', message: '🔄 Wallet reloaded: no account changes.' });
    } else {
-        emitter.emit('log', { level: 'error', message: 'No valid tokens loaded. Bot will wait and retry loading on the next cycle.' });
+       emitter.emit('log', { level: 'info', message: `🔄 Wallet reloaded: ${added.length} added, ${removed.length} removed, ${replaced.length} replaced.` });
+       added.forEach(account => emitter.emit('log', { level: 'info', message: `   + ${describe(account)}` }));
+       removed.forEach(account => emitter.emit('log', { level: 'warn', message: `   - ${describe(account)}` }));
+       replaced.forEach(account => emitter.emit('log', { level: 'info', message: `   ~ ${describe(account)}: token replaced` }));
+   }
+
+   emitter.emit('accountsReloaded', {
+       total: loadedAccounts.length,
+       added: added.length,
+       removed: removed.length,
+       replaced: replaced.length
+   });
+   emitAccountStatuses();
+   emitLedger();
+   reportTokenExpiry(nextRunTimestamp || getNextRunTime(getConfig().schedule, Date.now()));
+   emitter.emit('statusUpdate', {
+       tokensLoaded: loadedAccounts.length,
+       nextRunTimestamp: nextRunTimestamp,
+       botStatus: botStatus
+   });
+   return true;
+}
+
+/**
+ * Initializes and starts the bot logic.
+ * Loads tokens and schedules the first run.
+ */
+async function startBot() {
+   initializeBot();
+
+   if (getConfig().watchWallet) {
+       const { vaultFile, walletFile } = getConfig();
+       startWalletWatcher(vaultFile || walletFile, reloadAccounts);
+       emitter.emit('log', { level: 'info', message: `👀 Watching ${vaultFile ? 'vault' : 'wallet'} file for changes.` });
+   }
+
+   const { schedule } = getConfig();
+   emitter.emit('log', { level: 'info', message: `📅 Schedule: "${schedule.expression}" (${schedule.timezone})` });
+   const { nextRunTimestamp: plannedRun } = loadSchedulerState(getConfig().stateFile);
+
+   // Forecast expiries against the run that's coming up (the restored one, or the next on the calendar)
+   const upcomingRun = plannedRun && plannedRun > Date.now() ? plannedRun : getNextRunTime(schedule, Date.now());
+   reportTokenExpiry(upcomingRun);
+
+   if (plannedRun && plannedRun > Date.now()) {
+       // A run was planned before the restart and is still ahead: keep it
+       emitter.emit('log', { level: 'info', message: 'Restoring planned run from previous session.' });
+       scheduleRunAt(plannedRun);
+   } else if (loadedAccounts.length > 0) {
+       if (plannedRun) {
+           emitter.emit('log', { level: 'warn', message: `Missed planned run at ${new Date(plannedRun).toLocaleString()} while offline. Catching up now.` });
+       } else {
+           emitter.emit('log', { level: 'info', message: 'Ready to start first check-in cycle.' });
+       }
+       await startCycle();
+   } else {
+        emitter.emit('log', { level: 'error', message: 'No valid tokens loaded. Add tokens to the wallet file; they will be picked up for the next cycle.' });
         // Schedule a run anyway, maybe tokens will be added later
         scheduleNextRun();
    }
 }
 
+/**
+ * Starts a cycle that nothing else waits on (first, catch-up, scheduled or manual). A cycle that throws
+ * (e.g. a write failing with ENOSPC) is logged instead of ending the process, and the next run is still planned.
+ * @returns {Promise<void>} Settles when the cycle ends; never rejects.
+ */
+function startCycle() {
+   return runCheckInCycle().catch(error => {
+       emitter.emit('log', { level: 'error', message: `Check-in cycle failed: ${error.message}` });
+       scheduleNextRun();
+   });
+}
+
+/**
+ * Starts a check-in cycle right away, outside the schedule. The next run is scheduled as usual afterwards.
+ * @returns {boolean} False if a cycle is already running.
+ */
+function runNow() {
+   if (cycleInProgress) {
+       emitter.emit('log', { level: 'warn', message: 'A check-in cycle is already running.' });
+       return false;
+   }
+   clearTimeout(checkIntervalId);
+   checkIntervalId = null;
+   emitter.emit('log', { level: 'info', message: '▶️ Manual check-in cycle requested.' });
+   startCycle();
+   return true;
+}
+
+/**
+ * Pauses the scheduler: no cycle starts on its own until resumed. A running cycle finishes normally.
+ * @returns {boolean} False if already paused.
+ */
+function pauseScheduler() {
+   if (schedulerPaused) return false;
+   schedulerPaused = true;
+   clearTimeout(checkIntervalId);
+   checkIntervalId = null;
+   emitter.emit('log', { level: 'info', message: '⏸️ Scheduler paused.' });
+   if (botStatus !== 'RUNNING') updateBotStatus('PAUSED'); // Otherwise the cycle's end sets it
+   return true;
+}
+
+/**
+ * Resumes the scheduler. A run that came due while paused starts immediately.
+ * @returns {boolean} False if the scheduler wasn't paused.
+ */
+function resumeScheduler() {
+   if (!schedulerPaused) return false;
+   schedulerPaused = false;
+   emitter.emit('log', { level: 'info', message: '▶️ Scheduler resumed.' });
+   if (botStatus === 'RUNNING') return true; // The running cycle schedules the next run when it ends
+   if (nextRunTimestamp) {
+       scheduleRunAt(nextRunTimestamp);
+   } else {
+       scheduleNextRun();
+   }
+   return true;
+}
+
+/**
+ * Pauses the scheduler if it's running, resumes it if it's paused.
+ * @returns {boolean} True if now paused.
+ */
+function togglePause() {
+   if (schedulerPaused) {
+       resumeScheduler();
+   } else {
+       pauseScheduler();
+   }
+   return schedulerPaused;
+}
+
+/**
+ * Asks the running cycle to stop after the current account. Accounts waiting for the
+ * retry pass keep their first failure.
+ * @returns {boolean} False if no cycle is running.
+ */
+function cancelCycle() {
+   if (!cycleInProgress) {
+       emitter.emit('log', { level: 'warn', message: 'No check-in cycle is running.' });
+       return false;
+   }
+   if (!cancelRequested) {
+       cancelRequested = true;
+       emitter.emit('log', { level: 'warn', message: '⏹️ Cancel requested: stopping after the current account...' });
+   }
+   return true;
+}
+
+/**
+ * Runs a single account's tasks right away (e.g. to retry a failed one from the TUI).
+ * Unlike a cycle, it doesn't skip tasks already done today.
+ * @param {number} index - The account's index in the wallet file.
+ * @returns {Promise<object[] | null>} One checkinResult per task, or null if the account isn't loaded or a cycle is running.
+ */
+async function runAccount(index) {
+   const account = loadedAccounts.find(candidate => candidate.index === index);
+   if (!account) {
+       emitter.emit('log', { level: 'warn', message: `Account ${index + 1} is not loaded.` });
+       return null;
+   }
+   if (cycleInProgress) {
+       emitter.emit('log', { level: 'warn', message: 'A check-in cycle is running. Try again when it finishes.' });
+       return null;
+   }
+
+   const accountName = formatAccountName(account.index, account.label);
+   emitter.emit('log', { level: 'info', message: `▶️ Re-running ${accountName} (${maskToken(account.token)})...`, accountIndex: index });
+
+   return withCycleLock(async () => {
+       const results = [];
+       const expired = isTokenExpiredOrInvalid(account.token, account.index, account.label);
+       if (expired) {
+           emitter.emit('log', { level: 'error', message: `[${accountName}] Token is expired or invalid. Skipping.`, accountIndex: index });
+       }
+       for (const task of getAccountTasks(account)) {
+           const taskResult = expired ? EXPIRED_RESULT : await performTask(task, account.token, account.index, account.label);
+           results.push(finishAccount(account, task, taskResult, expired ? 0 : taskResult.attempts));
+       }
+       emitLedger(); // Totals and streaks may have changed
+       return results;
+   });
+}
+
+/**
+ * Collects everything the TUI's account detail view shows.
+ * @param {number} index - The account's index in the wallet file.
+ * @returns {object | null} Null if the account isn't loaded. The raw token is never included.
+ */
+function getAccountDetails(index) {
+   const account = loadedAccounts.find(candidate => candidate.index === index);
+   if (!account) return null;
+
+   const { expiresAt, issuedAt, subject } = getTokenInfo(account.token);
+   const { totalPoints, days } = getLedger(account);
+   const { current, longest } = computeStreaks(days);
+   return {
+       index: account.index,
+       label: account.label,
+       maskedToken: maskToken(account.token),
+       tags: account.tags,
+       tasks: getAccountTasks(account).map(task => task.name),
+       notes: account.notes,
+       expiresAt,
+       issuedAt,
+       subject,
+       totalPoints,
+       currentStreak: current,
+       longestStreak: longest,
+       recentCheckins: getRecentCheckins(account, DETAIL_HISTORY_LIMIT),
+       lastResponse: getLastResponse(account.token) // Token redacted by apiClient
+   };
+}
+
+/**
+ * Returns the current status, as last sent in 'statusUpdate', plus the scheduler flags.
+ * @returns {{tokensLoaded: number, nextRunTimestamp: number | null, botStatus: string, paused: boolean, cycleInProgress: boolean}}
+ */
+function getBotStatus() {
+   return {
+       tokensLoaded: loadedAccounts.length,
+       nextRunTimestamp,
+       botStatus,
+       paused: schedulerPaused,
+       cycleInProgress
+   };
+}
+
+/**
+ * Lists the loaded accounts with their most recent check-in result (successful or not).
+ * @returns {object[]} One entry per account. The raw token is never included.
+ */
+function getAccountResults() {
+   return loadedAccounts.map((account) => {
+       const { index, label, token, tags } = account;
+       const [lastResult = null] = getRecentCheckins(account, 1);
+       const { expiresAt, isExpired } = getTokenInfo(token);
+       return {
+           index,
+           label,
+           maskedToken: maskToken(token),
+           tags,
+           tasks: getAccountTasks(account).map(task => task.name),
+           expiresAt,
+           tokenExpired: isExpired,
+           checkedInToday: isDoneToday(account),
+           lastResult
+       };
+   });
+}
+
+/**
+ * Runs a single check-in cycle without scheduling another one (for cron, CI or containers).
+ * @returns {Promise<{total: number, succeeded: number, failed: number, skipped: number, cancelled: number, results: object[]}>}
+ */
+async function runOnce() {
+   initializeBot();
+   const summary = await runCheckInCycle({ scheduleNext: false });
+   updateBotStatus('IDLE');
+   return summary;
+}
+
 /**
  * Stops the bot's scheduled execution.
  */
 function stopBot() {
+  stopWalletWatcher();
   if (checkIntervalId) {
     clearTimeout(checkIntervalId);
     checkIntervalId = null;
      emitter.emit('log', { level: 'info', message: '⏹️ Bot scheduling stopped.' });
   }
   nextRunTimestamp = null;
+  schedulerPaused = false;
   updateBotStatus('IDLE');
 }
 
-export { startBot, stopBot };
+export {
+  startBot,
+  stopBot,
+  runOnce,
+  runCheckInCycle,
+  reloadAccounts,
+  runNow,
+  pauseScheduler,
+  resumeScheduler,
+  togglePause,
+  cancelCycle,
+  runAccount,
+  getAccountDetails,
+  getBotStatus,
+  getAccountResults,
+};
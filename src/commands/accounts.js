@@ -0,0 +1,275 @@
+// src/commands/accounts.js
+// `accounts` subcommands: manage the wallet (or the vault) without starting the TUI.
+//
+//   node src/index.js accounts list               Labels, masked tokens and expiry
+//   node src/index.js accounts add < tokens.txt   Adds "token" or "label|token" lines read from stdin
+//   node src/index.js accounts remove <#|label|token>...
+//   node src/index.js accounts validate           Reports malformed, expired and soon-to-expire tokens
+//   node src/index.js accounts dedupe             Removes repeated tokens, keeping the first one
+//
+// Edits keep the rest of the file as it is: comments and blank lines in wallet.txt, extra fields in JSON.
+
+import emitter from '../events.js';
+import { getConfig } from '../config.js';
+import { getTokenInfo, formatDuration } from '../utils/auth.js';
+import {
+  loadAccounts,
+  loadApiKeys,
+  parseWalletText,
+  readWalletContent,
+  saveWalletContent,
+  formatAccountName,
+  maskToken,
+} from '../utils/tokenLoader.js';
+
+const USAGE = 'Usage: accounts list | accounts add (tokens on stdin) | accounts remove <#|label|token>... | accounts validate | accounts dedupe';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Raised for mistakes in an `accounts` command (bad arguments, nothing to change).
+ */
+class AccountsError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'AccountsError';
+  }
+}
+
+/**
+ * Describes a token's expiry, e.g. "in 3d 4h", "expired 2h 5m ago", "malformed".
+ * @param {string} token
+ * @param {number} now
+ * @returns {string}
+ */
+function describeExpiry(token, now) {
+  const info = getTokenInfo(token, now);
+  if (!info.decodable) return 'malformed';
+  if (info.expiresAt === null) return 'no expiry claim';
+  return info.isExpired ? `expired ${formatDuration(-info.expiresInMs)} ago` : `in ${formatDuration(info.expiresInMs)}`;
+}
+
+/**
+ * Rewrites the wallet keeping only some of its accounts, and appending new ones.
+ * Lines and entries that aren't accounts (comments, invalid JSON entries) are always kept.
+ * @param {(token: string) => boolean} keep - Called once per account, in file order.
+ * @param {Array<{label: string | null, token: string}>} [additions=[]]
+ * @throws {AccountsError} If the JSON wallet can't be parsed.
+ */
+function rewriteWallet(keep, additions = []) {
+  const { walletFile } = getConfig();
+  // A missing wallet file is created by `add`
+  const wallet = readWalletContent() || { content: '', format: walletFile.toLowerCase().endsWith('.json') ? 'json' : 'text' };
+
+  if (wallet.format === 'json') {
+    const filePath = wallet.filePath || walletFile;
+    let parsed;
+    try {
+      parsed = wallet.content.trim() ? JSON.parse(wallet.content) : [];
+    } catch (error) {
+      throw new AccountsError(`${filePath} is not valid JSON (${error.message}). Nothing was changed.`);
+    }
+    const entries = Array.isArray(parsed) ? parsed : parsed && parsed.accounts;
+    if (!Array.isArray(entries)) {
+      throw new AccountsError(`${filePath} must contain an array of accounts or an object with an "accounts" array. Nothing was changed.`);
+    }
+    const kept = entries.filter(entry => !entry || typeof entry.token !== 'string' || !entry.token.trim() || keep(entry.token.trim()));
+    kept.push(...additions.map(({ label, token }) => (label ? { label, token } : { token })));
+    const next = Array.isArray(parsed) ? kept : { ...parsed, accounts: kept };
+    saveWalletContent(`${JSON.stringify(next, null, 2)}\n`);
+    return;
+  }
+
+  const lines = wallet.content.split(/\r?\n/);
+  if (lines.at(-1) === '') lines.pop(); // Trailing newline
+  const kept = lines.filter(line => {
+    const [account] = parseWalletText(line);
+    return !account || keep(account.token);
+  });
+  kept.push(...additions.map(({ label, token }) => (label ? `${label}|${token}` : token)));
+  saveWalletContent(`${kept.join('\n')}\n`);
+}
+
+/**
+ * Reads everything from a stream.
+ * @param {NodeJS.ReadableStream} input
+ * @returns {Promise<string>}
+ */
+async function readAll(input) {
+  let text = '';
+  for await (const chunk of input) text += chunk;
+  return text;
+}
+
+/**
+ * accounts list: one line per account with its masked token and expiry.
+ * @param {{print: Function, now: number}} options
+ */
+function listAccounts({ print, now }) {
+  const accounts = loadAccounts() || []; // Read errors are printed by the log listener
+  if (accounts.length === 0) {
+    print('No accounts.');
+    return;
+  }
+
+  const rows = accounts.map(account => [
+    String(account.index + 1),
+    formatAccountName(account.index, account.label),
+    maskToken(account.token),
+    describeExpiry(account.token, now),
+    [
+      account.enabled ? '' : 'disabled',
+      account.tags.length > 0 ? `tags: ${account.tags.join(', ')}` : '',
+      account.tasks ? `tasks: ${account.tasks.join(', ')}` : '',
+    ].filter(Boolean).join(' | '),
+  ]);
+  const header = ['#', 'Account', 'Token', 'Expires', ''];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  [header, ...rows].forEach(row => print(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()));
+}
+
+/**
+ * accounts add: appends the accounts read from stdin, skipping tokens already in the wallet.
+ * @param {{input: NodeJS.ReadableStream, print: Function, now: number}} options
+ */
+async function addAccounts({ input, print, now }) {
+  if (input.isTTY) print('Paste tokens ("token" or "label|token"), one per line, then press Ctrl+D:');
+  const candidates = parseWalletText(await readAll(input));
+  if (candidates.length === 0) throw new AccountsError('No tokens on stdin.');
+
+  const known = new Set(loadApiKeys());
+  const additions = [];
+  for (const { label, token } of candidates) {
+    if (known.has(token)) {
+      print(`Skipped ${maskToken(token)}: already in the wallet.`);
+      continue;
+    }
+    known.add(token);
+    additions.push({ label, token });
+    const info = getTokenInfo(token, now);
+    if (!info.decodable || info.isExpired) print(`Warning: ${maskToken(token)} is ${describeExpiry(token, now)}.`);
+  }
+
+  if (additions.length > 0) rewriteWallet(() => true, additions);
+  const { vaultFile, walletFile } = getConfig();
+  print(`Added ${additions.length} account(s) to ${vaultFile || walletFile}.`);
+}
+
+/**
+ * accounts remove: removes the accounts matching any selector (1-based number as shown by list, label or token).
+ * @param {string[]} selectors
+ * @param {{print: Function}} options
+ */
+function removeAccounts(selectors, { print }) {
+  if (selectors.length === 0) throw new AccountsError('Name the accounts to remove by number (see "accounts list"), label or token.');
+
+  const accounts = loadAccounts() || [];
+  const tokens = new Set();
+  for (const selector of selectors) {
+    const matches = accounts.filter(account => String(account.index + 1) === selector || account.label === selector || account.token === selector);
+    if (matches.length === 0) throw new AccountsError(`No account matches "${selector}". Nothing was removed.`);
+    matches.forEach(account => tokens.add(account.token));
+  }
+
+  rewriteWallet(token => !tokens.has(token));
+  accounts.filter(account => tokens.has(account.token))
+    .forEach(account => print(`Removed ${formatAccountName(account.index, account.label)} (${maskToken(account.token)}).`));
+}
+
+/**
+ * accounts validate: decodes every token and reports the ones that need attention.
+ * @param {{print: Function, now: number}} options
+ * @returns {number} 1 if any token is malformed or expired, else 0.
+ */
+function validateAccounts({ print, now }) {
+  const accounts = loadAccounts() || [];
+  const warningMs = getConfig().expiryWarningDays * DAY_MS;
+  const counts = { ok: 0, malformed: 0, expired: 0, expiringSoon: 0 };
+
+  for (const account of accounts) {
+    const info = getTokenInfo(account.token, now);
+    const name = `${formatAccountName(account.index, account.label)} (${maskToken(account.token)})`;
+    if (!info.decodable) {
+      counts.malformed++;
+      print(`✖ ${name}: malformed, not a JWT.`);
+    } else if (info.isExpired) {
+      counts.expired++;
+      print(`✖ ${name}: ${info.expiresAt === null ? 'has no expiry claim' : describeExpiry(account.token, now)}.`);
+    } else if (info.expiresInMs <= warningMs) {
+      counts.expiringSoon++;
+      print(`⚠ ${name}: expires ${describeExpiry(account.token, now)}.`);
+    } else {
+      counts.ok++;
+    }
+  }
+
+  print(`${accounts.length} account(s): ${counts.ok} ok, ${counts.expiringSoon} expiring soon, ${counts.expired} expired, ${counts.malformed} malformed.`);
+  return counts.malformed + counts.expired > 0 ? 1 : 0;
+}
+
+/**
+ * accounts dedupe: keeps the first account for each token.
+ * @param {{print: Function}} options
+ */
+function dedupeAccounts({ print }) {
+  const tokens = loadApiKeys();
+  const duplicates = tokens.length - new Set(tokens).size;
+  if (duplicates === 0) {
+    print('No duplicate tokens.');
+    return;
+  }
+
+  const seen = new Set();
+  rewriteWallet(token => {
+    const isFirst = !seen.has(token);
+    seen.add(token);
+    return isFirst;
+  });
+  print(`Removed ${duplicates} duplicate account(s).`);
+}
+
+/**
+ * Runs an `accounts` subcommand. The config must be loaded, and the vault unlocked if one is configured.
+ * @param {string[]} args - Positionals after "accounts", e.g. ['remove', 'Main'].
+ * @param {object} [options]
+ * @param {NodeJS.ReadableStream} [options.input=process.stdin] - Where `add` reads tokens.
+ * @param {(message: string) => void} [options.print=console.log]
+ * @param {number} [options.now=Date.now()]
+ * @returns {Promise<number>} Exit code.
+ * @throws {AccountsError} On bad arguments, with a message meant for the user.
+ */
+async function runAccountsCommand([action, ...args], { input = process.stdin, print = console.log, now = Date.now() } = {}) {
+  // The loader reports problems (unreadable file, skipped JSON entries) as log events
+  const onLog = ({ level, message }) => {
+    if (level === 'warn' || level === 'error') print(`${level === 'error' ? '✖' : '⚠'} ${message}`);
+  };
+  emitter.on('log', onLog);
+
+  try {
+    if (action !== 'remove' && args.length > 0) throw new AccountsError(`Unexpected argument "${args[0]}". ${USAGE}`);
+    switch (action) {
+      case 'list':
+        listAccounts({ print, now });
+        return 0;
+      case 'add':
+        await addAccounts({ input, print, now });
+        return 0;
+      case 'remove':
+        removeAccounts(args, { print });
+        return 0;
+      case 'validate':
+        return validateAccounts({ print, now });
+      case 'dedupe':
+        dedupeAccounts({ print });
+        return 0;
+      default:
+        throw new AccountsError(action ? `Unknown accounts command "${action}". ${USAGE}` : USAGE);
+    }
+  } finally {
+    emitter.off('log', onLog);
+  }
+}
+
+export { runAccountsCommand, AccountsError };
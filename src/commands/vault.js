@@ -0,0 +1,115 @@
+// src/commands/vault.js
+// `vault` subcommands: move the plaintext wallet into an encrypted vault, and change its passphrase.
+//
+//   node src/index.js vault import [--force]   Encrypt walletFile into vaultFile (default: wallet.vault next to it)
+//   node src/index.js vault rotate             Re-encrypt vaultFile under a new passphrase
+
+import fs from 'fs';
+import path from 'path';
+import { getConfig } from '../config.js';
+import { parseWalletText, parseWalletJson } from '../utils/tokenLoader.js';
+import { VaultError, PASSPHRASE_ENV, NEW_PASSPHRASE_ENV, readVault, writeVault, promptPassphrase } from '../utils/vault.js';
+
+const DEFAULT_VAULT_NAME = 'wallet.vault';
+const USAGE = 'Usage: vault import [--force] | vault rotate';
+
+/**
+ * The vault file the commands work on: vaultFile, or wallet.vault next to the wallet file.
+ * @returns {string}
+ */
+function getVaultPath() {
+  const { vaultFile, walletFile } = getConfig();
+  return vaultFile || path.join(path.dirname(walletFile), DEFAULT_VAULT_NAME);
+}
+
+/**
+ * Gets a passphrase from an environment variable, or asks for it on the terminal.
+ * @param {string} envName
+ * @param {string} question
+ * @param {{env: object, confirm?: boolean}} options - confirm: ask twice (for new passphrases).
+ * @returns {Promise<string>}
+ */
+async function getPassphrase(envName, question, { env, confirm = false }) {
+  if (env[envName]) return env[envName];
+
+  const passphrase = await promptPassphrase(question);
+  if (!passphrase) throw new VaultError('The vault passphrase must not be empty.');
+  if (confirm && (await promptPassphrase('Repeat the passphrase: ')) !== passphrase) {
+    throw new VaultError('The passphrases do not match.');
+  }
+  return passphrase;
+}
+
+/**
+ * Encrypts the wallet file into the vault.
+ * @param {{env: object, force: boolean, print: (message: string) => void}} options
+ */
+async function importWallet({ env, force, print }) {
+  const { walletFile } = getConfig();
+  const vaultPath = getVaultPath();
+
+  if (!fs.existsSync(walletFile)) throw new VaultError(`Wallet file not found at ${walletFile}.`);
+  if (fs.existsSync(vaultPath) && !force) {
+    throw new VaultError(`${vaultPath} already exists. Use --force to overwrite it, or "vault rotate" to change its passphrase.`);
+  }
+
+  // Parse before encrypting, so a broken wallet is caught while it can still be edited in plain text
+  const content = fs.readFileSync(walletFile, 'utf8');
+  const format = walletFile.toLowerCase().endsWith('.json') ? 'json' : 'text';
+  let accounts;
+  try {
+    accounts = format === 'json' ? parseWalletJson(content, walletFile) : parseWalletText(content);
+  } catch (error) {
+    // Invalid JSON (SyntaxError) or the wrong shape
+    throw new VaultError(error instanceof SyntaxError ? `${walletFile} is not valid JSON (${error.message}).` : error.message);
+  }
+  if (accounts.length === 0) throw new VaultError(`No accounts found in ${walletFile}; nothing to import.`);
+
+  const passphrase = await getPassphrase(PASSPHRASE_ENV, 'New vault passphrase: ', { env, confirm: true });
+  writeVault(vaultPath, content, passphrase, { format });
+
+  print(`🔒 Imported ${accounts.length} account(s) from ${walletFile} into ${vaultPath}.`);
+  print(`   Set vaultFile (--vault, CORESKY_VAULT_FILE) to ${vaultPath} to use it, then delete ${walletFile}.`);
+}
+
+/**
+ * Re-encrypts the vault under a new passphrase (with a fresh salt and IV).
+ * A bot running on this vault must be restarted afterwards (it keeps its accounts until then, but can't reload them).
+ * @param {{env: object, print: (message: string) => void}} options
+ */
+async function rotatePassphrase({ env, print }) {
+  const vaultPath = getVaultPath();
+
+  const passphrase = await getPassphrase(PASSPHRASE_ENV, 'Current vault passphrase: ', { env });
+  const wallet = readVault(vaultPath, passphrase);
+  const newPassphrase = await getPassphrase(NEW_PASSPHRASE_ENV, 'New vault passphrase: ', { env, confirm: true });
+  writeVault(vaultPath, wallet.content, newPassphrase, { format: wallet.format });
+
+  print(`🔑 Passphrase changed for ${vaultPath}.`);
+  // A running bot still holds the old passphrase: its reloads can't decrypt the vault any more
+  print('   Restart the bot if it is running, with the new passphrase.');
+}
+
+/**
+ * Runs a `vault` subcommand. The config must be loaded.
+ * @param {string[]} args - Positionals after "vault", e.g. ['import'].
+ * @param {object} [options]
+ * @param {object} [options.env=process.env] - Where passphrases are looked up before prompting.
+ * @param {boolean} [options.force=false] - Let import overwrite an existing vault.
+ * @param {(message: string) => void} [options.print=console.log]
+ * @throws {VaultError} On any failure, with a message meant for the user.
+ */
+async function runVaultCommand([action, ...extra], { env = process.env, force = false, print = console.log } = {}) {
+  if (extra.length > 0) throw new VaultError(`Unexpected argument "${extra[0]}". ${USAGE}`);
+
+  switch (action) {
+    case 'import':
+      return importWallet({ env, force, print });
+    case 'rotate':
+      return rotatePassphrase({ env, print });
+    default:
+      throw new VaultError(action ? `Unknown vault command "${action}". ${USAGE}` : USAGE);
+  }
+}
+
+export { runVaultCommand, getVaultPath };
@@ -0,0 +1,387 @@
+// src/config.js
+// Configuration layer: defaults < coresky.config.json < .env file < environment variables < CLI flags.
+// Every value is validated against CONFIG_SCHEMA so mistakes surface as readable startup errors.
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { createSchedule } from './utils/schedule.js';
+import { configureRedaction } from './utils/redact.js';
+import { DEFAULT_TASK } from './tasks/registry.js';
+import { ERROR_CLASSES } from './services/errors.js';
+
+const DEFAULT_CONFIG_FILE = 'coresky.config.json';
+const DEFAULT_ENV_FILE = '.env';
+
+/**
+ * Every supported setting.
+ * - type:    how the raw value is parsed and validated
+ * - env:     environment variable name (also read from .env)
+ * - flag:    command-line flag name (without the leading --)
+ * - default: value used when no source sets it
+ * - secret:  value is hidden when the config is displayed (tokens, URLs with embedded keys). Secrets have no flag:
+ *            arguments show up in the process list, so they're only read from the environment, .env or the config file
+ */
+const CONFIG_SCHEMA = {
+  apiBaseUrl: { type: 'url', env: 'CORESKY_API_BASE_URL', flag: 'api-base-url', default: 'https://www.coresky.com', description: 'Coresky API base URL' },
+  userAgent: { type: 'string', env: 'CORESKY_USER_AGENT', flag: 'user-agent', default: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 CoreSkyClient/1.0', description: 'User-Agent header sent to the API' },
+  requestTimeoutMs: { type: 'integer', min: 100, env: 'CORESKY_REQUEST_TIMEOUT_MS', flag: 'request-timeout-ms', default: 15000, description: 'Deadline per sign-in request (ms)' },
+  maxAttempts: { type: 'integer', min: 1, max: 10, env: 'CORESKY_MAX_ATTEMPTS', flag: 'max-attempts', default: 3, description: 'Attempts per account for transient errors' },
+  retryBaseMs: { type: 'integer', min: 0, env: 'CORESKY_RETRY_BASE_MS', flag: 'retry-base-ms', default: 2000, description: 'Delay before the first retry, doubled each time (ms)' },
+  accountDelayMs: { type: 'integer', min: 0, env: 'CORESKY_ACCOUNT_DELAY_MS', flag: 'account-delay-ms', default: 3000, description: 'Delay between accounts, per worker (ms)' },
+  concurrency: { type: 'integer', min: 1, max: 32, env: 'CORESKY_CONCURRENCY', flag: 'concurrency', default: 1, description: 'Accounts processed at the same time' },
+  maxRequestsPerSecond: { type: 'number', min: 0, env: 'CORESKY_MAX_REQUESTS_PER_SECOND', flag: 'max-requests-per-second', default: 0, description: 'Sign-in requests allowed per second across workers (0: no limit)' },
+  requestBurst: { type: 'integer', min: 1, env: 'CORESKY_REQUEST_BURST', flag: 'request-burst', default: 1, description: 'Requests that may start back to back before maxRequestsPerSecond applies' },
+  dryRun: { type: 'boolean', env: 'CORESKY_DRY_RUN', flag: 'dry-run', default: false, description: 'Simulate requests instead of calling Coresky; history and scheduler state are not saved' },
+  dryRunOutcomes: { type: 'list', values: ['reward', 'duplicate', ...Object.values(ERROR_CLASSES)], env: 'CORESKY_DRY_RUN_OUTCOMES', flag: 'dry-run-outcomes', default: [], description: 'Outcomes of simulated requests, used in turn (empty: random)' },
+  dryRunSeed: { type: 'integer', min: 0, env: 'CORESKY_DRY_RUN_SEED', flag: 'dry-run-seed', default: null, description: 'Seed for random simulated outcomes (unset: different every run)' },
+  walletFile: { type: 'string', env: 'CORESKY_WALLET_FILE', flag: 'wallet', default: 'wallet.txt', description: 'Token file' },
+  vaultFile: { type: 'string', env: 'CORESKY_VAULT_FILE', flag: 'vault', default: null, description: 'Encrypted token vault, read instead of the wallet file' },
+  historyFile: { type: 'string', env: 'CORESKY_HISTORY_FILE', flag: 'history-file', default: 'checkin-history.json', description: 'Check-in history file' },
+  stateFile: { type: 'string', env: 'CORESKY_STATE_FILE', flag: 'state-file', default: 'scheduler-state.json', description: 'Scheduler state file' },
+  reportsDir: { type: 'string', env: 'CORESKY_REPORTS_DIR', flag: 'reports-dir', default: 'reports', description: 'Directory for cycle reports (JSON and CSV)' },
+  quarantineFile: { type: 'string', env: 'CORESKY_QUARANTINE_FILE', flag: 'quarantine-file', default: 'schema-quarantine.jsonl', description: 'Unexpected response bodies (redacted), one JSON line each' },
+  driftAlertAccounts: { type: 'integer', min: 1, env: 'CORESKY_DRIFT_ALERT_ACCOUNTS', flag: 'drift-alert-accounts', default: 2, description: 'Accounts with schema drift in one cycle that raise the API drift warning' },
+  writeReports: { type: 'boolean', env: 'CORESKY_WRITE_REPORTS', flag: 'write-reports', default: true, description: 'Write a report after every cycle' },
+  logToFile: { type: 'boolean', env: 'CORESKY_LOG_TO_FILE', flag: 'log-to-file', default: true, description: 'Write log entries and check-in results to files' },
+  logDir: { type: 'string', env: 'CORESKY_LOG_DIR', flag: 'log-dir', default: 'logs', description: 'Directory for log files' },
+  logFormat: { type: 'enum', values: ['json', 'text'], env: 'CORESKY_LOG_FORMAT', flag: 'log-format', default: 'json', description: 'Log file format: JSON lines or plain text' },
+  logLevel: { type: 'enum', values: ['info', 'success', 'warn', 'error'], env: 'CORESKY_LOG_LEVEL', flag: 'log-level', default: 'info', description: 'Lowest level written to log files' },
+  logRotate: { type: 'enum', values: ['daily', 'size'], env: 'CORESKY_LOG_ROTATE', flag: 'log-rotate', default: 'daily', description: 'Start a new log file every day, or when the file reaches logMaxSizeKb' },
+  logMaxSizeKb: { type: 'integer', min: 1, env: 'CORESKY_LOG_MAX_SIZE_KB', flag: 'log-max-size-kb', default: 10240, description: 'Log file size that triggers rotation (size rotation only)' },
+  logMaxFiles: { type: 'integer', min: 1, env: 'CORESKY_LOG_MAX_FILES', flag: 'log-max-files', default: 14, description: 'Log files kept (older ones are deleted)' },
+  dailyAt: { type: 'time', env: 'CORESKY_DAILY_AT', flag: 'daily-at', default: '00:05', description: 'Daily run time (HH:MM)' },
+  cron: { type: 'cron', env: 'CORESKY_CRON', flag: 'cron', default: null, description: 'Cron expression (overrides dailyAt)' },
+  timezone: { type: 'timezone', env: 'CORESKY_TIMEZONE', flag: 'timezone', default: 'UTC', description: 'Timezone for the schedule' },
+  expiryWarningDays: { type: 'integer', min: 0, max: 365, env: 'CORESKY_EXPIRY_WARNING_DAYS', flag: 'expiry-warning-days', default: 3, description: 'Warn this many days before a token expires' },
+  watchWallet: { type: 'boolean', env: 'CORESKY_WATCH_WALLET', flag: 'watch-wallet', default: true, description: 'Reload accounts when the wallet file changes' },
+  tags: { type: 'list', env: 'CORESKY_TAGS', flag: 'tag', default: [], description: 'Only run accounts with one of these tags' },
+  tasks: { type: 'list', env: 'CORESKY_TASKS', flag: 'task', default: [DEFAULT_TASK], description: 'Taskwall tasks run for accounts whose wallet entry lists none' },
+  notifyOn: { type: 'enum', values: ['always', 'failures'], env: 'CORESKY_NOTIFY_ON', flag: 'notify-on', default: 'always', description: 'Send a notification after every cycle, or only on failures/expiry warnings' },
+  notifyWebhookUrl: { type: 'url', env: 'CORESKY_NOTIFY_WEBHOOK_URL', default: null, secret: true, description: 'Generic JSON webhook' },
+  notifyDiscordUrl: { type: 'url', env: 'CORESKY_NOTIFY_DISCORD_URL', default: null, secret: true, description: 'Discord webhook URL' },
+  notifyTelegramToken: { type: 'string', env: 'CORESKY_NOTIFY_TELEGRAM_TOKEN', default: null, secret: true, description: 'Telegram bot token' },
+  notifyTelegramChatId: { type: 'string', env: 'CORESKY_NOTIFY_TELEGRAM_CHAT_ID', flag: 'notify-telegram-chat-id', default: null, description: 'Telegram chat id' },
+  notifyTelegramApiUrl: { type: 'url', env: 'CORESKY_NOTIFY_TELEGRAM_API_URL', flag: 'notify-telegram-api-url', default: 'https://api.telegram.org', description: 'Telegram Bot API base URL' },
+  notifyCommand: { type: 'string', env: 'CORESKY_NOTIFY_COMMAND', flag: 'notify-command', default: null, description: 'Shell command run with the notification (JSON on stdin)' },
+  notifyTemplate: { type: 'string', env: 'CORESKY_NOTIFY_TEMPLATE', flag: 'notify-template', default: null, description: 'Message template ({{placeholders}}, \\n for newlines)' },
+  notifyMaxAttempts: { type: 'integer', min: 1, max: 10, env: 'CORESKY_NOTIFY_MAX_ATTEMPTS', flag: 'notify-max-attempts', default: 3, description: 'Delivery attempts per notification target' },
+  controlApi: { type: 'boolean', env: 'CORESKY_CONTROL_API', flag: 'control-api', default: false, description: 'Serve the HTTP control API on 127.0.0.1' },
+  controlPort: { type: 'integer', min: 0, max: 65535, env: 'CORESKY_CONTROL_PORT', flag: 'control-port', default: 8765, description: 'Port of the HTTP control API (0: any free port)' },
+  controlSecret: { type: 'string', env: 'CORESKY_CONTROL_SECRET', default: null, secret: true, description: 'Shared secret expected in the X-Control-Secret header' },
+  metricsPort: { type: 'integer', min: 0, max: 65535, env: 'CORESKY_METRICS_PORT', flag: 'metrics-port', default: null, description: 'Serve Prometheus metrics on this port (unset: off)' },
+  metricsHost: { type: 'string', env: 'CORESKY_METRICS_HOST', flag: 'metrics-host', default: '127.0.0.1', description: 'Address the metrics server binds to' },
+  redactPatterns: { type: 'list', env: 'CORESKY_REDACT_PATTERNS', flag: 'redact-pattern', default: [], description: 'Extra regular expressions to redact from all output' },
+};
+
+/**
+ * Raised when configuration can't be loaded or fails validation.
+ * `issues` lists every problem so they can all be fixed in one go.
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string[]} issues
+   */
+  constructor(issues) {
+    super(`Invalid configuration:\n${issues.map(issue => `  - ${issue}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+// --- State ---
+let currentConfig = null; // Effective config, set by loadConfig()
+
+/**
+ * Parses a minimal .env file (KEY=VALUE lines, # comments, optional quotes).
+ * @param {string} filePath
+ * @returns {Object<string, string>} The variables found (empty if the file doesn't exist).
+ */
+function parseEnvFile(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+
+  const variables = {};
+  for (const rawLine of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(line);
+    if (!match) continue;
+
+    let value = match[2].trim();
+    if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+      value = value.slice(1, -1);
+    }
+    variables[match[1]] = value;
+  }
+  return variables;
+}
+
+/**
+ * Reads a number from a raw value. Blank text (e.g. `CORESKY_CONCURRENCY=`) is not a number, rather than 0.
+ * @param {*} raw
+ * @returns {number} NaN if it isn't a number.
+ */
+function toNumber(raw) {
+  if (typeof raw === 'number') return raw;
+  const text = String(raw).trim();
+  return text === '' ? NaN : Number(text);
+}
+
+/**
+ * Converts a raw value (string from env/flags, or JSON value from the config file) to its schema type.
+ * @param {string} key Config key (for error messages).
+ * @param {*} raw The raw value.
+ * @param {string} source Where the value came from (for error messages).
+ * @returns {*} The parsed value.
+ * @throws {Error} With a readable message if the value is invalid.
+ */
+function parseValue(key, raw, source) {
+  const spec = CONFIG_SCHEMA[key];
+  const where = `"${key}" (from ${source})`;
+
+  if (raw === null && spec.default === null) return null;
+
+  switch (spec.type) {
+    case 'integer': {
+      const value = toNumber(raw);
+      if (!Number.isInteger(value)) throw new Error(`${where} must be a whole number, got "${raw}".`);
+      if (spec.min !== undefined && value < spec.min) throw new Error(`${where} must be at least ${spec.min}, got ${value}.`);
+      if (spec.max !== undefined && value > spec.max) throw new Error(`${where} must be at most ${spec.max}, got ${value}.`);
+      return value;
+    }
+    case 'number': {
+      const value = toNumber(raw);
+      if (!Number.isFinite(value)) throw new Error(`${where} must be a number, got "${raw}".`);
+      if (spec.min !== undefined && value < spec.min) throw new Error(`${where} must be at least ${spec.min}, got ${value}.`);
+      if (spec.max !== undefined && value > spec.max) throw new Error(`${where} must be at most ${spec.max}, got ${value}.`);
+      return value;
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return raw;
+      const normalized = String(raw).trim().toLowerCase();
+      if (['1', 'true', 'yes', 'on'].includes(normalized)) return true;
+      if (['0', 'false', 'no', 'off'].includes(normalized)) return false;
+      throw new Error(`${where} must be true or false, got "${raw}".`);
+    }
+    case 'list': {
+      // Comma-separated string (env/flags) or an array of strings (config file)
+      const items = Array.isArray(raw) ? raw : String(raw).split(',');
+      if (items.some(item => typeof item !== 'string')) throw new Error(`${where} must be a list of strings.`);
+      const values = items.map(item => item.trim()).filter(Boolean);
+      const unknown = spec.values ? values.filter(item => !spec.values.includes(item)) : [];
+      if (unknown.length > 0) throw new Error(`${where} items must be among ${spec.values.join(', ')}, got "${unknown.join(', ')}".`);
+      return values;
+    }
+    case 'url': {
+      const value = String(raw).trim();
+      let parsed;
+      try {
+        parsed = new URL(value);
+      } catch (error) {
+        throw new Error(`${where} must be a valid URL, got "${raw}".`);
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error(`${where} must be an http(s) URL, got "${raw}".`);
+      }
+      return value.replace(/\/+$/, '');
+    }
+    case 'enum': {
+      const value = String(raw).trim().toLowerCase();
+      if (!spec.values.includes(value)) throw new Error(`${where} must be one of ${spec.values.join(', ')}, got "${raw}".`);
+      return value;
+    }
+    case 'time':
+    case 'cron':
+    case 'timezone':
+    case 'string': {
+      if (typeof raw !== 'string' || !raw.trim()) throw new Error(`${where} must be a non-empty string.`);
+      return raw.trim();
+    }
+    default:
+      throw new Error(`${where} has unknown type "${spec.type}".`);
+  }
+}
+
+/**
+ * Parses command-line flags defined in CONFIG_SCHEMA (plus --config and --env-file).
+ * @param {string[]} argv Arguments after `node src/index.js`.
+ * @param {Object<string, object>} [extraOptions] Additional parseArgs options (e.g. mode flags).
+ * @returns {{values: object, positionals: string[]}}
+ */
+function parseFlags(argv, extraOptions = {}) {
+  const options = {
+    config: { type: 'string' },
+    'env-file': { type: 'string' },
+    ...extraOptions,
+  };
+  for (const spec of Object.values(CONFIG_SCHEMA).filter(spec => spec.flag)) {
+    // Booleans take a value too (--watch-wallet false), so defaults of true can be turned off
+    options[spec.flag] = { type: 'string' };
+  }
+
+  // A boolean flag without a value (--dry-run, followed by another flag or nothing) means true
+  const booleanFlags = new Set(Object.values(CONFIG_SCHEMA).filter(spec => spec.type === 'boolean').map(spec => `--${spec.flag}`));
+  const args = argv.flatMap((arg, position) => {
+    const next = argv[position + 1];
+    return booleanFlags.has(arg) && (next === undefined || next.startsWith('--')) ? [arg, 'true'] : [arg];
+  });
+
+  try {
+    return parseArgs({ args, options, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new ConfigError([error.message]);
+  }
+}
+
+/**
+ * Reads the JSON config file.
+ * @param {string} filePath Absolute path.
+ * @param {boolean} required Whether a missing file is an error (explicitly requested files are).
+ * @returns {object}
+ */
+function readConfigFile(filePath, required) {
+  if (!fs.existsSync(filePath)) {
+    if (required) throw new ConfigError([`Config file not found: ${filePath}`]);
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError([`Config file ${filePath} is not valid JSON: ${error.message}`]);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError([`Config file ${filePath} must contain a JSON object.`]);
+  }
+  return parsed;
+}
+
+/**
+ * Loads, merges and validates configuration from all sources, and makes it the current config.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.argv=[]] Command-line arguments.
+ * @param {Object<string, string>} [options.env=process.env] Environment variables.
+ * @param {string} [options.cwd=process.cwd()] Directory used to resolve files.
+ * @param {Object<string, object>} [options.extraFlags] Extra parseArgs options, returned as `flags`.
+ * @returns {{config: object, sources: Object<string, string>, flags: object, positionals: string[]}}
+ * @throws {ConfigError} If any source has invalid values.
+ */
+function loadConfig({ argv = [], env = process.env, cwd = process.cwd(), extraFlags = {} } = {}) {
+  const { values: flagValues, positionals } = parseFlags(argv, extraFlags);
+
+  const configPathRaw = flagValues.config || env.CORESKY_CONFIG;
+  const fileConfig = readConfigFile(path.resolve(cwd, configPathRaw || DEFAULT_CONFIG_FILE), Boolean(configPathRaw));
+  const envFileVars = parseEnvFile(path.resolve(cwd, flagValues['env-file'] || DEFAULT_ENV_FILE));
+
+  const issues = [];
+  const config = {};
+  const sources = {};
+
+  for (const key of Object.keys(fileConfig)) {
+    if (!CONFIG_SCHEMA[key]) issues.push(`Unknown key "${key}" in config file. Valid keys: ${Object.keys(CONFIG_SCHEMA).join(', ')}`);
+  }
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    // Highest precedence first
+    const candidates = [
+      ['flag', spec.flag ? flagValues[spec.flag] : undefined, `--${spec.flag}`],
+      ['env', env[spec.env], spec.env],
+      ['.env', envFileVars[spec.env], `.env ${spec.env}`],
+      ['file', fileConfig[key], `config file`],
+    ];
+    const found = candidates.find(([, value]) => value !== undefined);
+
+    if (!found) {
+      config[key] = spec.default;
+      sources[key] = 'default';
+      continue;
+    }
+
+    try {
+      config[key] = parseValue(key, found[1], found[2]);
+      sources[key] = found[0];
+    } catch (error) {
+      issues.push(error.message);
+    }
+  }
+
+  // Cross-field validation: Telegram needs both the bot token and the chat id
+  if (Boolean(config.notifyTelegramToken) !== Boolean(config.notifyTelegramChatId)) {
+    issues.push('"notifyTelegramToken" and "notifyTelegramChatId" must be set together.');
+  }
+
+  // The control API can start and stop runs, so it never runs unprotected
+  if (config.controlApi && (!config.controlSecret || config.controlSecret.length < 16)) {
+    issues.push('"controlSecret" must be set (at least 16 characters) when "controlApi" is enabled.');
+  }
+
+  // Redaction patterns must be valid regular expressions
+  const redactPatterns = [];
+  for (const source of config.redactPatterns || []) {
+    try {
+      redactPatterns.push(new RegExp(source, 'g'));
+    } catch (error) {
+      issues.push(`"redactPatterns": invalid regular expression "${source}" (${error.message}).`);
+    }
+  }
+
+  // Cross-field validation: the schedule must be buildable
+  if (issues.length === 0) {
+    try {
+      config.schedule = createSchedule({ cron: config.cron, dailyAt: config.dailyAt, timezone: config.timezone });
+    } catch (error) {
+      issues.push(error.message);
+    }
+  }
+
+  if (issues.length > 0) throw new ConfigError(issues);
+
+  // Resolve file paths once so later chdir calls can't change them
+  for (const key of ['walletFile', 'vaultFile', 'historyFile', 'stateFile', 'quarantineFile', 'reportsDir', 'logDir']) {
+    if (config[key]) config[key] = path.resolve(cwd, config[key]);
+  }
+
+  // Mode flags (e.g. --once) aren't config values; hand them back separately
+  const flags = {};
+  for (const name of Object.keys(extraFlags)) {
+    flags[name] = flagValues[name];
+  }
+
+  currentConfig = Object.freeze({ ...config, sources: Object.freeze(sources) });
+  // Secret values never show up in output, whatever prints them
+  configureRedaction({
+    secrets: Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].secret).map(key => config[key]).filter(Boolean),
+    patterns: redactPatterns,
+  });
+  return { config: currentConfig, sources, flags, positionals };
+}
+
+/**
+ * Returns the current effective config, loading it from env and files on first use.
+ * @returns {object}
+ */
+function getConfig() {
+  if (!currentConfig) loadConfig();
+  return currentConfig;
+}
+
+/**
+ * Describes the effective config as "key = value (source)" lines for display.
+ * @param {object} [config=getConfig()]
+ * @returns {string[]}
+ */
+function describeConfig(config = getConfig()) {
+  return Object.keys(CONFIG_SCHEMA)
+    .filter(key => config[key] !== null)
+    .map(key => {
+      const value = CONFIG_SCHEMA[key].secret ? '(hidden)'
+        : Array.isArray(config[key]) ? config[key].join(',') || '(none)'
+        : config[key];
+      return `${key} = ${value} (${config.sources[key]})`;
+    });
+}
+
+export { loadConfig, getConfig, describeConfig, parseEnvFile, ConfigError, CONFIG_SCHEMA };
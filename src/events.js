@@ -4,39 +4,151 @@
 
 
 import EventEmitter from 'eventemitter3';
+import { redact } from './utils/redact.js';
 
 // Create a single instance of EventEmitter
 const emitter = new EventEmitter();
 
+// Prefix of every log message during a dry run
+const SIMULATED_LOG_PREFIX = '[DRY RUN] ';
+
+// Set for dry runs: every payload is marked as simulated (see setSimulated)
+let simulated = false;
+
+/**
+ * Marks an event payload as simulated: object payloads get `simulated: true`, log messages a prefix.
+ * @param {string} event
+ * @param {*} payload
+ * @returns {*}
+ */
+function markSimulated(event, payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return payload;
+  const marked = { ...payload, simulated: true };
+  if (event === 'log' && typeof payload.message === 'string') marked.message = `${SIMULATED_LOG_PREFIX}${payload.message}`;
+  return marked;
+}
+
+// Payloads pass through the redaction layer before any listener (TUI, headless output,
+// log files, notifications) sees them, so no event can carry a full token
+const emitUnredacted = emitter.emit.bind(emitter);
+emitter.emit = (event, ...args) => emitUnredacted(event, ...args.map(arg => redact(simulated ? markSimulated(event, arg) : arg)));
+
+/**
+ * Turns dry-run marking on or off, so every output (TUI, headless lines, log files, reports) shows it's simulated.
+ * @param {boolean} enabled
+ */
+function setSimulated(enabled) {
+  simulated = Boolean(enabled);
+}
+
 // Export the instance to be used throughout the application
 export default emitter;
+export { setSimulated };
 
 /**
  * Expected Events:
+ * (During a dry run every object payload also carries `simulated: true`, and log messages start with "[DRY RUN] ".)
  *
- * 'log': { level: 'info' | 'success' | 'warn' | 'error' | 'wait', message: string }
+ * 'log': {
+ * level: 'info' | 'success' | 'warn' | 'error' | 'wait',
+ * message: string,
+ * accountIndex?: number // Set when the message is about one account (lets the TUI filter by account)
+ * }
  * - Emitted by various parts of the app to log messages.
  * - Consumed by the TUI to display logs.
  *
  * 'statusUpdate': {
  * tokensLoaded: number,
  * nextRunTimestamp: number | null, // Unix timestamp ms, or null if not scheduled
- * botStatus: 'INITIALIZING' | 'RUNNING' | 'PAUSED' | 'IDLE' | 'ERROR'
+ * botStatus: 'INITIALIZING' | 'RUNNING' | 'WAITING' | 'PAUSED' | 'IDLE' | 'ERROR' // PAUSED: scheduler paused from the TUI
  * }
  * - Emitted by botLogic to update the overall status.
  * - Consumed by the TUI status pane.
  *
- * 'tokenStatus': { index: number, maskedToken: string, status: 'Valid' | 'Expired' | 'Invalid' }
- * - Emitted when tokens are initially loaded and checked.
+ * 'tokenStatus': {
+ * index: number,
+ * label: string | null, // Account label from the wallet file, if any
+ * maskedToken: string,
+ * status: 'Valid' | 'Expired' | 'Invalid' | 'Done Today ⚠️',
+ * lastCheckIn?: number | null, // Unix timestamp ms of the last successful check-in (from history)
+ * lastReward?: number | null, // Points from the last successful check-in (from history)
+ * expiresAt?: number | null, // Unix timestamp ms from the token's exp claim (null if missing/undecodable)
+ * issuedAt?: number | null, // Unix timestamp ms from the token's iat claim
+ * subject?: string | null, // The token's sub claim
+ * expiringSoon?: boolean // True if the token expires within expiryWarningDays
+ * }
+ * - Emitted when tokens are initially loaded and checked, and when an account is skipped
+ *   because it already checked in during the current Coresky day.
  * - Consumed by TUI status pane (optional, could be part of initial statusUpdate).
  *
  * 'checkinResult': {
  * index: number,
+ * label: string | null,
+ * task: string, // Name of the task that ran (see src/tasks/registry.js), e.g. 'meme-sign'
  * success: boolean,
  * message: string, // e.g., "Check-in successful! +10 points", "Already checked in", "API Error"
  * reward: number,
- * isDuplicate: boolean // Flag if it was an "already checked in" status
+ * isDuplicate: boolean, // Flag if it was an "already checked in" status
+ * errorClass: 'network' | 'timeout' | 'rate_limited' | 'server' | 'auth' | 'api_code' | 'schema' | null, // Final error class (null on success)
+ * attempts: number, // Requests made for the task this cycle, including retries and the retry pass
+ * durationMs: number | null, // Time spent on the task, retries included (null if no request was made, e.g. expired token)
+ * timestamp: number // Unix timestamp ms of the attempt
+ * }
+ * - Emitted by botLogic after each task of each account (after it is saved to checkin-history.json).
+ * - Consumed by TUI log panes (successful and duplicate check-ins go to the Success Log).
+ *
+ * 'requestComplete': {
+ * index: number, // Account index
+ * task: string, // Name of the task the request was for
+ * status: number | null, // HTTP status (null if no response, e.g. network error or timeout)
+ * durationMs: number // Time from sending the request to its response or failure (rate-limit waits and retry delays excluded)
+ * }
+ * - Emitted by apiClient after every HTTP request to Coresky, retries included. Dry runs send none.
+ * - Consumed by the metrics (request latency histogram).
+ *
+ * 'accountsReloaded': { total: number, added: number, removed: number, replaced: number }
+ * - Emitted by botLogic after the wallet file was reloaded (hot reload). Never emitted mid-cycle.
+ * - Followed by fresh 'tokenStatus' events for the new account set.
+ *
+ * 'expiryReport': {
+ * nextRunTimestamp: number | null, // The run the forecast was made against
+ * warningDays: number,
+ * expired: Array<{ index, label, expiresAt, expiresInMs }>, // Already expired or undecodable
+ * expiringBeforeNextRun: Array<{ index, label, expiresAt, expiresInMs }>, // Valid now, expired by the next run
+ * expiringSoon: Array<{ index, label, expiresAt, expiresInMs }> // Valid at the next run, expires within warningDays
+ * }
+ * - Emitted by botLogic at startup and after a wallet reload.
+ *
+ * 'cycleComplete': {
+ * total: number, succeeded: number, failed: number, skipped: number, // Same counts as runCheckInCycle()'s summary (one per account and task)
+ * cancelled: number, // Tasks not processed because the cycle was cancelled
+ * points: number, // Points earned this cycle
+ * newCheckins: number, duplicates: number, expiredTokens: number, // Outcome counts ('failed' includes expiredTokens)
+ * schemaDrift: number, // Accounts with a 'schema_drift' outcome (also in 'failed')
+ * driftAlert: boolean, // True when schemaDrift reached driftAlertAccounts: Coresky's API has likely changed
+ * startedAt: number, finishedAt: number, durationMs: number, // Unix timestamps ms / duration ms
+ * nextRunTimestamp: number | null, // Next scheduled run (null for one-shot runs)
+ * simulated: boolean, // True for dry runs (dryRun): no request reached Coresky
+ * accounts: Array<{
+ *   index, label, maskedToken, task, reward, errorClass, attempts, message, timestamp, success,
+ *   outcome: 'checked_in' | 'duplicate' | 'already_done' | 'expired' | 'schema_drift' | 'failed'
+ * }>, // One entry per account and task, in account order
+ * expiry: { expired, expiringBeforeNextRun, expiringSoon }, // Same lists as 'expiryReport'
+ * reportFiles: { json: string, csv: string } | null // Report files written to reportsDir (null if disabled/failed)
+ * }
+ * - Emitted by botLogic at the end of every check-in cycle, after all 'checkinResult' events.
+ * - Consumed by the TUI (cycle summary) and the notifier (src/services/notifier.js).
+ *
+ * 'ledgerUpdate': {
+ * fleetTotal: number, // Points earned by all loaded accounts, all time
+ * fleetToday: number, // Points earned by all loaded accounts during the current Coresky day
+ * accounts: Array<{
+ *   index: number, label: string | null, maskedToken: string,
+ *   totalPoints: number, todayPoints: number,
+ *   currentStreak: number, longestStreak: number, // Consecutive Coresky days with a successful check-in
+ *   daily: Array<number | null> // Points per day for the last 30 days, oldest first (null = no check-in)
+ * }>
  * }
- * - Emitted by botLogic after each check-in attempt.
- * - Consumed by TUI log panes.
+ * - Emitted by botLogic at startup, after every cycle and after a wallet reload.
+ * - Consumed by the TUI Points Ledger view.
  */
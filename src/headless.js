@@ -0,0 +1,45 @@
+// src/headless.js
+// Headless output: writes every emitter event as one JSON object per line (JSON-lines) to stdout.
+// Used instead of the blessed TUI when there's no terminal (cron, CI, containers, systemd).
+
+import emitter from './events.js';
+
+// Events forwarded to stdout
+const HEADLESS_EVENTS = ['log', 'statusUpdate', 'tokenStatus', 'checkinResult', 'accountsReloaded', 'expiryReport', 'cycleComplete', 'ledgerUpdate'];
+
+// --- State ---
+let listeners = []; // [eventName, handler] pairs, kept so they can be removed
+let output = process.stdout; // Where JSON lines are written
+
+/**
+ * Writes one JSON line for an event.
+ * @param {string} event - Event name.
+ * @param {object} data - Event payload.
+ */
+function writeEventLine(event, data) {
+  const line = JSON.stringify({ time: new Date().toISOString(), event, ...data });
+  output.write(`${line}\n`);
+}
+
+/**
+ * Starts forwarding emitter events to stdout as JSON lines.
+ * @param {{write: (text: string) => void}} [stream=process.stdout] - Where to write (stdout unless testing).
+ */
+function initializeHeadless(stream = process.stdout) {
+  output = stream;
+  listeners = HEADLESS_EVENTS.map(event => {
+    const handler = (data) => writeEventLine(event, data || {});
+    emitter.on(event, handler);
+    return [event, handler];
+  });
+}
+
+/**
+ * Stops forwarding events.
+ */
+function stopHeadless() {
+  listeners.forEach(([event, handler]) => emitter.off(event, handler));
+  listeners = [];
+}
+
+export { initializeHeadless, stopHeadless, writeEventLine };
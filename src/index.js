@@ -1,38 +1,73 @@
 // src/index.js
 // Main entry point for the core-sky-cli application.
-// Initializes the TUI and starts the bot logic.
+// Initializes the TUI (or headless JSON-lines output) and starts the bot logic.
 // Created by crypto with shashi
 
-import initializeUI from './tui/ui.js';
-import { startBot } from './botLogic.js';
-import emitter from './events.js'; // Import emitter for initial logging if needed
+import initializeUI, { destroyUI } from './tui/ui.js';
+import { initializeHeadless } from './headless.js';
+import { initializeNotifier, stopNotifier, flushNotifications } from './services/notifier.js';
+import { initializeFileLog, stopFileLog } from './utils/logger.js';
+import { startControlServer, stopControlServer } from './services/controlServer.js';
+import { initializeMetrics, startMetricsServer, stopMetricsServer } from './services/metrics.js';
+import { startBot, stopBot, runOnce } from './botLogic.js';
+import emitter, { setSimulated } from './events.js'; // Import emitter for initial logging if needed
 import chalk from 'chalk'; // For console messages before TUI starts
+import { loadConfig, describeConfig, ConfigError } from './config.js';
+import { installConsoleRedaction } from './utils/redact.js';
+import { VaultError, PASSPHRASE_ENV, unlockVault, promptPassphrase } from './utils/vault.js';
+import { runVaultCommand } from './commands/vault.js';
+import { runAccountsCommand, AccountsError } from './commands/accounts.js';
+
+// Crash reports and other console output go through the same redaction as events
+installConsoleRedaction();
+
+// Process exit codes (used by --once so cron/systemd can react to the outcome)
+const EXIT_CODES = {
+  OK: 0, // Every account checked in (or already had today)
+  FATAL: 1, // Startup error, bad config or crash
+  PARTIAL: 2, // Some accounts failed
+  ALL_FAILED: 3, // Every account failed, or there were no accounts
+};
+
+// Mode flags, parsed together with the config flags
+const MODE_FLAGS = {
+  once: { type: 'boolean' }, // Run one cycle and exit
+  headless: { type: 'boolean' }, // JSON-lines on stdout instead of the TUI
+  force: { type: 'boolean' }, // vault import: overwrite an existing vault
+};
+
+let headless = false; // Set once flags are parsed
+
+/**
+ * Prints a human-oriented message. In headless mode stdout is reserved for JSON lines, so it goes to stderr.
+ * @param {string} message
+ */
+const printInfo = (message) => (headless ? console.error(message) : console.log(message));
 
 // --- Graceful Shutdown Handling ---
 // Ensure cleanup happens even on unexpected signals
-const handleShutdown = (signal) => {
-  console.log(chalk.yellow(`\nReceived ${signal}. Shutting down gracefully...`));
+const handleShutdown = (signal, exitCode = EXIT_CODES.OK) => {
+  printInfo(chalk.yellow(`\nReceived ${signal}. Shutting down gracefully...`));
   // Attempt to stop the bot logic (clears timers)
   try {
-    // Assuming stopBot is synchronous or quick enough
-    // If stopBot were async, this would need more complex handling
-    require('./botLogic').stopBot();
+    stopBot();
+    stopNotifier();
+    stopControlServer();
+    stopMetricsServer();
+    stopFileLog();
   } catch (e) {
     // Ignore errors if modules aren't loaded yet or other issues
   }
 
   // If the TUI screen exists, destroy it
   try {
-    const screen = require('./tui/ui.js').screen; // Access screen if already initialized
-    if (screen) {
-      screen.destroy();
-    }
+    destroyUI();
   } catch(e) {
      // Ignore errors
   }
 
-  console.log(chalk.blueBright('Cleanup complete. Exiting.'));
-  process.exit(0);
+  printInfo(chalk.blueBright('Cleanup complete. Exiting.'));
+  process.exit(exitCode);
 };
 
 process.on('SIGINT', () => handleShutdown('SIGINT')); // Ctrl+C
@@ -42,8 +77,7 @@ process.on('uncaughtException', (error) => {
     console.error(error);
     console.error(chalk.redBright('--------------------------'));
     // Attempt graceful shutdown, but prioritize exiting
-    handleShutdown('uncaughtException');
-    process.exit(1); // Exit with error code
+    handleShutdown('uncaughtException', EXIT_CODES.FATAL);
 });
 process.on('unhandledRejection', (reason, promise) => {
     console.error(chalk.redBright('\n--- UNHANDLED REJECTION ---'));
@@ -51,29 +85,139 @@ process.on('unhandledRejection', (reason, promise) => {
     // console.error('Promise:', promise); // Can be verbose
     console.error(chalk.redBright('---------------------------'));
      // Attempt graceful shutdown, but prioritize exiting
-    handleShutdown('unhandledRejection');
-    process.exit(1); // Exit with error code
+    handleShutdown('unhandledRejection', EXIT_CODES.FATAL);
 });
 
 
+/**
+ * Maps a one-shot cycle summary to an exit code.
+ * @param {{total: number, succeeded: number, failed: number}} summary
+ * @returns {number}
+ */
+function getExitCode(summary) {
+  if (summary.total === 0 || summary.succeeded === 0) return EXIT_CODES.ALL_FAILED;
+  if (summary.failed > 0) return EXIT_CODES.PARTIAL;
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Runs one check-in cycle, tears down the output and exits with the outcome's code.
+ */
+async function runOnceAndExit() {
+  const summary = await runOnce();
+  const exitCode = getExitCode(summary);
+  await flushNotifications(); // Don't exit before the cycle summary is delivered
+
+  destroyUI();
+  printInfo(chalk.cyan(`${config.dryRun ? 'Dry run cycle' : 'Cycle'} finished: ${summary.succeeded}/${summary.total} ok (${summary.skipped} already done today), ${summary.failed} failed. Exit code ${exitCode}.`));
+  process.exit(exitCode);
+}
+
+/**
+ * Unlocks the configured vault, with the passphrase from CORESKY_VAULT_PASSPHRASE or typed on the terminal.
+ * Runs before the TUI takes over the terminal. Without a vault there's nothing to do.
+ * @param {string | null} vaultFile
+ */
+async function unlockConfiguredVault(vaultFile) {
+  if (!vaultFile) return;
+  let passphrase = process.env[PASSPHRASE_ENV];
+  if (!passphrase) {
+    if (headless) throw new VaultError(`Headless mode can't prompt for the vault passphrase. Set ${PASSPHRASE_ENV}.`);
+    passphrase = await promptPassphrase(`🔒 Passphrase for ${vaultFile}: `);
+  }
+  unlockVault(vaultFile, passphrase);
+}
+
 // --- Application Start ---
-console.log(chalk.cyan('Starting Core-Sky CLI...'));
+
+// Load configuration first so invalid values stop the bot before the TUI takes over the terminal
+let flags;
+let positionals;
+let config;
+try {
+  ({ config, flags, positionals } = loadConfig({ argv: process.argv.slice(2), extraFlags: MODE_FLAGS }));
+  headless = Boolean(flags.headless);
+  setSimulated(config.dryRun); // Mark every event of a dry run, from the first log on
+} catch (error) {
+  if (error instanceof ConfigError) {
+    console.error(chalk.redBright(`🚨 ${error.message}`));
+    console.error(chalk.gray('Settings come from coresky.config.json, .env, environment variables and CLI flags (highest precedence). See README.md.'));
+    process.exit(EXIT_CODES.FATAL);
+  }
+  throw error;
+}
+
+// Subcommands, run instead of the bot. Each resolves to an exit code (undefined: OK).
+const COMMANDS = {
+  vault: (args) => runVaultCommand(args, { force: Boolean(flags.force) }),
+  accounts: async (args) => {
+    await unlockConfiguredVault(config.vaultFile); // With a vault configured, accounts are read and saved there
+    return runAccountsCommand(args);
+  },
+};
+
+if (positionals.length > 0) {
+  const [command, ...args] = positionals;
+  if (!COMMANDS[command]) {
+    console.error(chalk.redBright(`🚨 Unknown command "${command}". Run without arguments to start the bot, or use one of: ${Object.keys(COMMANDS).join(', ')}.`));
+    process.exit(EXIT_CODES.FATAL);
+  }
+  try {
+    process.exit((await COMMANDS[command](args)) ?? EXIT_CODES.OK);
+  } catch (error) {
+    if (!(error instanceof VaultError || error instanceof AccountsError)) throw error;
+    console.error(chalk.redBright(`🚨 ${error.message}`));
+    process.exit(EXIT_CODES.FATAL);
+  }
+}
+
+try {
+  await unlockConfiguredVault(config.vaultFile);
+} catch (error) {
+  if (!(error instanceof VaultError)) throw error;
+  console.error(chalk.redBright(`🚨 ${error.message}`));
+  process.exit(EXIT_CODES.FATAL);
+}
+
+printInfo(chalk.cyan('Starting Core-Sky CLI...'));
 
 try {
-  // 1. Initialize the Terminal UI
+  // 1. Initialize the output: Terminal UI, or JSON lines on stdout in headless mode
   // This sets up the screen and components, and starts listening for events.
-  initializeUI();
-  // TUI initialization logs its own success message via the emitter
+  if (headless) {
+    initializeHeadless();
+  } else {
+    initializeUI();
+    // TUI initialization logs its own success message via the emitter
+  }
+  initializeFileLog(); // Log files, in either mode
+  emitter.emit('log', { level: 'info', message: '⚙️ Effective configuration:' });
+  describeConfig().forEach(line => emitter.emit('log', { level: 'info', message: `   ${line}` }));
+  initializeNotifier();
+  if (!flags.once) {
+    // One-shot runs exit too soon to be controlled or scraped
+    startControlServer();
+    initializeMetrics();
+    startMetricsServer();
+  }
 
   // 2. Start the Bot Logic
   // This loads tokens, schedules the first check-in, and starts emitting events.
   // Use setImmediate to ensure the TUI is fully set up before bot logic starts emitting heavily.
   setImmediate(() => {
-    startBot();
+    const starting = flags.once ? runOnceAndExit() : startBot();
+    starting.catch((error) => {
+      // Scheduled cycles log their own failures; this is the bot failing to start (or the one-shot cycle failing)
+      const what = flags.once ? 'Check-in cycle' : 'Bot startup';
+      emitter.emit('log', { level: 'error', message: `🚨 ${what} failed: ${error.message}` }); // Reaches the log file
+      destroyUI();
+      console.error(chalk.redBright(`🚨 ${what} failed:`), error);
+      handleShutdown('startup failure', EXIT_CODES.FATAL);
+    });
   });
 
 } catch (error) {
    console.error(chalk.redBright('🚨 Critical error during application startup:'));
    console.error(error);
-   process.exit(1); // Exit immediately if core components fail to initialize
+   process.exit(EXIT_CODES.FATAL); // Exit immediately if core components fail to initialize
 }
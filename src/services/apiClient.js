@@ -3,104 +3,243 @@
 
 import axios from 'axios';
 import emitter from '../events.js'; // For logging API interactions
+import { ERROR_CLASSES, SignError, classifyRequestError } from './errors.js';
+import { getConfig } from '../config.js';
+import { formatAccountName, redactToken } from '../utils/tokenLoader.js';
+import { redact } from '../utils/redact.js';
+import { createTokenBucket } from '../utils/rateLimiter.js';
+import { memeSignTask } from '../tasks/memeSign.js';
+import { simulateRequest } from './simulatedClient.js';
+import { quarantineResponse } from '../utils/quarantine.js';
 
-// Define the API endpoint URL
-const CORESKY_SIGN_IN_URL = 'https://www.coresky.com/api/taskwall/meme/sign';
+// Retry policy limits (attempt count, timeout and base delay come from config)
+const BACKOFF_MAX_MS = 60000; // Upper bound for the exponential delay
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000; // Give up instead of honoring a longer Retry-After
+const UNEXPECTED_BODY_LOG_LENGTH = 300; // Characters of an unexpected response body to log
 
-// Define a standard User-Agent string
-const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 CoreSkyClient/1.0'; // Example User Agent
+// --- State ---
+const lastResponses = new Map(); // token -> last raw response, for the TUI's account detail view
+let requestLimiter = null; // { config, bucket }: token bucket for the current config
 
 /**
- * Performs the daily sign-in action for a given account token.
- *
+ * Delays execution for a specified amount of time.
+ * @param {number} ms - Milliseconds to delay.
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Shortens text for a log line.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+const truncate = (text, maxLength) => (text.length > maxLength ? `${text.slice(0, maxLength)}...` : text);
+
+/**
+ * Computes how long to wait before the next attempt.
+ * Honors the server's Retry-After when present, otherwise uses exponential backoff with jitter.
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @param {number | null} retryAfterMs - Delay requested by the server, if any.
+ * @returns {number | null} Delay in ms, or null if the requested delay is too long to wait for.
+ */
+function getRetryDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) {
+    return retryAfterMs <= MAX_RETRY_AFTER_MS ? retryAfterMs : null;
+  }
+  const exponential = Math.min(getConfig().retryBaseMs * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+  const jitter = Math.random() * exponential * 0.2; // Up to +20% so accounts don't retry in lockstep
+  return Math.round(exponential + jitter);
+}
+
+/**
+ * Returns the token bucket that paces sign-in requests (maxRequestsPerSecond, requestBurst).
+ * All workers share it; a new one is made when the config is reloaded.
+ * @returns {import('../utils/rateLimiter.js').TokenBucket}
+ */
+function getRequestLimiter() {
+  const config = getConfig();
+  if (!requestLimiter || requestLimiter.config !== config) {
+    requestLimiter = { config, bucket: createTokenBucket({ ratePerSecond: config.maxRequestsPerSecond, capacity: config.requestBurst }) };
+  }
+  return requestLimiter.bucket;
+}
+
+/**
+ * Remembers the last raw response (or request error) for an account, with the token redacted.
+ * @param {string} token The account's token.
+ * @param {{name: string}} task The task the request was for.
+ * @param {{status?: number | null, data?: *, error?: string | null}} response
+ */
+function rememberResponse(token, task, { status = null, data = null, error = null }) {
+  lastResponses.set(token, { timestamp: Date.now(), task: task.name, status, data: redact(redactToken(data, token)), error: redact(redactToken(error, token)) });
+}
+
+/**
+ * Returns the last raw API response received for a token during this session.
+ * @param {string} token The account's token.
+ * @returns {{timestamp: number, task: string, status: number | null, data: *, error: string | null} | null}
+ * The token is masked wherever the response contained it. Null if no request was made yet.
+ */
+function getLastResponse(token) {
+  return lastResponses.get(token) || null;
+}
+
+/**
+ * Reports how long one HTTP request took ('requestComplete', for the latency metric).
+ * @param {import('../tasks/registry.js').TaskPlugin} task
+ * @param {number} accountIndex
+ * @param {number} sentAt Unix timestamp ms the request was sent.
+ * @param {number | null} status HTTP status, or null without a response.
+ */
+function emitRequestTiming(task, accountIndex, sentAt, status) {
+  emitter.emit('requestComplete', { index: accountIndex, task: task.name, status, durationMs: Date.now() - sentAt });
+}
+
+/**
+ * Sends a single request for a task and interprets the response.
+ * @param {import('../tasks/registry.js').TaskPlugin} task The task to run.
  * @param {string} token The JWT token for the account.
- * @param {number} accountIndex The index of the account (for logging).
+ * @param {string} logPrefix Prefix for log messages.
+ * @param {number} accountIndex The index of the account (tagged on log events).
+ * @param {string | null} label The account's label (for the quarantine file).
  * @returns {Promise<{success: boolean, message: string, reward: number, isDuplicate: boolean}>}
- * An object indicating the outcome of the sign-in attempt.
- * - success: True if the API call was technically successful (HTTP 200).
- * - message: A descriptive message about the outcome.
- * - reward: The points awarded (0 if already signed in or failed).
- * - isDuplicate: True if the API indicated the user already signed in today.
+ * @throws {SignError} For any failed attempt (network, HTTP status, API code or schema problem).
  */
-async function performSign(token, accountIndex) {
-  const logPrefix = `[Account ${accountIndex + 1}]`; // Prefix for log messages
+async function requestTask(task, token, logPrefix, accountIndex, label) {
+  const config = getConfig();
+  const request = task.buildRequest({ token, config });
 
+  // Configure the request headers; the task may add its own
+  const headers = {
+    'Token': token,
+    'User-Agent': config.userAgent,
+    'Accept': 'application/json, text/plain, */*', // Standard accept header
+    'Content-Type': 'application/json;charset=UTF-8', // Specify content type
+    ...request.headers
+  };
+
+  let response;
+  let sentAt = null;
   try {
-    emitter.emit('log', { level: 'info', message: `${logPrefix} 📡 Attempting sign-in...` });
-
-    // Configure the request headers
-    const headers = {
-      'Token': token,
-      'User-Agent': USER_AGENT,
-      'Accept': 'application/json, text/plain, */*', // Standard accept header
-      'Content-Type': 'application/json;charset=UTF-8' // Specify content type
-    };
-
-    // Make the POST request to the Coresky API
-    // Sending an empty object {} as the body, as per the original script
-    const response = await axios.post(CORESKY_SIGN_IN_URL, {}, {
+    await getRequestLimiter().take();
+    sentAt = Date.now();
+    response = await axios.request({
+        method: request.method,
+        url: `${config.apiBaseUrl}${request.path}`,
+        data: request.data,
         headers: headers,
-        timeout: 15000 // Add a timeout (e.g., 15 seconds)
+        timeout: config.requestTimeoutMs,
+        // Hard deadline: `timeout` alone doesn't stop a response that trickles in, which would hold a worker
+        signal: AbortSignal.timeout(config.requestTimeoutMs)
     });
+  } catch (error) {
+    if (sentAt !== null) emitRequestTiming(task, accountIndex, sentAt, error.response ? error.response.status : null);
+    rememberResponse(token, task, error.response
+      ? { status: error.response.status, data: error.response.data }
+      : { error: error.message });
+    throw classifyRequestError(error);
+  }
+  emitRequestTiming(task, accountIndex, sentAt, response.status);
+  rememberResponse(token, task, { status: response.status, data: response.data });
+
+  // --- Response Handling (task specific) ---
+  let outcome;
+  try {
+    outcome = task.interpretResponse({ status: response.status, data: response.data });
+  } catch (error) {
+    // A plugin that trips over the body (rather than throwing a SignError) counts as a schema problem
+    const signError = error instanceof SignError
+      ? error
+      : new SignError(ERROR_CLASSES.SCHEMA, `Could not read the ${task.name} response: ${error.message}`, { cause: error });
+    if (signError.errorClass === ERROR_CLASSES.SCHEMA) {
+      // The body is logged through the emitter (redacted); a raw console.error would corrupt the TUI
+      const body = response.data !== undefined ? JSON.stringify(response.data) : 'empty';
+      emitter.emit('log', { level: 'warn', message: `${logPrefix} Unexpected API response: ${truncate(body, UNEXPECTED_BODY_LOG_LENGTH)}`, accountIndex });
+      // The whole body is kept for later (schema drift: Coresky may have changed its API)
+      const file = quarantineResponse({ task: task.name, accountIndex, label, status: response.status, problem: signError.message, body: response.data });
+      if (file) emitter.emit('log', { level: 'warn', message: `${logPrefix} Response saved to ${file}.`, accountIndex });
+    }
+    if (signError.status === null) signError.status = response.status;
+    throw signError;
+  }
 
-    // --- Response Handling ---
-
-    // Check if the response structure is as expected
-    if (response && response.data && typeof response.data.code !== 'undefined') {
-      const responseData = response.data;
-      const responseCode = responseData.code;
-      const responseMessage = responseData.message || 'No message provided.';
-
-      // --- Success Case (API code 200) ---
-      if (responseCode === 200) {
-        const debugInfo = responseData.debug || {};
-        const taskInfo = debugInfo.task || {};
-        const rewardPoints = taskInfo.rewardPoint || 0;
-
-        if (rewardPoints > 0) {
-          // Successful sign-in with reward
-          const successMsg = `${logPrefix} ✅ Sign-in successful! Reward: ${rewardPoints} points`;
-          emitter.emit('log', { level: 'success', message: successMsg });
-          return { success: true, message: `+${rewardPoints} points`, reward: rewardPoints, isDuplicate: false };
-        } else {
-          // Likely already signed in today (API returns 200 but no reward)
-          const alreadyDoneMsg = `${logPrefix} ⚠️ Already checked in today.`;
-          emitter.emit('log', { level: 'warn', message: alreadyDoneMsg });
-          return { success: true, message: 'Already checked in', reward: 0, isDuplicate: true };
+  const reward = outcome.reward || 0;
+  if (!outcome.isDuplicate) {
+    emitter.emit('log', { level: 'success', message: `${logPrefix} ✅ ${task.title} successful! Reward: ${reward} points`, accountIndex });
+    return { success: true, message: outcome.message || `+${reward} points`, reward, isDuplicate: false };
+  }
+
+  // Already done (the API answers but awards nothing)
+  emitter.emit('log', { level: 'warn', message: `${logPrefix} ⚠️ ${task.title}: already done today.`, accountIndex });
+  return { success: true, message: outcome.message || 'Already done', reward: 0, isDuplicate: true };
+}
+
+/**
+ * Runs a task for an account.
+ * Transient failures (network, timeout, 429, 5xx) are retried with exponential backoff,
+ * up to `maxAttempts` requests in total.
+ *
+ * @param {import('../tasks/registry.js').TaskPlugin} task The task to run.
+ * @param {string} token The JWT token for the account.
+ * @param {number} accountIndex The index of the account (for logging).
+ * @param {string | null} [label] The account's label (for logging).
+ * @returns {Promise<{success: boolean, message: string, reward: number, isDuplicate: boolean, errorClass: string | null, attempts: number, durationMs: number}>}
+ * An object indicating the outcome of the task.
+ * - success: True if the task went through (a new reward or a duplicate).
+ * - message: A descriptive message about the outcome.
+ * - reward: The points awarded (0 if already done or failed).
+ * - isDuplicate: True if the API indicated the task was already done today.
+ * - errorClass: One of ERROR_CLASSES for failures, null on success.
+ * - attempts: Number of requests made.
+ * - durationMs: Time the whole call took, including retry delays.
+ */
+async function performTask(task, token, accountIndex, label = null) {
+  const logPrefix = `[${formatAccountName(accountIndex, label)}]`; // Prefix for log messages
+  const maxAttempts = getConfig().maxAttempts;
+  const startedAt = Date.now();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      emitter.emit('log', { level: 'info', message: `${logPrefix} 📡 ${task.title}${attempt > 1 ? ` (attempt ${attempt}/${maxAttempts})` : ''}...`, accountIndex });
+      // Dry runs never reach Coresky: the simulated client answers instead
+      const result = getConfig().dryRun
+        ? await simulateRequest(task, logPrefix, accountIndex)
+        : await requestTask(task, token, logPrefix, accountIndex, label);
+      return { ...result, errorClass: null, attempts: attempt, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      const signError = classifyRequestError(error);
+      emitter.emit('log', { level: 'error', message: `${logPrefix} ❌ ${task.title} failed [${signError.errorClass}]: ${signError.message}`, accountIndex });
+
+      const retryDelay = signError.isTransient && attempt < maxAttempts
+        ? getRetryDelay(attempt, signError.retryAfterMs)
+        : null;
+
+      if (retryDelay === null) {
+        if (signError.isTransient && attempt < maxAttempts) {
+          emitter.emit('log', { level: 'warn', message: `${logPrefix} Server asked to wait ${Math.round(signError.retryAfterMs / 1000)}s, which is too long. Giving up for now.`, accountIndex });
         }
+        const message = signError.errorClass === ERROR_CLASSES.API_CODE || signError.errorClass === ERROR_CLASSES.SCHEMA
+          ? signError.message
+          : `Request Error (${signError.errorClass}): ${signError.message}`;
+        return { success: false, message, reward: 0, isDuplicate: false, errorClass: signError.errorClass, attempts: attempt, durationMs: Date.now() - startedAt };
       }
-      // --- Failure Case (API code !== 200) ---
-      else {
-        const failureMsg = `${logPrefix} ❌ Sign-in failed! API Code: ${responseCode}, Message: ${responseMessage}`;
-        emitter.emit('log', { level: 'error', message: failureMsg });
-        return { success: false, message: `API Error (${responseCode}): ${responseMessage}`, reward: 0, isDuplicate: false };
-      }
-    }
-    // --- Unexpected Response Structure ---
-    else {
-      const unexpectedMsg = `${logPrefix} ❌ Received unexpected response structure from API.`;
-      emitter.emit('log', { level: 'error', message: unexpectedMsg });
-      console.error("Unexpected API Response:", response.data); // Log raw response for debugging
-      return { success: false, message: 'Unexpected API response format', reward: 0, isDuplicate: false };
-    }
 
-  } catch (error) {
-    // --- Network or Axios Error Handling ---
-    let errorMsg = `${logPrefix} 🚨 Network or request error during sign-in: ${error.message}`;
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      errorMsg += ` | Status: ${error.response.status}, Data: ${JSON.stringify(error.response.data)}`;
-    } else if (error.request) {
-      // The request was made but no response was received
-      errorMsg += ` | No response received from server. Check network or API status.`;
-    } else {
-      // Something happened in setting up the request that triggered an Error
-       errorMsg += ` | Error setting up request.`;
+      emitter.emit('log', { level: 'wait', message: `${logPrefix} Retrying in ${(retryDelay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${maxAttempts})...`, accountIndex });
+      await delay(retryDelay);
     }
-     emitter.emit('log', { level: 'error', message: errorMsg });
-    return { success: false, message: `Request Error: ${error.message}`, reward: 0, isDuplicate: false };
   }
 }
 
-export { performSign }; // Export the function
+/**
+ * Performs the daily meme sign-in for a given account token (the meme-sign task, see performTask).
+ * @param {string} token The JWT token for the account.
+ * @param {number} accountIndex The index of the account (for logging).
+ * @param {string | null} [label] The account's label (for logging).
+ * @returns {Promise<object>} Same as performTask().
+ */
+function performSign(token, accountIndex, label = null) {
+  return performTask(memeSignTask, token, accountIndex, label);
+}
+
+export { performTask, performSign, getLastResponse };
@@ -0,0 +1,134 @@
+// src/services/controlServer.js
+// Opt-in HTTP control API for remote checks over localhost (e.g. through an SSH tunnel).
+// Bound to 127.0.0.1 only, and every request must carry the shared secret in the X-Control-Secret header.
+// The endpoints call the same bot controls as the TUI keys.
+
+import http from 'http';
+import crypto from 'crypto';
+import emitter from '../events.js';
+import { getConfig } from '../config.js';
+import { redact } from '../utils/redact.js';
+import { getHistorySnapshot } from '../utils/historyStore.js';
+import { runNow, pauseScheduler, resumeScheduler, reloadAccounts, getBotStatus, getAccountResults } from '../botLogic.js';
+
+const LOOPBACK_HOST = '127.0.0.1';
+const SECRET_HEADER = 'x-control-secret';
+
+/**
+ * Endpoints by method and path. Each handler returns [statusCode, body].
+ * POST handlers answer 409 when the action had nothing to do (already running, already paused...).
+ */
+const ROUTES = {
+  'GET /status': () => [200, getBotStatus()],
+  'GET /accounts': () => [200, { accounts: getAccountResults() }],
+  'GET /history': () => [200, getHistorySnapshot()],
+  'POST /run': () => (runNow() ? [202, { started: true }] : [409, { error: 'A check-in cycle is already running.' }]),
+  'POST /pause': () => (pauseScheduler() ? [200, { paused: true }] : [409, { error: 'The scheduler is already paused.' }]),
+  'POST /resume': () => (resumeScheduler() ? [200, { paused: false }] : [409, { error: 'The scheduler is not paused.' }]),
+  // A reload requested during a cycle is applied when the cycle ends
+  'POST /reload': () => {
+    const applied = reloadAccounts();
+    if (applied === null) return [500, { error: 'The wallet could not be read. The loaded accounts are kept.' }];
+    return [applied ? 200 : 202, { deferred: !applied }];
+  },
+};
+
+// --- State ---
+let server = null;
+
+/**
+ * Compares the request's secret with the configured one in constant time.
+ * @param {string | undefined} provided
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function isAuthorized(provided, expected) {
+  if (typeof provided !== 'string') return false;
+  // Hashing first gives equal lengths, which timingSafeEqual requires
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * Writes a JSON response. Bodies go through the same redaction as every other output.
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {object} body
+ * @param {Object<string, string>} [headers]
+ */
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(redact(body)));
+}
+
+/**
+ * Handles one request.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function handleRequest(req, res) {
+  if (!isAuthorized(req.headers[SECRET_HEADER], getConfig().controlSecret)) {
+    sendJson(res, 401, { error: 'Missing or wrong X-Control-Secret header.' });
+    return;
+  }
+
+  const { pathname } = new URL(req.url, `http://${LOOPBACK_HOST}`);
+  const route = ROUTES[`${req.method} ${pathname}`];
+  if (!route) {
+    const allowed = Object.keys(ROUTES).filter(key => key.endsWith(` ${pathname}`)).map(key => key.split(' ')[0]);
+    if (allowed.length > 0) sendJson(res, 405, { error: `Use ${allowed.join(', ')} for ${pathname}.` }, { Allow: allowed.join(', ') });
+    else sendJson(res, 404, { error: `Unknown endpoint ${pathname}.` });
+    return;
+  }
+
+  // Say where the action came from; the controls log what they did themselves
+  if (req.method === 'POST') emitter.emit('log', { level: 'info', message: `🌐 Control API: ${req.method} ${pathname}` });
+  try {
+    const [statusCode, body] = route();
+    sendJson(res, statusCode, body);
+  } catch (error) {
+    emitter.emit('log', { level: 'error', message: `Control API ${req.method} ${pathname} failed: ${error.message}` });
+    sendJson(res, 500, { error: 'Internal error.' });
+  }
+}
+
+/**
+ * Starts the control API if enabled in the config.
+ * @returns {Promise<number | null>} The port listened on, or null if disabled or it couldn't start.
+ */
+function startControlServer() {
+  const { controlApi, controlPort } = getConfig();
+  if (!controlApi || server) return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const starting = http.createServer(handleRequest);
+    server = starting;
+    starting.once('error', (error) => {
+      // A busy port shouldn't stop the bot itself
+      emitter.emit('log', { level: 'error', message: `Control API could not start on ${LOOPBACK_HOST}:${controlPort}: ${error.message}` });
+      if (server === starting) server = null;
+      resolve(null);
+    });
+    starting.listen(controlPort, LOOPBACK_HOST, () => {
+      const { port } = starting.address();
+      emitter.emit('log', { level: 'info', message: `🌐 Control API listening on http://${LOOPBACK_HOST}:${port}` });
+      resolve(port);
+    });
+  });
+}
+
+/**
+ * Stops the control API.
+ * @returns {Promise<void>}
+ */
+function stopControlServer() {
+  if (!server) return Promise.resolve();
+  const closing = server;
+  server = null;
+  return new Promise(resolve => {
+    closing.close(() => resolve());
+    closing.closeAllConnections();
+  });
+}
+
+export { startControlServer, stopControlServer };
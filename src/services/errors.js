@@ -0,0 +1,118 @@
+// src/services/errors.js
+// Error taxonomy for Coresky API calls, plus helpers to classify axios errors.
+
+// Every failed sign-in result carries exactly one of these classes
+const ERROR_CLASSES = Object.freeze({
+  NETWORK: 'network', // No response (DNS, refused, reset)
+  TIMEOUT: 'timeout', // Request exceeded the client timeout
+  RATE_LIMITED: 'rate_limited', // HTTP 429
+  SERVER: 'server', // HTTP 5xx
+  AUTH: 'auth', // HTTP 401/403 or an auth error code in the body
+  API_CODE: 'api_code', // Request rejected (other 4xx, or a non-200 `code` in the body)
+  SCHEMA: 'schema', // Response body didn't have the expected shape
+});
+
+// Classes worth retrying: the same request may succeed a bit later
+const TRANSIENT_ERROR_CLASSES = new Set([
+  ERROR_CLASSES.NETWORK,
+  ERROR_CLASSES.TIMEOUT,
+  ERROR_CLASSES.RATE_LIMITED,
+  ERROR_CLASSES.SERVER,
+]);
+
+/**
+ * Error raised for a failed sign-in attempt, tagged with its error class.
+ */
+class SignError extends Error {
+  /**
+   * @param {string} errorClass One of ERROR_CLASSES.
+   * @param {string} message Human readable description.
+   * @param {{status?: number, retryAfterMs?: number | null, cause?: Error}} [details]
+   */
+  constructor(errorClass, message, { status = null, retryAfterMs = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'SignError';
+    this.errorClass = errorClass;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /** @returns {boolean} True if retrying the request may help. */
+  get isTransient() {
+    return isTransientErrorClass(this.errorClass);
+  }
+}
+
+/**
+ * @param {string | null | undefined} errorClass
+ * @returns {boolean} True if the class is worth retrying.
+ */
+function isTransientErrorClass(errorClass) {
+  return TRANSIENT_ERROR_CLASSES.has(errorClass);
+}
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date).
+ * @param {string | number | undefined} headerValue
+ * @param {number} [now=Date.now()]
+ * @returns {number | null} Delay in ms, or null if absent/unparseable.
+ */
+function parseRetryAfter(headerValue, now = Date.now()) {
+  if (headerValue === undefined || headerValue === null || headerValue === '') return null;
+
+  const seconds = Number(headerValue);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(headerValue);
+  if (Number.isFinite(date)) {
+    return Math.max(0, date - now);
+  }
+  return null;
+}
+
+/**
+ * Converts an axios error into a SignError with the matching class.
+ * @param {Error & {code?: string, response?: object, request?: object}} error
+ * @returns {SignError}
+ */
+function classifyRequestError(error) {
+  if (error instanceof SignError) return error;
+
+  // The server responded with a non-2xx status
+  if (error.response) {
+    const status = error.response.status;
+    const headers = error.response.headers || {};
+
+    if (status === 429) {
+      return new SignError(ERROR_CLASSES.RATE_LIMITED, `Rate limited (HTTP 429)`, {
+        status,
+        retryAfterMs: parseRetryAfter(headers['retry-after']),
+        cause: error,
+      });
+    }
+    if (status === 401 || status === 403) {
+      return new SignError(ERROR_CLASSES.AUTH, `Authentication rejected (HTTP ${status})`, { status, cause: error });
+    }
+    if (status >= 500) {
+      return new SignError(ERROR_CLASSES.SERVER, `Server error (HTTP ${status})`, {
+        status,
+        retryAfterMs: parseRetryAfter(headers['retry-after']),
+        cause: error,
+      });
+    }
+    return new SignError(ERROR_CLASSES.API_CODE, `Request rejected (HTTP ${status})`, { status, cause: error });
+  }
+
+  // Timeouts (axios uses ECONNABORTED for its own timeout, ETIMEDOUT comes from the socket,
+  // ERR_CANCELED means the request's deadline signal fired)
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.code === 'ERR_CANCELED' || /timeout/i.test(error.message || '')) {
+    return new SignError(ERROR_CLASSES.TIMEOUT, `Request timed out: ${error.message}`, { cause: error });
+  }
+
+  // The request was sent (or attempted) but no response came back
+  return new SignError(ERROR_CLASSES.NETWORK, `Network error: ${error.message}`, { cause: error });
+}
+
+export { ERROR_CLASSES, SignError, classifyRequestError, isTransientErrorClass, parseRetryAfter };
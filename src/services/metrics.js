@@ -0,0 +1,198 @@
+// src/services/metrics.js
+// Prometheus metrics: derived from the emitter events and served as text on /metrics.
+// The metrics server is optional and separate from the control API, so scrapers don't need its secret.
+
+import http from 'http';
+import emitter from '../events.js';
+import { getConfig } from '../config.js';
+import { ERROR_CLASSES } from './errors.js';
+
+// Outcomes counted by coresky_sign_attempts_total
+const OUTCOMES = ['success', 'duplicate', 'expired', 'api_error', 'network_error'];
+// Upper bounds (seconds) of the request latency histogram buckets (requests time out after requestTimeoutMs)
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// --- State ---
+let metrics = createMetrics();
+let listeners = []; // [eventName, handler] pairs, kept so they can be removed
+let server = null;
+
+/**
+ * Creates zeroed metric values.
+ * @returns {object}
+ */
+function createMetrics() {
+  return {
+    signAttempts: Object.fromEntries(OUTCOMES.map(outcome => [outcome, 0])),
+    pointsAwarded: 0,
+    retries: 0,
+    latency: { buckets: LATENCY_BUCKETS.map(() => 0), count: 0, sum: 0 },
+    tokensLoaded: 0,
+    tokensExpiringSoon: 0,
+    nextRunTimestamp: 0,
+    lastSuccessfulCycleTimestamp: 0,
+  };
+}
+
+/**
+ * Maps a checkinResult to the outcome label of coresky_sign_attempts_total.
+ * Tokens rejected by the API count as expired, like tokens that fail the local expiry check.
+ * @param {{success: boolean, isDuplicate: boolean, errorClass: string | null}} result
+ * @returns {string} One of OUTCOMES.
+ */
+function getOutcome({ success, isDuplicate, errorClass }) {
+  if (success) return isDuplicate ? 'duplicate' : 'success';
+  if (errorClass === ERROR_CLASSES.AUTH) return 'expired';
+  if (errorClass === ERROR_CLASSES.NETWORK || errorClass === ERROR_CLASSES.TIMEOUT) return 'network_error';
+  return 'api_error';
+}
+
+/**
+ * Counts a check-in result. Dry-run (simulated) results never reached Coresky and aren't counted.
+ * @param {object} result - checkinResult payload.
+ */
+function recordResult(result) {
+  if (result.simulated) return;
+  metrics.signAttempts[getOutcome(result)]++;
+  if (result.success) metrics.pointsAwarded += result.reward || 0;
+  metrics.retries += Math.max(0, (result.attempts || 0) - 1);
+}
+
+/**
+ * Observes the latency of one sign-in request (each retry is a request of its own).
+ * @param {{durationMs: number}} request - requestComplete payload.
+ */
+function recordRequest({ durationMs }) {
+  const seconds = durationMs / 1000;
+  LATENCY_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) metrics.latency.buckets[i]++;
+  });
+  metrics.latency.count++;
+  metrics.latency.sum += seconds;
+}
+
+/**
+ * Updates the expiring-soon gauge from an expiry forecast.
+ * @param {{expiringBeforeNextRun: object[], expiringSoon: object[]}} report
+ */
+function recordExpiry({ expiringBeforeNextRun = [], expiringSoon = [] }) {
+  metrics.tokensExpiringSoon = expiringBeforeNextRun.length + expiringSoon.length;
+}
+
+/**
+ * Unix ms to Prometheus seconds (0 when unset).
+ * @param {number | null} timestamp
+ * @returns {number}
+ */
+const toSeconds = (timestamp) => (timestamp ? timestamp / 1000 : 0);
+
+/**
+ * Renders the current metrics in the Prometheus text exposition format.
+ * @returns {string}
+ */
+function renderMetrics() {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples);
+  };
+
+  metric('coresky_sign_attempts_total', 'counter', 'Account sign-ins by outcome.',
+    OUTCOMES.map(outcome => `coresky_sign_attempts_total{outcome="${outcome}"} ${metrics.signAttempts[outcome]}`));
+  metric('coresky_points_awarded_total', 'counter', 'Points awarded by new check-ins.', [`coresky_points_awarded_total ${metrics.pointsAwarded}`]);
+  metric('coresky_sign_retries_total', 'counter', 'Sign-in requests beyond the first per account and cycle.', [`coresky_sign_retries_total ${metrics.retries}`]);
+  metric('coresky_sign_duration_seconds', 'histogram', 'Latency of a sign-in request; every retry is observed on its own.', [
+    ...LATENCY_BUCKETS.map((bound, i) => `coresky_sign_duration_seconds_bucket{le="${bound}"} ${metrics.latency.buckets[i]}`),
+    `coresky_sign_duration_seconds_bucket{le="+Inf"} ${metrics.latency.count}`,
+    `coresky_sign_duration_seconds_sum ${metrics.latency.sum}`,
+    `coresky_sign_duration_seconds_count ${metrics.latency.count}`,
+  ]);
+  metric('coresky_tokens_loaded', 'gauge', 'Accounts selected for check-in.', [`coresky_tokens_loaded ${metrics.tokensLoaded}`]);
+  metric('coresky_tokens_expiring_soon', 'gauge', 'Tokens expiring before the next run or within expiryWarningDays.', [`coresky_tokens_expiring_soon ${metrics.tokensExpiringSoon}`]);
+  metric('coresky_next_run_timestamp_seconds', 'gauge', 'Next scheduled run (0 if none).', [`coresky_next_run_timestamp_seconds ${metrics.nextRunTimestamp}`]);
+  metric('coresky_last_successful_cycle_timestamp_seconds', 'gauge', 'End of the last cycle without failures (0 if none yet).',
+    [`coresky_last_successful_cycle_timestamp_seconds ${metrics.lastSuccessfulCycleTimestamp}`]);
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Starts deriving metrics from the emitter events.
+ */
+function initializeMetrics() {
+  stopMetrics();
+  metrics = createMetrics();
+
+  const handlers = {
+    checkinResult: recordResult,
+    requestComplete: recordRequest,
+    statusUpdate: ({ tokensLoaded, nextRunTimestamp }) => {
+      metrics.tokensLoaded = tokensLoaded;
+      metrics.nextRunTimestamp = toSeconds(nextRunTimestamp);
+    },
+    expiryReport: recordExpiry,
+    cycleComplete: (cycle) => {
+      recordExpiry(cycle.expiry || {});
+      if (cycle.failed === 0 && !cycle.simulated) metrics.lastSuccessfulCycleTimestamp = toSeconds(cycle.finishedAt);
+    },
+  };
+  listeners = Object.entries(handlers);
+  listeners.forEach(([event, handler]) => emitter.on(event, handler));
+}
+
+/**
+ * Stops deriving metrics.
+ */
+function stopMetrics() {
+  listeners.forEach(([event, handler]) => emitter.off(event, handler));
+  listeners = [];
+}
+
+/**
+ * Starts the /metrics server if metricsPort is set.
+ * @returns {Promise<number | null>} The port listened on, or null if disabled or it couldn't start.
+ */
+function startMetricsServer() {
+  const { metricsPort, metricsHost } = getConfig();
+  if (metricsPort === null || server) return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const starting = http.createServer((req, res) => {
+      if (req.method !== 'GET' || new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found. Metrics are served on GET /metrics.\n');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(renderMetrics());
+    });
+    server = starting;
+    starting.once('error', (error) => {
+      // A busy port shouldn't stop the bot itself
+      emitter.emit('log', { level: 'error', message: `Metrics server could not start on ${metricsHost}:${metricsPort}: ${error.message}` });
+      if (server === starting) server = null;
+      resolve(null);
+    });
+    starting.listen(metricsPort, metricsHost, () => {
+      const { port } = starting.address();
+      emitter.emit('log', { level: 'info', message: `📈 Prometheus metrics on http://${metricsHost}:${port}/metrics` });
+      resolve(port);
+    });
+  });
+}
+
+/**
+ * Stops the /metrics server.
+ * @returns {Promise<void>}
+ */
+function stopMetricsServer() {
+  if (!server) return Promise.resolve();
+  const closing = server;
+  server = null;
+  return new Promise(resolve => {
+    closing.close(() => resolve());
+    closing.closeAllConnections();
+  });
+}
+
+export { initializeMetrics, stopMetrics, renderMetrics, startMetricsServer, stopMetricsServer };
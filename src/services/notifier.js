@@ -0,0 +1,295 @@
+// src/services/notifier.js
+// Outbound notifications: when a cycle ends, sends a summary of its report to the configured targets
+// (JSON webhook, Discord, Telegram, local command).
+
+import axios from 'axios';
+import { spawn } from 'child_process';
+import emitter from '../events.js';
+import { classifyRequestError } from './errors.js';
+import { getConfig } from '../config.js';
+import { formatAccountName } from '../utils/tokenLoader.js';
+import { formatDuration } from '../utils/auth.js';
+
+// Message size limits of the chat services (longer messages are cut)
+const DISCORD_MAX_LENGTH = 2000;
+const TELEGRAM_MAX_LENGTH = 4096;
+const COMMAND_STDERR_TAIL = 300; // Characters of a failed command's stderr to include in the log
+
+const DEFAULT_TEMPLATE = [
+  'Coresky check-in {{status}}: {{succeeded}}/{{total}} ok, {{failed}} failed, {{skipped}} already done today (+{{reward}} points).',
+  '{{failures}}',
+  '{{expiring}}',
+  'Next run: {{nextRun}}',
+].join('\n');
+
+// --- State ---
+const pendingDeliveries = new Set(); // In-flight deliveries, so one-shot runs can wait for them
+let listeners = []; // [eventName, handler] pairs, kept so they can be removed
+
+/**
+ * Delays execution for a specified amount of time.
+ * @param {number} ms - Milliseconds to delay.
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Lists the notification targets enabled in the config.
+ * @param {object} [config=getConfig()]
+ * @returns {Array<{type: 'webhook' | 'discord' | 'telegram' | 'command'}>}
+ */
+function getNotificationTargets(config = getConfig()) {
+  const targets = [];
+  if (config.notifyWebhookUrl) targets.push({ type: 'webhook', url: config.notifyWebhookUrl });
+  if (config.notifyDiscordUrl) targets.push({ type: 'discord', url: config.notifyDiscordUrl });
+  if (config.notifyTelegramToken) {
+    targets.push({ type: 'telegram', url: `${config.notifyTelegramApiUrl}/bot${config.notifyTelegramToken}/sendMessage`, chatId: config.notifyTelegramChatId });
+  }
+  if (config.notifyCommand) targets.push({ type: 'command', command: config.notifyCommand });
+  return targets;
+}
+
+/**
+ * Replaces {{name}} placeholders. Unknown placeholders are left as they are.
+ * @param {string} template - Template text. A literal "\n" (as typed in .env files) becomes a newline.
+ * @param {Object<string, *>} variables
+ * @returns {string} The message, without empty lines left by empty placeholders.
+ */
+function renderTemplate(template, variables) {
+  return template
+    .replace(/\\n/g, '\n')
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in variables ? String(variables[name]) : match))
+    .split('\n')
+    .filter(line => line.trim())
+    .join('\n');
+}
+
+/**
+ * Builds the notification for a finished cycle.
+ * @param {object} cycle - The 'cycleComplete' event payload.
+ * @param {object[]} results - The cycle's processed accounts (see getProcessedAccounts).
+ * @param {string | null} [template] - Custom template (defaults to DEFAULT_TEMPLATE).
+ * @returns {{status: 'OK' | 'PARTIAL' | 'FAILED', text: string, variables: object}}
+ */
+function buildCycleNotification(cycle, results, template = null) {
+  const status = cycle.total === 0 || cycle.succeeded === 0 ? 'FAILED' : cycle.failed > 0 ? 'PARTIAL' : 'OK';
+  const failedResults = results.filter(result => !result.success);
+  const expiry = cycle.expiry || { expired: [], expiringBeforeNextRun: [], expiringSoon: [] };
+  const expiring = [
+    ...expiry.expiringBeforeNextRun.map(entry => ({ ...entry, note: 'before the next run' })),
+    ...expiry.expiringSoon.map(entry => ({ ...entry, note: 'soon' })),
+  ];
+
+  const variables = {
+    status,
+    total: cycle.total,
+    succeeded: cycle.succeeded,
+    failed: cycle.failed,
+    skipped: cycle.skipped,
+    reward: cycle.points ?? results.reduce((sum, result) => sum + (result.reward || 0), 0),
+    newCheckins: cycle.newCheckins ?? '',
+    duplicates: cycle.duplicates ?? '',
+    expiredTokens: cycle.expiredTokens ?? '',
+    duration: cycle.durationMs !== undefined ? `${Math.round(cycle.durationMs / 1000)}s` : '',
+    failures: failedResults.length === 0 ? '' : ['Failed:', ...failedResults.map(result =>
+      `- ${formatAccountName(result.index, result.label)}${result.task ? ` [${result.task}]` : ''}: ${result.message}${result.errorClass ? ` (${result.errorClass})` : ''}`)].join('\n'),
+    expiring: expiring.length === 0 ? '' : ['Tokens expiring:', ...expiring.map(entry =>
+      `- ${formatAccountName(entry.index, entry.label)}: in ${formatDuration(entry.expiresInMs)} (${entry.note})`)].join('\n'),
+    nextRun: cycle.nextRunTimestamp ? new Date(cycle.nextRunTimestamp).toLocaleString() : 'not scheduled',
+    time: new Date(cycle.finishedAt || Date.now()).toLocaleString(),
+  };
+
+  return { status, text: renderTemplate(template || DEFAULT_TEMPLATE, variables), variables };
+}
+
+/**
+ * Whether a cycle is worth notifying about under the 'failures' setting.
+ * @param {object} cycle - The 'cycleComplete' event payload.
+ * @returns {boolean} True if an account failed or a token needs replacing soon.
+ */
+function needsAttention(cycle) {
+  const expiry = cycle.expiry || { expiringBeforeNextRun: [], expiringSoon: [] };
+  return cycle.total === 0 || cycle.failed > 0 || expiry.expiringBeforeNextRun.length > 0 || expiry.expiringSoon.length > 0;
+}
+
+/**
+ * Runs the notification command with the payload as JSON on stdin.
+ * The message text and status are also passed as CORESKY_NOTIFY_MESSAGE / CORESKY_NOTIFY_STATUS.
+ * @param {string} command - Shell command line.
+ * @param {object} payload - The webhook payload.
+ * @param {number} timeoutMs - The command is killed after this long.
+ * @returns {Promise<void>} Rejects if the command fails or exits non-zero.
+ */
+function runCommand(command, payload, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'ignore', 'pipe'],
+      env: { ...process.env, CORESKY_NOTIFY_MESSAGE: payload.text, CORESKY_NOTIFY_STATUS: payload.status },
+    });
+    let stderr = '';
+    const timer = setTimeout(() => child.kill(), timeoutMs);
+
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.stdin.on('error', () => {}); // The command may exit without reading stdin
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve();
+      const reason = signal ? `killed (${signal})` : `exited with code ${code}`;
+      reject(new Error(`Command ${reason}${stderr.trim() ? `: ${stderr.trim().slice(-COMMAND_STDERR_TAIL)}` : ''}`));
+    });
+
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+/**
+ * Sends a notification to one target (a single attempt).
+ * @param {{type: string, url?: string, chatId?: string, command?: string}} target
+ * @param {object} payload - { event, status, text, summary, results, expiry }
+ * @returns {Promise<void>}
+ */
+async function sendToTarget(target, payload) {
+  const { requestTimeoutMs, userAgent } = getConfig();
+  const options = { timeout: requestTimeoutMs, headers: { 'User-Agent': userAgent, 'Content-Type': 'application/json' } };
+
+  switch (target.type) {
+    case 'webhook':
+      await axios.post(target.url, payload, options);
+      return;
+    case 'discord':
+      await axios.post(target.url, { content: payload.text.slice(0, DISCORD_MAX_LENGTH) }, options);
+      return;
+    case 'telegram':
+      await axios.post(target.url, { chat_id: target.chatId, text: payload.text.slice(0, TELEGRAM_MAX_LENGTH), disable_web_page_preview: true }, options);
+      return;
+    case 'command':
+      await runCommand(target.command, payload, requestTimeoutMs);
+      return;
+    default:
+      throw new Error(`Unknown notification target "${target.type}".`);
+  }
+}
+
+/**
+ * Sends a notification to one target, retrying transient failures with exponential backoff.
+ * HTTP 4xx responses (other than 429) are not retried; failed commands are.
+ * @param {object} target - From getNotificationTargets().
+ * @param {object} payload
+ * @returns {Promise<boolean>} True if delivered.
+ */
+async function deliver(target, payload) {
+  const { notifyMaxAttempts, retryBaseMs } = getConfig();
+
+  for (let attempt = 1; attempt <= notifyMaxAttempts; attempt++) {
+    try {
+      await sendToTarget(target, payload);
+      emitter.emit('log', { level: 'info', message: `🔔 Notification sent (${target.type}).` });
+      return true;
+    } catch (error) {
+      const classified = target.type === 'command' ? null : classifyRequestError(error);
+      const retryable = !classified || classified.isTransient;
+      const reason = classified ? classified.message : error.message;
+
+      if (!retryable || attempt === notifyMaxAttempts) {
+        emitter.emit('log', { level: 'error', message: `🔔 Notification failed (${target.type}) after ${attempt} attempt(s): ${reason}` });
+        return false;
+      }
+      emitter.emit('log', { level: 'warn', message: `🔔 Notification attempt ${attempt}/${notifyMaxAttempts} failed (${target.type}): ${reason}. Retrying...` });
+      await delay(retryBaseMs * 2 ** (attempt - 1));
+    }
+  }
+  return false;
+}
+
+/**
+ * The cycle report's rows for accounts and tasks that ran (not the ones already done today).
+ * Taken from the report rather than collected from checkinResult events, which single-account re-runs emit too.
+ * @param {object} cycle - The 'cycleComplete' event payload.
+ * @returns {object[]}
+ */
+function getProcessedAccounts(cycle) {
+  return (cycle.accounts || []).filter(account => account.outcome !== 'already_done');
+}
+
+/**
+ * Sends the summary of a finished cycle to every target (unless filtered by notifyOn).
+ * @param {object} cycle - The 'cycleComplete' event payload.
+ * @returns {Promise<void>}
+ */
+async function notifyCycle(cycle) {
+  const results = getProcessedAccounts(cycle);
+  const config = getConfig();
+  const targets = getNotificationTargets(config);
+  if (targets.length === 0) return;
+  if (config.notifyOn === 'failures' && !needsAttention(cycle)) return;
+
+  const { status, text } = buildCycleNotification(cycle, results, config.notifyTemplate);
+  if (config.dryRun) {
+    // Show what would have been sent instead of alerting anyone about simulated results
+    emitter.emit('log', { level: 'info', message: `🔔 Notification not sent (${targets.map(target => target.type).join(', ')}): ${text}` });
+    return;
+  }
+  const { expiry, accounts, reportFiles, ...summary } = cycle;
+  const payload = { event: 'cycleComplete', status, text, summary, results, expiry };
+
+  await Promise.all(targets.map(target => deliver(target, payload)));
+}
+
+/**
+ * Tracks a delivery so flushNotifications() can wait for it.
+ * @param {Promise<void>} promise - Must not reject.
+ */
+function trackDelivery(promise) {
+  pendingDeliveries.add(promise);
+  promise.finally(() => pendingDeliveries.delete(promise));
+}
+
+/**
+ * Starts listening for cycle ends. Does nothing without configured targets.
+ */
+function initializeNotifier() {
+  stopNotifier();
+  const targets = getNotificationTargets();
+  if (targets.length === 0) return;
+
+  const onCycleComplete = (cycle) => {
+    trackDelivery(notifyCycle(cycle).catch(error => {
+      emitter.emit('log', { level: 'error', message: `🔔 Failed to build notification: ${error.message}` });
+    }));
+  };
+  emitter.on('cycleComplete', onCycleComplete);
+  listeners = [['cycleComplete', onCycleComplete]];
+
+  emitter.emit('log', { level: 'info', message: `🔔 Notifications enabled (${getConfig().notifyOn}): ${targets.map(target => target.type).join(', ')}` });
+}
+
+/**
+ * Stops listening. Deliveries already in flight still complete.
+ */
+function stopNotifier() {
+  listeners.forEach(([event, handler]) => emitter.off(event, handler));
+  listeners = [];
+}
+
+/**
+ * Waits for every in-flight delivery (e.g. before a one-shot run exits).
+ * @returns {Promise<void>}
+ */
+async function flushNotifications() {
+  await Promise.allSettled([...pendingDeliveries]);
+}
+
+export {
+  initializeNotifier,
+  stopNotifier,
+  flushNotifications,
+  getNotificationTargets,
+  buildCycleNotification,
+  renderTemplate,
+  deliver,
+};
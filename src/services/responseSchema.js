@@ -0,0 +1,83 @@
+// src/services/responseSchema.js
+// Checks API response bodies against the shape a task expects, so a change on Coresky's side
+// ("schema drift") fails loudly instead of being read as a default value.
+
+import { ERROR_CLASSES, SignError } from './errors.js';
+
+const MAX_REPORTED_MISMATCHES = 3; // Mismatches named in the error message
+
+/**
+ * @typedef {object} ResponseSchema
+ * A small subset of JSON Schema. Properties not listed are allowed, so Coresky adding fields isn't drift.
+ * @property {string | string[]} type 'object', 'array', 'string', 'number', 'integer', 'boolean' or 'null' (or a list of them).
+ * @property {Object<string, ResponseSchema>} [properties] Schemas of an object's properties (checked when present).
+ * @property {string[]} [required] Properties an object must have.
+ * @property {ResponseSchema} [items] Schema of every array item.
+ * @property {number} [minimum] Lowest allowed number.
+ */
+
+/**
+ * Names the type of a JSON value as used in schemas.
+ * @param {*} value
+ * @returns {string}
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * @param {*} value
+ * @param {string} type A schema type.
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return Number.isFinite(value);
+  return getType(value) === type;
+}
+
+/**
+ * Lists where a value doesn't match a schema.
+ * @param {*} value
+ * @param {ResponseSchema} schema
+ * @param {string} [where='body'] Path of the value, for the messages.
+ * @returns {string[]} e.g. ['body.debug.task.rewardPoint should be number, got string']; empty if it matches.
+ */
+function findSchemaMismatches(value, schema, where = 'body') {
+  const types = [].concat(schema.type);
+  if (!types.some(type => matchesType(value, type))) {
+    return [`${where} should be ${types.join(' or ')}, got ${getType(value)}`];
+  }
+
+  const mismatches = [];
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    mismatches.push(`${where} should be at least ${schema.minimum}, got ${value}`);
+  }
+  if (getType(value) === 'object') {
+    (schema.required || []).filter(key => !(key in value)).forEach(key => mismatches.push(`${where}.${key} is missing`));
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) mismatches.push(...findSchemaMismatches(value[key], propertySchema, `${where}.${key}`));
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, position) => mismatches.push(...findSchemaMismatches(item, schema.items, `${where}[${position}]`)));
+  }
+  return mismatches;
+}
+
+/**
+ * Throws a schema error if a response body doesn't match the schema.
+ * @param {*} body
+ * @param {ResponseSchema} schema
+ * @throws {SignError} A SCHEMA error naming the first mismatches.
+ */
+function assertResponseSchema(body, schema) {
+  const mismatches = findSchemaMismatches(body, schema);
+  if (mismatches.length === 0) return;
+  const more = mismatches.length > MAX_REPORTED_MISMATCHES ? ` (+${mismatches.length - MAX_REPORTED_MISMATCHES} more)` : '';
+  throw new SignError(ERROR_CLASSES.SCHEMA, `Response schema drift: ${mismatches.slice(0, MAX_REPORTED_MISMATCHES).join('; ')}${more}`);
+}
+
+export { findSchemaMismatches, assertResponseSchema };
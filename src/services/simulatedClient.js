@@ -0,0 +1,119 @@
+// src/services/simulatedClient.js
+// Stand-in for the Coresky API in dry runs (dryRun): answers task requests with scripted or random
+// outcomes, without any network traffic. Results go through the usual retry and cycle logic.
+
+import emitter from '../events.js';
+import { ERROR_CLASSES, SignError } from './errors.js';
+import { getConfig } from '../config.js';
+
+const SIMULATED_REWARD = 10; // Points of a simulated new check-in
+const SIMULATED_LATENCY_MS = { min: 50, max: 400 }; // Simulated response time
+
+// Chance of each outcome when dryRunOutcomes is empty; mostly check-ins, with some of every failure
+const RANDOM_WEIGHTS = {
+  reward: 70,
+  duplicate: 15,
+  [ERROR_CLASSES.SERVER]: 4,
+  [ERROR_CLASSES.TIMEOUT]: 3,
+  [ERROR_CLASSES.NETWORK]: 2,
+  [ERROR_CLASSES.RATE_LIMITED]: 2,
+  [ERROR_CLASSES.AUTH]: 2,
+  [ERROR_CLASSES.API_CODE]: 1,
+  [ERROR_CLASSES.SCHEMA]: 1,
+};
+
+// HTTP status reported with each simulated failure
+const ERROR_STATUSES = {
+  [ERROR_CLASSES.SERVER]: 503,
+  [ERROR_CLASSES.RATE_LIMITED]: 429,
+  [ERROR_CLASSES.AUTH]: 401,
+  [ERROR_CLASSES.API_CODE]: 200,
+  [ERROR_CLASSES.SCHEMA]: 200,
+};
+
+// --- State ---
+let simulation = null; // { config, requests, random }: reset when the config is reloaded
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32), so seeded dry runs repeat exactly.
+ * @param {number} seed
+ * @returns {() => number} Numbers in [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = Math.imul(state ^ (state >>> 15), state | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns the simulation state for the current config.
+ * @returns {{config: object, requests: number, random: () => number}}
+ */
+function getSimulation() {
+  const config = getConfig();
+  if (!simulation || simulation.config !== config) {
+    simulation = { config, requests: 0, random: config.dryRunSeed === null ? Math.random : createRandom(config.dryRunSeed) };
+  }
+  return simulation;
+}
+
+/**
+ * Picks the outcome of the next simulated request: the next scripted one (the list repeats), or a weighted random one.
+ * @returns {string} 'reward', 'duplicate' or one of ERROR_CLASSES.
+ */
+function nextOutcome() {
+  const state = getSimulation();
+  const { dryRunOutcomes } = state.config;
+  const position = state.requests++;
+  if (dryRunOutcomes.length > 0) return dryRunOutcomes[position % dryRunOutcomes.length];
+
+  const total = Object.values(RANDOM_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+  let roll = state.random() * total;
+  for (const [outcome, weight] of Object.entries(RANDOM_WEIGHTS)) {
+    roll -= weight;
+    if (roll < 0) return outcome;
+  }
+  return 'reward';
+}
+
+/**
+ * Describes how outcomes are simulated, for the startup log.
+ * @returns {string}
+ */
+function describeSimulation() {
+  const { dryRunOutcomes, dryRunSeed } = getConfig();
+  if (dryRunOutcomes.length > 0) return `scripted outcomes, in turn: ${dryRunOutcomes.join(', ')}`;
+  return `random outcomes${dryRunSeed === null ? '' : ` (seed ${dryRunSeed})`}`;
+}
+
+/**
+ * Simulates a single request for a task. Same contract as a real request: resolves with the result,
+ * or throws a SignError that performTask() retries or reports as usual.
+ * @param {import('../tasks/registry.js').TaskPlugin} task The task to simulate.
+ * @param {string} logPrefix Prefix for log messages.
+ * @param {number} accountIndex The index of the account (tagged on log events).
+ * @returns {Promise<{success: boolean, message: string, reward: number, isDuplicate: boolean}>}
+ * @throws {SignError} For simulated failures.
+ */
+async function simulateRequest(task, logPrefix, accountIndex) {
+  const outcome = nextOutcome();
+  const { random } = getSimulation();
+  const latency = Math.round(SIMULATED_LATENCY_MS.min + random() * (SIMULATED_LATENCY_MS.max - SIMULATED_LATENCY_MS.min));
+  await new Promise(resolve => setTimeout(resolve, latency));
+
+  if (outcome === 'reward') {
+    emitter.emit('log', { level: 'success', message: `${logPrefix} ✅ ${task.title} successful! Reward: ${SIMULATED_REWARD} points`, accountIndex });
+    return { success: true, message: `+${SIMULATED_REWARD} points`, reward: SIMULATED_REWARD, isDuplicate: false };
+  }
+  if (outcome === 'duplicate') {
+    emitter.emit('log', { level: 'warn', message: `${logPrefix} ⚠️ ${task.title}: already done today.`, accountIndex });
+    return { success: true, message: 'Already done', reward: 0, isDuplicate: true };
+  }
+  throw new SignError(outcome, `Simulated ${outcome} failure`, { status: ERROR_STATUSES[outcome] ?? null });
+}
+
+export { simulateRequest, describeSimulation };
@@ -0,0 +1,63 @@
+// src/tasks/memeSign.js
+// The daily meme sign-in (POST /api/taskwall/meme/sign), the bot's original and default task.
+
+import { ERROR_CLASSES, SignError } from '../services/errors.js';
+import { assertResponseSchema } from '../services/responseSchema.js';
+
+// Every response: an API code (the message is only shown, so anything goes)
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['code'],
+  properties: {
+    code: { type: 'integer' },
+  },
+};
+
+// Successful responses (code 200) always carry debug.task. A rewardPoint that's left out, null or 0 means
+// the account already signed in today; any other shape is drift, never read as "already checked in"
+const SIGNED_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['debug'],
+  properties: {
+    debug: {
+      type: 'object',
+      required: ['task'],
+      properties: {
+        task: { type: 'object', properties: { rewardPoint: { type: ['number', 'null'], minimum: 0 } } },
+      },
+    },
+  },
+};
+
+/** @type {import('./registry.js').TaskPlugin} */
+const memeSignTask = {
+  name: 'meme-sign',
+  title: 'Meme sign-in',
+  schedule: 'daily',
+
+  buildRequest() {
+    // Sending an empty object {} as the body, as per the original script
+    return { method: 'POST', path: '/api/taskwall/meme/sign', data: {} };
+  },
+
+  interpretResponse({ data }) {
+    // Check that the response has the expected structure (throws a schema error otherwise)
+    assertResponseSchema(data, RESPONSE_SCHEMA);
+
+    // --- Failure Case (API code !== 200) ---
+    if (data.code !== 200) {
+      const errorClass = data.code === 401 || data.code === 403 ? ERROR_CLASSES.AUTH : ERROR_CLASSES.API_CODE;
+      throw new SignError(errorClass, `API Error (${data.code}): ${data.message || 'No message provided.'}`);
+    }
+
+    // --- Success Case (API code 200) ---
+    assertResponseSchema(data, SIGNED_RESPONSE_SCHEMA);
+    // No reward means the account already signed in today
+    const rewardPoints = data.debug.task.rewardPoint || 0;
+    return rewardPoints > 0
+      ? { reward: rewardPoints, isDuplicate: false, message: `+${rewardPoints} points` }
+      : { reward: 0, isDuplicate: true, message: 'Already checked in' };
+  },
+};
+
+export { memeSignTask };
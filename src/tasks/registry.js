@@ -0,0 +1,85 @@
+// src/tasks/registry.js
+// Registry of taskwall task plugins. Each account runs the tasks listed in its wallet entry,
+// or the configured `tasks` when it doesn't list any.
+
+import { memeSignTask } from './memeSign.js';
+
+// Task run by accounts that don't list any, unless `tasks` is configured
+const DEFAULT_TASK = memeSignTask.name;
+
+// When a task is due: once per Coresky day (skipped after it succeeded), or in every cycle
+const TASK_SCHEDULES = ['daily', 'every-cycle'];
+
+/**
+ * @typedef {object} TaskPlugin
+ * @property {string} name Unique id, used in wallet files, config, history and events (e.g. 'meme-sign').
+ * @property {string} title Display name for logs (e.g. 'Meme sign-in').
+ * @property {'daily' | 'every-cycle'} schedule When the task is due (see TASK_SCHEDULES).
+ * @property {(context: {token: string, config: object}) => {method: string, path: string, data?: *, headers?: object}} buildRequest
+ * Describes the request. `path` is appended to apiBaseUrl; `headers` are added to the default ones (Token, User-Agent, ...).
+ * @property {(response: {status: number, data: *}) => {reward: number, isDuplicate: boolean, message?: string}} interpretResponse
+ * Reads an HTTP 2xx response. Throws a SignError (see services/errors.js) if the task failed, and a SCHEMA one
+ * if the body doesn't have the expected shape (see assertResponseSchema() in services/responseSchema.js).
+ */
+
+// --- State ---
+const tasks = new Map(); // name -> TaskPlugin, in registration order
+
+/**
+ * Adds a task plugin to the registry.
+ * @param {TaskPlugin} task
+ * @throws {Error} If the plugin is incomplete or its name is taken.
+ */
+function registerTask(task) {
+  const problem =
+    !task || typeof task.name !== 'string' || !/^[a-z0-9-]+$/.test(task.name) ? 'needs a lowercase "name" (letters, digits, dashes)'
+    : tasks.has(task.name) ? 'is already registered'
+    : typeof task.title !== 'string' ? 'needs a "title"'
+    : !TASK_SCHEDULES.includes(task.schedule) ? `needs a "schedule" (${TASK_SCHEDULES.join(' or ')})`
+    : typeof task.buildRequest !== 'function' || typeof task.interpretResponse !== 'function' ? 'needs buildRequest() and interpretResponse()'
+    : null;
+  if (problem) throw new Error(`Task plugin "${task && task.name}" ${problem}.`);
+  tasks.set(task.name, task);
+}
+
+/**
+ * Removes a task plugin (built-in tasks included).
+ * @param {string} name
+ * @returns {boolean} False if no task had that name.
+ */
+function unregisterTask(name) {
+  return tasks.delete(name);
+}
+
+/**
+ * @param {string} name
+ * @returns {TaskPlugin | null}
+ */
+function getTask(name) {
+  return tasks.get(name) || null;
+}
+
+/**
+ * @returns {TaskPlugin[]} Every registered task, in registration order.
+ */
+function listTasks() {
+  return [...tasks.values()];
+}
+
+/**
+ * Looks up task names, e.g. an account's task list.
+ * @param {string[]} names
+ * @returns {{tasks: TaskPlugin[], unknown: string[]}} Known tasks (without repeats, in list order) and the unknown names.
+ */
+function resolveTasks(names) {
+  const unique = [...new Set(names)];
+  return {
+    tasks: unique.filter(name => tasks.has(name)).map(name => tasks.get(name)),
+    unknown: unique.filter(name => !tasks.has(name)),
+  };
+}
+
+// Built-in tasks
+registerTask(memeSignTask);
+
+export { DEFAULT_TASK, TASK_SCHEDULES, registerTask, unregisterTask, getTask, listTasks, resolveTasks };
@@ -60,12 +60,79 @@ function createComponents(screen) {
       inverse: true, // Inverse colors for scrollbar track
     },
     mouse: true, // Enable mouse support for scrolling
+    keys: true, // Arrow keys / j,k scroll when the pane has focus (Tab)
+    vi: true,
+  });
+
+  // --- 2b. Account Table (Bottom Left, toggled with the Main Log) ---
+  const accountTable = blessed.listtable({
+    parent: screen,
+    label: ` ${chalk.bold('👥 Accounts')} ${chalk.gray('[a] Enter: details')} `,
+    tags: true,
+    top: 3, // Same place as the main log
+    left: 0,
+    width: '65%',
+    height: '100%-3',
+    hidden: true, // The main log is shown first
+    border: {
+      type: 'line',
+    },
+    align: 'left',
+    noCellBorders: true,
+    style: {
+      fg: 'white',
+      border: {
+        fg: 'blue',
+      },
+      header: {
+        fg: 'cyan',
+        bold: true,
+      },
+      cell: {
+        selected: {
+          bg: 'blue',
+        },
+      },
+      label: {
+        fg: 'white',
+        bold: true,
+      }
+    },
+    scrollbar: {
+      ch: ' ',
+      inverse: true,
+    },
+    mouse: true,
+    keys: true,
+    vi: true,
+  });
+
+  // --- 2c. Search Prompt (bottom of the Main Log, opened with /) ---
+  const searchBox = blessed.textbox({
+    parent: screen,
+    label: ` ${chalk.bold('🔍 Search')} ${chalk.gray('Enter: keep | Esc: clear')} `,
+    tags: true,
+    bottom: 0,
+    left: 0,
+    width: '65%',
+    height: 3,
+    hidden: true,
+    border: {
+      type: 'line',
+    },
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'yellow',
+      },
+    },
   });
 
   // --- 3. Success Log (Top Right) ---
    const successLog = blessed.log({
     parent: screen,
-    label: ` ${chalk.bold.green('✅ Success Log')} `,
+    label: ` ${chalk.bold.green('✅ Success Log')} ${chalk.gray('[s]')} `,
     tags: true,
     top: 3, // Below banner
     left: '65%', // To the right of the main log
@@ -91,6 +158,43 @@ function createComponents(screen) {
       inverse: true,
     },
     mouse: true,
+    keys: true,
+    vi: true,
+  });
+
+  // --- 3b. Points Ledger (Top Right, toggled with the Success Log) ---
+  const ledgerPanel = blessed.box({
+    parent: screen,
+    label: ` ${chalk.bold.magenta('📈 Points Ledger')} ${chalk.gray('[s]')} `,
+    tags: true,
+    top: 3, // Same place as the success log
+    left: '65%',
+    width: '35%',
+    height: '50%-3',
+    hidden: true, // The success log is shown first
+    border: {
+      type: 'line',
+    },
+    style: {
+      fg: 'white',
+      border: {
+        fg: 'magenta',
+      },
+      label: {
+        fg: 'white',
+        bold: true,
+      }
+    },
+    content: ' No ledger data yet...',
+    scrollable: true,
+    alwaysScroll: false,
+    scrollbar: {
+      ch: ' ',
+      inverse: true,
+    },
+    mouse: true,
+    keys: true,
+    vi: true,
   });
 
   // --- 4. Status Info (Bottom Right) ---
@@ -124,15 +228,87 @@ function createComponents(screen) {
       inverse: true,
     },
     mouse: true,
+    keys: true,
+    vi: true,
   });
 
 
+  // --- 5. Account Detail (centered, opened from the account table) ---
+  const accountDetail = blessed.box({
+    parent: screen,
+    label: ` ${chalk.bold('🔎 Account')} `,
+    tags: true,
+    top: 'center',
+    left: 'center',
+    width: '80%',
+    height: '80%',
+    hidden: true,
+    border: {
+      type: 'line',
+    },
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'cyan',
+      },
+    },
+    padding: {
+      left: 1,
+      right: 1,
+    },
+    scrollable: true,
+    alwaysScroll: true,
+    scrollbar: {
+      ch: ' ',
+      inverse: true,
+    },
+    mouse: true,
+    keys: true,
+    vi: true,
+  });
+
+  // --- 6. Help Overlay (centered, toggled with ?) ---
+  const helpOverlay = blessed.box({
+    parent: screen,
+    label: ` ${chalk.bold('⌨️  Keys')} `,
+    tags: true,
+    top: 'center',
+    left: 'center',
+    width: 68,
+    height: 20, // Sized from the content when shown
+    hidden: true,
+    border: {
+      type: 'line',
+    },
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'white',
+      },
+    },
+    padding: {
+      left: 1,
+      right: 1,
+    },
+    scrollable: true,
+    alwaysScroll: true,
+    mouse: true,
+    // Content is set by the UI from its key bindings
+  });
+
   // Return all created components
   return {
     banner,
     mainLog,
+    accountTable,
+    searchBox,
     successLog,
+    ledgerPanel,
     statusInfo,
+    accountDetail,
+    helpOverlay,
   };
 }
 
@@ -0,0 +1,101 @@
+// src/tui/logFilter.js
+// Filtering and search over the structured log entries kept by the TUI's Main Log.
+// Kept free of blessed so the matching rules can be tested on their own.
+
+const LOG_LEVELS = ['info', 'success', 'warn', 'error', 'wait'];
+
+/**
+ * @typedef {object} LogEntry
+ * @property {string} level - One of LOG_LEVELS (unknown levels are kept as they are).
+ * @property {string} message
+ * @property {number} [accountIndex] - Account the entry is about, if any.
+ * @property {number} timestamp - Unix timestamp ms.
+ */
+
+/**
+ * @typedef {object} LogFilter
+ * @property {Set<string>} hiddenLevels - Levels not shown.
+ * @property {number | null} accountIndex - Only show entries about this account (null: all entries).
+ */
+
+/**
+ * Creates a filter that shows everything.
+ * @returns {LogFilter}
+ */
+function createLogFilter() {
+  return { hiddenLevels: new Set(), accountIndex: null };
+}
+
+/**
+ * Whether an entry passes the filter. Entries without an account are hidden while filtering by account.
+ * @param {LogEntry} entry
+ * @param {LogFilter} filter
+ * @returns {boolean}
+ */
+function matchesFilter(entry, filter) {
+  if (filter.hiddenLevels.has(entry.level)) return false;
+  if (filter.accountIndex !== null && entry.accountIndex !== filter.accountIndex) return false;
+  return true;
+}
+
+/**
+ * Whether an entry's message contains the search query (case-insensitive).
+ * @param {LogEntry} entry
+ * @param {string} query
+ * @returns {boolean}
+ */
+function matchesQuery(entry, query) {
+  return query !== '' && entry.message.toLowerCase().includes(query.toLowerCase());
+}
+
+/**
+ * Returns the positions of the entries matching a search query.
+ * @param {LogEntry[]} entries
+ * @param {string} query
+ * @returns {number[]}
+ */
+function findMatches(entries, query) {
+  const matches = [];
+  entries.forEach((entry, position) => {
+    if (matchesQuery(entry, query)) matches.push(position);
+  });
+  return matches;
+}
+
+/**
+ * Wraps every occurrence of the query in a text (case-insensitive).
+ * @param {string} text
+ * @param {string} query
+ * @param {(match: string) => string} highlight - e.g. a chalk style.
+ * @returns {string}
+ */
+function highlightMatches(text, query, highlight) {
+  if (!query) return text;
+  const lowerText = text.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+  let result = '';
+  let position = 0;
+  let found = lowerText.indexOf(lowerQuery);
+  while (found !== -1) {
+    result += text.slice(position, found) + highlight(text.slice(found, found + query.length));
+    position = found + query.length;
+    found = lowerText.indexOf(lowerQuery, position);
+  }
+  return result + text.slice(position);
+}
+
+/**
+ * Describes an active filter for the Main Log label.
+ * @param {LogFilter} filter
+ * @param {(index: number) => string} nameAccount - Turns an account index into a display name.
+ * @returns {string} e.g. "hiding: info, wait | Main" (empty if nothing is filtered).
+ */
+function describeFilter(filter, nameAccount) {
+  const parts = [];
+  const hidden = LOG_LEVELS.filter(level => filter.hiddenLevels.has(level));
+  if (hidden.length > 0) parts.push(`hiding: ${hidden.join(', ')}`);
+  if (filter.accountIndex !== null) parts.push(nameAccount(filter.accountIndex));
+  return parts.join(' | ');
+}
+
+export { LOG_LEVELS, createLogFilter, matchesFilter, matchesQuery, findMatches, highlightMatches, describeFilter };
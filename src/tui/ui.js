@@ -5,8 +5,16 @@ import blessed from 'blessed';
 import chalk from 'chalk';
 import emitter from '../events.js'; // Listen to events from the bot logic
 import createComponents from './components.js'; // Get the UI elements
-import { stopBot } from '../botLogic.js'; // To cleanly stop the bot on exit
-import { maskToken } from '../utils/tokenLoader.js'; // For masking tokens in status
+import { stopBot, runNow, togglePause, cancelCycle, reloadAccounts, runAccount, getAccountDetails } from '../botLogic.js'; // Bot controls, and a clean stop on exit
+import { maskToken, formatAccountName } from '../utils/tokenLoader.js'; // For masking tokens in status
+import { getConfig } from '../config.js'; // To show the effective config
+import { formatDuration } from '../utils/auth.js'; // For token expiry countdowns
+import { formatSparkline } from '../utils/ledger.js'; // For the 30-day points chart
+import { getTask } from '../tasks/registry.js'; // For task titles
+import { LOG_LEVELS, createLogFilter, matchesFilter, matchesQuery, findMatches, highlightMatches, describeFilter } from './logFilter.js'; // Main Log filters and search
+
+const MAX_LOG_ENTRIES = 2000; // Log entries kept for filtering and search
+const LOG_TRIM_COUNT = 500; // Entries dropped at once when the limit is reached
 
 // --- State ---
 let screen = null;
@@ -17,22 +25,38 @@ let currentStatus = { // Store the latest status data
     nextRunTimestamp: null,
     botStatus: 'INITIALIZING'
 };
-let loadedTokenDetails = []; // Store details like { index, maskedToken, status }
+let loadedTokenDetails = []; // Store details like { index, label, maskedToken, status, lastCheckIn, lastReward, lastMessage, expiresAt }
+let tableIndexes = []; // Account index of each account table row (row 0 is the header)
+let detailIndex = null; // Account shown in the detail view, or null if it's closed
+let lastCycle = null; // The latest 'cycleComplete' payload
+let ledgerData = null; // The latest 'ledgerUpdate' payload
+let logEntries = []; // Every log entry { level, message, accountIndex, timestamp }, oldest first
+let visibleEntries = []; // The entries shown in the Main Log (those passing logFilter)
+let logFilter = createLogFilter(); // Levels and account shown in the Main Log
+let search = { query: '', matches: [], current: -1 }; // Positions in visibleEntries matching the query
 
 // --- Utility Functions ---
 
 /**
  * Formats a timestamp into HH:MM:SS format.
+ * @param {number} [timestamp=Date.now()] - Unix timestamp ms.
  * @returns {string} Formatted timestamp string.
  */
-const getTimestamp = () => {
-  const now = new Date();
+const getTimestamp = (timestamp = Date.now()) => {
+  const now = new Date(timestamp);
   const hours = now.getHours().toString().padStart(2, '0');
   const minutes = now.getMinutes().toString().padStart(2, '0');
   const seconds = now.getSeconds().toString().padStart(2, '0');
   return `[${hours}:${minutes}:${seconds}]`;
 };
 
+/**
+ * Returns a task's display title.
+ * @param {string} name - Task name from a checkinResult.
+ * @returns {string} The title, or the name if the task isn't registered.
+ */
+const getTaskTitle = (name) => (getTask(name) ? getTask(name).title : name);
+
 /**
  * Formats remaining time in seconds into a human-readable string (e.g., 1h 5m 10s).
  * @param {number} totalSeconds - Remaining time in seconds.
@@ -54,28 +78,68 @@ function formatRemainingTime(totalSeconds) {
     return parts.join(' ');
 }
 
+/**
+ * Formats a "last checked in" timestamp for the status pane.
+ * Shows only the time for today, otherwise the date and time.
+ * @param {number | null | undefined} timestamp - Unix timestamp in ms.
+ * @returns {string} Formatted string, or 'never' if there is no timestamp.
+ */
+function formatLastCheckIn(timestamp) {
+    if (!timestamp) return 'never';
+    const date = new Date(timestamp);
+    const time = `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+    if (date.toDateString() === new Date().toDateString()) {
+        return `today ${time}`;
+    }
+    return `${date.toLocaleDateString()} ${time}`;
+}
+
+/**
+ * Formats a token's expiry for the status pane, colored by urgency.
+ * @param {number | null | undefined} expiresAt - Unix timestamp in ms (null if the token has no exp claim).
+ * @param {number} warningDays - Expiries within this many days are highlighted.
+ * @returns {string} Formatted (colored) string.
+ */
+function formatExpiry(expiresAt, warningDays) {
+    if (!expiresAt) return chalk.gray('expiry unknown');
+    const remainingMs = expiresAt - Date.now();
+    if (remainingMs <= 0) return chalk.red('expired');
+    const text = `expires in ${formatDuration(remainingMs)}`;
+    return remainingMs <= warningDays * 24 * 60 * 60 * 1000 ? chalk.yellow(`${text} ⏰`) : chalk.gray(text);
+}
+
+
+/**
+ * Picks the color for an account status.
+ * @param {string} status
+ * @returns {Function} A chalk color function.
+ */
+function getStatusColor(status) {
+    if (status === 'Expired' || status === 'Expired 🚨') return chalk.red;
+    if (status === 'Valid' || status === 'Checked ✅') return chalk.green;
+    if (status === 'Done Today ⚠️') return chalk.yellow;
+    if (status === 'Failed ❌') return chalk.redBright; // Different red for failure vs expired
+    return chalk.white;
+}
 
 /**
  * Updates the content of the Status Info box.
  */
 function updateStatusInfoBox() {
-    if (!components.statusInfo) return; // Guard against component not ready
+    if (!components.statusInfo || !screen) return; // Guard against component not ready (or destroyed)
+
+    const config = getConfig();
 
     let content = '';
-    content += `${chalk.bold('Bot Status:')} ${chalk.cyan(currentStatus.botStatus)}\n`;
+    content += `${chalk.bold('Bot Status:')} ${chalk.cyan(currentStatus.botStatus)}${config.dryRun ? ` ${chalk.bgMagenta.white.bold(' DRY RUN ')}` : ''}\n`;
     content += `${chalk.bold('Tokens Loaded:')} ${currentStatus.tokensLoaded}\n`;
 
-    // Display loaded token details (masked)
+    // Count accounts per status; the per-account view is the account table (a)
     if (loadedTokenDetails.length > 0) {
-        content += `${chalk.bold('Token Status:')}\n`;
-        loadedTokenDetails.forEach(t => {
-            let color = chalk.white;
-            if (t.status === 'Expired' || t.status === 'Expired 🚨') color = chalk.red;
-            else if (t.status === 'Valid' || t.status === 'Checked ✅') color = chalk.green;
-            else if (t.status === 'Done Today ⚠️') color = chalk.yellow;
-            else if (t.status === 'Failed ❌') color = chalk.redBright; // Different red for failure vs expired
-            content += `  Key ${t.index + 1}: ${t.maskedToken} (${color(t.status)})\n`;
-        });
+        const counts = new Map();
+        loadedTokenDetails.forEach(t => counts.set(t.status, (counts.get(t.status) || 0) + 1));
+        const parts = [...counts].map(([status, count]) => getStatusColor(status)(`${count} ${status}`));
+        content += `${chalk.bold('Token Status:')} ${parts.join(', ')} ${chalk.gray('(a: table)')}\n`;
     }
 
 
@@ -85,10 +149,29 @@ function updateStatusInfoBox() {
         const remainingSeconds = Math.max(0, Math.floor(remainingMs / 1000));
         const formattedTime = formatRemainingTime(remainingSeconds);
         content += `${chalk.bold('Next Check-in:')} ${chalk.yellow(formattedTime)}`;
+    } else if (currentStatus.nextRunTimestamp && currentStatus.botStatus === 'PAUSED') {
+        content += `${chalk.bold('Next Check-in:')} ${chalk.magenta(`paused (planned ${new Date(currentStatus.nextRunTimestamp).toLocaleString()})`)}`;
     } else if (currentStatus.botStatus !== 'WAITING') {
          content += `${chalk.bold('Next Check-in:')} ${chalk.gray('N/A')}`;
     }
 
+    // Loud on purpose: every later cycle will fail the same way until the bot is updated
+    if (lastCycle && lastCycle.driftAlert) {
+        content += `\n${chalk.bgRed.white.bold(` ⚠ API DRIFT: ${lastCycle.schemaDrift} accounts `)} ${chalk.red(`see ${config.quarantineFile}`)}`;
+    }
+
+    if (lastCycle) {
+        const color = lastCycle.failed === 0 ? chalk.green : lastCycle.succeeded === 0 ? chalk.red : chalk.yellow;
+        content += `\n${chalk.bold('Last Cycle:')} ${color(`${lastCycle.succeeded}/${lastCycle.total} ok`)}, +${lastCycle.points} pts, ${lastCycle.failed} failed (${formatLastCheckIn(lastCycle.finishedAt)})`;
+    }
+
+    // Effective config (the most relevant values; the full list is logged at startup)
+    content += `\n\n${chalk.bold('Config:')}\n`;
+    content += `  Schedule: ${config.schedule.expression} (${config.schedule.timezone})\n`;
+    content += `  API: ${config.apiBaseUrl}\n`;
+    content += config.vaultFile ? `  Vault: ${config.vaultFile} (encrypted)\n` : `  Wallet: ${config.walletFile}\n`;
+    content += `  Delay: ${config.accountDelayMs / 1000}s | Timeout: ${config.requestTimeoutMs / 1000}s | Attempts: ${config.maxAttempts}`;
+
     components.statusInfo.setContent(content);
     screen.render(); // Re-render the screen after updating content
 }
@@ -97,33 +180,26 @@ function updateStatusInfoBox() {
 // --- Event Handlers ---
 
 /**
- * Handles 'log' events emitted by the bot logic.
- * @param {{ level: string, message: string }} logData - The log data.
+ * Formats a log entry as a colored Main Log line, highlighting search matches.
+ * @param {{ level: string, message: string, timestamp: number }} entry
+ * @param {boolean} [isCurrentMatch=false] - The match selected with n/N gets a stronger highlight.
+ * @returns {string}
  */
-function handleLogEvent({ level, message }) {
-  if (!components.mainLog) return; // Ensure component exists
-
-  const timestamp = getTimestamp();
-  let logLine = `${timestamp} `;
+function formatLogLine(entry, isCurrentMatch = false) {
+  const highlight = isCurrentMatch ? chalk.black.bgMagenta : chalk.black.bgYellow;
+  const message = highlightMatches(entry.message.replace(/\r?\n/g, ' '), search.query, highlight); // One line per entry
+  let logLine = `${getTimestamp(entry.timestamp)} `;
 
   // Add emoji and color based on level
-  switch (level) {
+  switch (entry.level) {
     case 'info':
       logLine += chalk.blue(`ℹ️  ${message}`);
       break;
     case 'success':
       logLine += chalk.green(`✅ ${message}`);
-      // Also add successful check-ins to the success log
-       if (message.includes('Sign-in successful')) {
-           components.successLog?.add(logLine); // Add to success log if it exists
-       }
       break;
     case 'warn':
       logLine += chalk.yellow(`⚠️ ${message}`);
-       // Add "Already checked in" messages to success log as well (for visibility)
-       if (message.includes('Already checked in')) {
-           components.successLog?.add(`${timestamp} ${chalk.yellow(`⚠️ ${message}`)}`);
-       }
       break;
     case 'error':
       logLine += chalk.red(`🚨 ${message}`);
@@ -134,11 +210,164 @@ function handleLogEvent({ level, message }) {
     default: // Keep original message if level is unknown
       logLine += message;
   }
+  return logLine;
+}
+
+/**
+ * Handles 'log' events emitted by the bot logic.
+ * Entries are kept structured so the Main Log can be filtered and searched later.
+ * @param {{ level: string, message: string, accountIndex?: number }} logData - The log data.
+ */
+function handleLogEvent({ level, message, accountIndex }) {
+  if (!components.mainLog) return; // Ensure component exists
+
+  const entry = { level, message, accountIndex, timestamp: Date.now() };
+  logEntries.push(entry);
+  if (logEntries.length > MAX_LOG_ENTRIES) {
+    logEntries.splice(0, LOG_TRIM_COUNT);
+    renderMainLog(); // Drops the trimmed lines from the pane too
+    return;
+  }
+  if (!matchesFilter(entry, logFilter)) return;
 
-  components.mainLog.add(logLine); // Add to the main log
+  visibleEntries.push(entry);
+  if (matchesQuery(entry, search.query)) {
+    search.matches.push(visibleEntries.length - 1);
+    updateMainLogLabel();
+  }
+  components.mainLog.add(formatLogLine(entry)); // Add to the main log
   // No need to call screen.render() here, blessed log handles it
 }
 
+/**
+ * Redraws the Main Log from the stored entries, applying the filter and search highlights.
+ */
+function renderMainLog() {
+  const log = components.mainLog;
+  if (!log) return;
+
+  visibleEntries = logEntries.filter(entry => matchesFilter(entry, logFilter));
+  search.matches = findMatches(visibleEntries, search.query);
+  search.current = Math.min(search.current, search.matches.length - 1);
+  const currentPosition = search.matches[search.current];
+  log.setContent(visibleEntries.map((entry, position) => formatLogLine(entry, position === currentPosition)).join('\n'));
+  updateMainLogLabel();
+  screen.render();
+}
+
+/**
+ * Shows the active filter and search in the Main Log's label.
+ */
+function updateMainLogLabel() {
+  const nameAccount = (index) => {
+    const details = loadedTokenDetails.find(t => t.index === index);
+    return formatAccountName(index, details ? details.label : null);
+  };
+  const parts = [];
+  const description = describeFilter(logFilter, nameAccount);
+  if (description) parts.push(description);
+  if (search.query) {
+    const position = search.matches.length > 0 ? `${search.current + 1}/${search.matches.length}` : 'no matches';
+    parts.push(`/${search.query} ${position}`);
+  }
+  const details = parts.length > 0 ? ` ${chalk.gray(`[${blessed.escape(parts.join(' | '))}]`)}` : '';
+  components.mainLog.setLabel(` ${chalk.bold('📜 Main Log')}${details} `);
+}
+
+/**
+ * Selects a search match and scrolls the Main Log to it.
+ * @param {number} matchNumber - Index into search.matches.
+ */
+function selectMatch(matchNumber) {
+  search.current = matchNumber;
+  renderMainLog();
+  const position = search.matches[search.current];
+  if (position === undefined) return;
+  // After the log's own scroll-to-bottom on new content, which also runs on setImmediate
+  setImmediate(() => {
+    const lines = components.mainLog._clines.ftor[position]; // Wrapped lines of the entry
+    if (lines) components.mainLog.scrollTo(lines[0]);
+    screen.render();
+  });
+}
+
+/**
+ * Sets the search query (as typed) and jumps to the newest match.
+ * @param {string} query
+ */
+function updateSearch(query) {
+  search.query = query;
+  search.matches = findMatches(visibleEntries, query);
+  if (search.matches.length > 0) {
+    selectMatch(search.matches.length - 1);
+    return;
+  }
+  search.current = -1;
+  renderMainLog();
+  if (!query) components.mainLog.setScrollPerc(100); // Back to following new lines
+}
+
+/**
+ * Moves to the next (or previous) search match, wrapping around.
+ * @param {1 | -1} direction
+ */
+function jumpToMatch(direction) {
+  const count = search.matches.length;
+  if (count === 0) return;
+  selectMatch((search.current + direction + count) % count);
+}
+
+/**
+ * Opens the search prompt. The Main Log is searched while typing; Enter keeps the query, Esc clears it.
+ */
+function openSearch() {
+  const box = components.searchBox;
+  if (!box || !box.hidden) return;
+  if (components.mainLog.hidden) toggleAccountTable(); // Search works on the Main Log
+
+  box.setValue(search.query);
+  box.show();
+  box.setFront();
+  screen.render();
+  box.readInput((error, value) => {
+    box.hide();
+    if (value === null || value === undefined) updateSearch(''); // Esc
+    components.mainLog.focus();
+    highlightFocusedPane();
+  });
+}
+
+/**
+ * Shows or hides a log level in the Main Log.
+ * @param {string} level - One of LOG_LEVELS.
+ */
+function toggleLevel(level) {
+  if (logFilter.hiddenLevels.has(level)) logFilter.hiddenLevels.delete(level);
+  else logFilter.hiddenLevels.add(level);
+  renderMainLog();
+}
+
+/**
+ * Filters the Main Log to the next account (all accounts -> account 1 -> ... -> all accounts).
+ */
+function cycleAccountFilter() {
+  const indexes = loadedTokenDetails.map(t => t.index);
+  if (indexes.length === 0) return;
+  const position = logFilter.accountIndex === null ? -1 : indexes.indexOf(logFilter.accountIndex);
+  logFilter.accountIndex = position + 1 < indexes.length ? indexes[position + 1] : null;
+  renderMainLog();
+}
+
+/**
+ * Clears the level and account filters and the search.
+ */
+function clearLogFilters() {
+  logFilter = createLogFilter();
+  search = { query: '', matches: [], current: -1 };
+  renderMainLog();
+  components.mainLog.setScrollPerc(100);
+}
+
 /**
  * Handles 'statusUpdate' events.
  * @param {object} statusData - The new status data.
@@ -166,12 +395,26 @@ function handleTokenStatus(tokenData) {
     // Update or add the token detail
     const existingIndex = loadedTokenDetails.findIndex(t => t.index === tokenData.index);
     if (existingIndex > -1) {
-        loadedTokenDetails[existingIndex] = tokenData;
+        // Keep the known last check-in if this update doesn't carry one
+        const previous = loadedTokenDetails[existingIndex];
+        loadedTokenDetails[existingIndex] = { ...previous, ...tokenData, lastCheckIn: tokenData.lastCheckIn ?? previous.lastCheckIn };
     } else {
         loadedTokenDetails.push(tokenData);
     }
     loadedTokenDetails.sort((a, b) => a.index - b.index); // Keep sorted
     updateStatusInfoBox(); // Update display
+    updateAccountTable();
+}
+
+/**
+ * Handles 'accountsReloaded' events: the account set changed, so drop the old details.
+ * Fresh 'tokenStatus' events for the new set follow right after.
+ */
+function handleAccountsReloaded() {
+    loadedTokenDetails = [];
+    closeAccountDetail(); // Its account may be gone
+    updateStatusInfoBox();
+    updateAccountTable();
 }
 
 /**
@@ -179,11 +422,23 @@ function handleTokenStatus(tokenData) {
  * @param {object} resultData - Data about a check-in attempt.
  */
 function handleCheckinResult(resultData) {
-    // The log event handler already pushes messages to the correct logs based on level.
-    // We might update the token status here if needed (e.g., mark as 'Checked' today).
-    // Example: Update token status visually
+    // New check-ins and duplicates also go to the Success Log (for visibility)
+    if (components.successLog && resultData.success) {
+        const name = formatAccountName(resultData.index, resultData.label);
+        const color = resultData.isDuplicate ? chalk.yellow : chalk.green;
+        const icon = resultData.isDuplicate ? '⚠️' : '✅';
+        const simulated = resultData.simulated ? `${chalk.magenta('[DRY RUN]')} ` : '';
+        components.successLog.add(`${getTimestamp(resultData.timestamp)} ${simulated}${color(`${icon} [${name}] ${getTaskTitle(resultData.task)}: ${resultData.message}`)}`);
+    }
+
+    // Update the token status visually
     const tokenDetail = loadedTokenDetails.find(t => t.index === resultData.index);
     if (tokenDetail) {
+        if (resultData.success) {
+            tokenDetail.lastCheckIn = resultData.timestamp || Date.now();
+            tokenDetail.lastReward = resultData.reward;
+        }
+        tokenDetail.lastMessage = resultData.message;
         if (resultData.success && !resultData.isDuplicate) {
             tokenDetail.status = 'Checked ✅';
         } else if (resultData.isDuplicate) {
@@ -194,10 +449,316 @@ function handleCheckinResult(resultData) {
              tokenDetail.status = 'Failed ❌';
         }
          updateStatusInfoBox(); // Refresh status box with updated token state
+         updateAccountTable();
+         if (detailIndex === resultData.index) renderAccountDetail();
     }
 }
 
 
+/**
+ * Updates the content of the Points Ledger view.
+ */
+function updateLedgerPanel() {
+    if (!components.ledgerPanel || !screen || !ledgerData) return;
+
+    let content = `${chalk.bold('Fleet total:')} ${chalk.magenta(`${ledgerData.fleetTotal.toLocaleString()} pts`)}`;
+    content += ` ${chalk.gray(`(today +${ledgerData.fleetToday})`)}\n`;
+    content += `${chalk.gray('Streak = consecutive days checked in. Chart: last 30 days, · = missed')}\n`;
+
+    ledgerData.accounts.forEach(account => {
+        const name = account.label || `Account ${account.index + 1}`;
+        const streakColor = account.currentStreak > 0 ? chalk.green : chalk.red;
+        content += `\n${chalk.bold(name)} ${chalk.gray(account.maskedToken)}\n`;
+        content += `  ${chalk.magenta(`${account.totalPoints.toLocaleString()} pts`)} | ${streakColor(`🔥 ${account.currentStreak}d`)} ${chalk.gray(`(best ${account.longestStreak}d)`)}\n`;
+        content += `  ${chalk.cyan(formatSparkline(account.daily))}\n`;
+    });
+
+    components.ledgerPanel.setContent(content);
+    screen.render();
+}
+
+/**
+ * Switches the top-right pane between the Success Log and the Points Ledger.
+ */
+function toggleLedgerView() {
+    if (!components.ledgerPanel || !components.successLog) return;
+    const showing = swapPanes(components.successLog, components.ledgerPanel);
+    if (showing === components.ledgerPanel) updateLedgerPanel();
+}
+
+/**
+ * Switches the left pane between the Main Log and the Account Table.
+ */
+function toggleAccountTable() {
+    if (!components.accountTable || !components.mainLog) return;
+    const showing = swapPanes(components.mainLog, components.accountTable);
+    if (showing === components.accountTable) {
+        updateAccountTable();
+        showing.focus(); // So arrows and Enter work right away
+        highlightFocusedPane();
+    }
+}
+
+/**
+ * Shows whichever of two panes sharing a spot is hidden, and hides the other.
+ * @param {blessed.Widgets.BlessedElement} first
+ * @param {blessed.Widgets.BlessedElement} second
+ * @returns {blessed.Widgets.BlessedElement} The pane now shown.
+ */
+function swapPanes(first, second) {
+    const [hiding, showing] = second.hidden ? [first, second] : [second, first];
+    hiding.hide();
+    showing.show();
+    if (screen.focused === hiding) showing.focus(); // Keep focus on a visible pane
+    highlightFocusedPane();
+    return showing;
+}
+
+/**
+ * Handles 'ledgerUpdate' events.
+ * @param {object} data - Fleet and per-account totals, streaks and daily points.
+ */
+function handleLedgerUpdate(data) {
+    ledgerData = data;
+    updateLedgerPanel();
+    updateAccountTable();
+}
+
+/**
+ * Updates the rows of the account table, keeping the selected row.
+ */
+function updateAccountTable() {
+    const table = components.accountTable;
+    if (!table || !screen) return;
+
+    const { expiryWarningDays } = getConfig();
+    const streaks = new Map((ledgerData ? ledgerData.accounts : []).map(account => [account.index, account.currentStreak]));
+    const rows = loadedTokenDetails.map(t => [
+        String(t.index + 1),
+        t.label || `Account ${t.index + 1}`,
+        t.maskedToken,
+        formatExpiry(t.expiresAt, expiryWarningDays),
+        getStatusColor(t.status)(t.status),
+        t.lastReward === null || t.lastReward === undefined ? chalk.gray('-') : `+${t.lastReward}`,
+        streaks.has(t.index) ? `${streaks.get(t.index)}d` : chalk.gray('-'),
+    ]);
+    tableIndexes = loadedTokenDetails.map(t => t.index);
+
+    const selected = table.selected;
+    table.setData([['#', 'Account', 'Token', 'Expires', 'Last result', 'Reward', 'Streak'], ...rows]);
+    table.select(Math.min(Math.max(selected, 1), rows.length)); // Row 0 is the header
+    screen.render();
+}
+
+/**
+ * Draws the detail view for the account in `detailIndex`.
+ */
+function renderAccountDetail() {
+    const view = components.accountDetail;
+    if (!view || detailIndex === null) return;
+
+    const details = getAccountDetails(detailIndex);
+    if (!details) {
+        closeAccountDetail();
+        return;
+    }
+
+    const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : chalk.gray('unknown'));
+    const lines = [
+        `${chalk.bold(details.label || `Account ${details.index + 1}`)}  ${chalk.gray(`#${details.index + 1} ${details.maskedToken}`)}`,
+        `Tags: ${details.tags.length > 0 ? details.tags.join(', ') : chalk.gray('none')} | Tasks: ${details.tasks.length > 0 ? details.tasks.join(', ') : chalk.gray('none')}${details.notes ? ` | Notes: ${blessed.escape(details.notes)}` : ''}`,
+        `Token: subject ${details.subject ?? chalk.gray('unknown')} | issued ${formatDate(details.issuedAt)} | expires ${formatDate(details.expiresAt)} (${formatExpiry(details.expiresAt, getConfig().expiryWarningDays)})`,
+        `Points: ${chalk.magenta(details.totalPoints.toLocaleString())} total | streak ${details.currentStreak}d (best ${details.longestStreak}d)`,
+        '',
+        chalk.bold('Recent check-ins:'),
+    ];
+
+    if (details.recentCheckins.length === 0) {
+        lines.push(chalk.gray('  none yet'));
+    }
+    details.recentCheckins.forEach(record => {
+        const icon = !record.success ? chalk.red('❌') : record.isDuplicate ? chalk.yellow('⚠️') : chalk.green('✅');
+        const errorClass = record.errorClass ? chalk.gray(` [${record.errorClass}]`) : '';
+        lines.push(`  ${formatDate(record.timestamp)}  ${icon} ${chalk.cyan(record.task)} ${blessed.escape(record.message || '')}${errorClass}`);
+    });
+
+    lines.push('', chalk.bold('Last API response:'));
+    if (!details.lastResponse) {
+        lines.push(chalk.gray('  none this session'));
+    } else {
+        const { timestamp, task, status, data, error } = details.lastResponse;
+        lines.push(chalk.gray(`  ${formatDate(timestamp)} | ${task}${status ? ` | HTTP ${status}` : ''}`));
+        const body = error ? `Error: ${error}` : typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+        body.split('\n').forEach(line => lines.push(`  ${blessed.escape(line)}`));
+    }
+
+    lines.push('', chalk.gray('r: re-run this account | ↑/↓: scroll | Esc: close'));
+    view.setContent(lines.join('\n'));
+    screen.render();
+}
+
+/**
+ * Opens the detail view for an account.
+ * @param {number} index - The account's index.
+ */
+function openAccountDetail(index) {
+    if (!components.accountDetail) return;
+    detailIndex = index;
+    components.accountDetail.show();
+    components.accountDetail.setFront();
+    components.accountDetail.focus();
+    renderAccountDetail();
+}
+
+/**
+ * Closes the detail view and returns focus to the account table.
+ */
+function closeAccountDetail() {
+    if (!components.accountDetail || detailIndex === null) return;
+    detailIndex = null;
+    components.accountDetail.hide();
+    if (!components.accountTable.hidden) components.accountTable.focus();
+    highlightFocusedPane();
+}
+
+/**
+ * Re-runs the account shown in the detail view, then refreshes the view.
+ */
+async function rerunDetailAccount() {
+    const index = detailIndex;
+    const result = await runAccount(index);
+    if (result && detailIndex === index) renderAccountDetail();
+}
+
+/**
+ * Handles 'cycleComplete' events: prints the cycle summary to the Success Log
+ * and keeps it for the Status Info box.
+ * @param {object} cycleData - The cycle report.
+ */
+function handleCycleComplete(cycleData) {
+    lastCycle = cycleData;
+    if (components.successLog) {
+        const timestamp = getTimestamp();
+        const seconds = Math.round(cycleData.durationMs / 1000);
+        const failures = cycleData.accounts.filter(account => account.outcome === 'failed' || account.outcome === 'schema_drift');
+
+        components.successLog.add(`${timestamp} ${chalk.bold.cyan(`📋 ${cycleData.simulated ? 'Dry run cycle' : 'Cycle'} summary (${seconds}s)`)}`);
+        components.successLog.add(`  ${chalk.green(`New check-ins: ${cycleData.newCheckins} (+${cycleData.points} points)`)}`);
+        components.successLog.add(`  ${chalk.yellow(`Duplicates: ${cycleData.duplicates} | Already done: ${cycleData.skipped}`)}`);
+        components.successLog.add(`  ${chalk.red(`Expired: ${cycleData.expiredTokens} | Failed: ${failures.length}${cycleData.schemaDrift > 0 ? ` (schema drift: ${cycleData.schemaDrift} account(s))` : ''}`)}`);
+        failures.forEach(account => {
+            const name = account.label || `Account ${account.index + 1}`;
+            components.successLog.add(`    ${chalk.red(`${name} ${account.task}: ${account.message}${account.errorClass ? ` (${account.errorClass})` : ''}`)}`);
+        });
+        if (cycleData.driftAlert) {
+            components.successLog.add(`  ${chalk.bgRed.white.bold(` ⚠ API DRIFT: ${cycleData.schemaDrift} accounts got unexpected responses. Coresky may have changed its API. `)}`);
+        }
+    }
+    updateStatusInfoBox();
+}
+
+
+// --- Keyboard Controls ---
+
+/**
+ * Every key the TUI handles. Also the source of the help overlay.
+ * `keys` are blessed key names; `label` is what the help shows.
+ */
+const KEY_BINDINGS = [
+    { keys: ['r'], label: 'r', description: 'Run a cycle now (account details: re-run that account)', action: () => (detailIndex !== null ? rerunDetailAccount() : runNow()) },
+    { keys: ['p'], label: 'p', description: 'Pause / resume the scheduler', action: () => togglePause() },
+    { keys: ['c'], label: 'c', description: 'Cancel the running cycle (after the running accounts)', action: () => cancelCycle() },
+    { keys: ['l'], label: 'l', description: 'Reload tokens from the wallet file', action: () => reloadAccounts() },
+    { keys: ['s'], label: 's', description: 'Toggle Success Log / Points Ledger', action: () => toggleLedgerView() },
+    { keys: ['a'], label: 'a', description: 'Toggle Main Log / Account Table', action: () => toggleAccountTable() },
+    { keys: ['enter'], label: 'Enter', description: 'Open the selected account (Account Table)', action: null }, // Handled by the table
+    { keys: ['/'], label: '/', description: 'Search the Main Log (Enter: keep, Esc: clear)', action: () => openSearch() },
+    { keys: ['n'], label: 'n / N', description: 'Next / previous search match', action: () => jumpToMatch(1) },
+    { keys: ['S-n'], label: null, action: () => jumpToMatch(-1) }, // Covered by the n line
+    ...LOG_LEVELS.map((level, i) => ({
+        keys: [String(i + 1)],
+        label: i === 0 ? `1-${LOG_LEVELS.length}` : null, // One help line for all levels
+        description: `Show / hide ${LOG_LEVELS.join(', ')} logs`,
+        action: () => toggleLevel(level),
+    })),
+    { keys: ['f'], label: 'f', description: 'Filter the Main Log by account (cycles)', action: () => cycleAccountFilter() },
+    { keys: ['0'], label: '0', description: 'Clear log filters and search', action: () => clearLogFilters() },
+    { keys: ['tab'], label: 'Tab', description: 'Focus next pane (Shift+Tab: previous)', action: () => cycleFocus(1) },
+    { keys: ['S-tab'], label: null, action: () => cycleFocus(-1) }, // Covered by the Tab line
+    { keys: ['up', 'down', 'k', 'j'], label: '↑/↓ j/k', description: 'Scroll the focused pane', action: null }, // Handled by the panes
+    { keys: ['?'], label: '?', description: 'Show / hide this help', action: () => toggleHelp() },
+    { keys: ['q', 'C-c'], label: 'q / Ctrl+C', description: 'Quit', action: () => quit() },
+];
+
+/**
+ * Returns the panes Tab cycles through, in order (hidden panes are skipped).
+ * @returns {blessed.Widgets.BoxElement[]}
+ */
+function getFocusablePanes() {
+    return [components.mainLog, components.accountTable, components.successLog, components.ledgerPanel, components.statusInfo]
+        .filter(pane => pane && !pane.hidden);
+}
+
+/**
+ * Moves keyboard focus to the next (or previous) pane and highlights its border.
+ * @param {1 | -1} direction
+ */
+function cycleFocus(direction) {
+    const panes = getFocusablePanes();
+    if (panes.length === 0) return;
+    const current = panes.indexOf(screen.focused);
+    const next = panes[(current + direction + panes.length) % panes.length];
+    next.focus();
+    highlightFocusedPane();
+}
+
+/**
+ * Draws the focused pane's border in white, restoring the others' colors.
+ */
+function highlightFocusedPane() {
+    [components.mainLog, components.accountTable, components.successLog, components.ledgerPanel, components.statusInfo].forEach(pane => {
+        if (!pane) return;
+        pane.originalBorderColor = pane.originalBorderColor || pane.style.border.fg;
+        pane.style.border.fg = pane === screen.focused ? 'white' : pane.originalBorderColor;
+    });
+    screen.render();
+}
+
+/**
+ * Shows or hides the help overlay.
+ */
+function toggleHelp() {
+    const overlay = components.helpOverlay;
+    if (!overlay) return;
+    if (overlay.hidden) {
+        const lines = KEY_BINDINGS
+            .filter(binding => binding.label)
+            .map(binding => `${chalk.bold.cyan(binding.label.padEnd(11))} ${binding.description}`);
+        overlay.setContent([...lines, '', chalk.gray('Press ? or Esc to close.')].join('\n'));
+        overlay.height = Math.min(lines.length + 4, screen.height); // The lines, a blank line, the footer and the borders (scrolls on a short terminal)
+        overlay.show();
+        overlay.setFront();
+    } else {
+        overlay.hide();
+    }
+    screen.render();
+}
+
+/**
+ * Stops the bot, tears down the TUI and exits.
+ */
+function quit() {
+    emitter.emit('log', { level: 'info', message: 'Exit requested. Cleaning up...' });
+    stopBot(); // Stop any scheduled bot tasks
+    if (statusUpdateInterval) {
+        clearInterval(statusUpdateInterval); // Clear the status update timer
+    }
+    screen.destroy(); // Destroy the blessed screen
+    console.log(chalk.blueBright('\n👋 TUI closed. Goodbye!'));
+    process.exit(0); // Exit the process cleanly
+}
+
+
 // --- Initialization and Cleanup ---
 
 /**
@@ -222,18 +783,27 @@ function initializeUI() {
   emitter.on('statusUpdate', handleStatusUpdate);
   emitter.on('tokenStatus', handleTokenStatus); // Listen for individual token status
   emitter.on('checkinResult', handleCheckinResult); // Listen for check-in results
-
-  // --- Handle Clean Exit ---
-  screen.key(['escape', 'q', 'C-c'], (ch, key) => {
-    emitter.emit('log', { level: 'info', message: 'Exit requested. Cleaning up...' });
-    stopBot(); // Stop any scheduled bot tasks
-    if (statusUpdateInterval) {
-        clearInterval(statusUpdateInterval); // Clear the status update timer
-    }
-    screen.destroy(); // Destroy the blessed screen
-    console.log(chalk.blueBright('\n👋 TUI closed. Goodbye!'));
-    process.exit(0); // Exit the process cleanly
+  emitter.on('accountsReloaded', handleAccountsReloaded); // Wallet file was hot-reloaded
+  emitter.on('cycleComplete', handleCycleComplete); // End-of-cycle summary
+  emitter.on('ledgerUpdate', handleLedgerUpdate); // Points totals and streaks
+
+  // --- Keyboard Controls ---
+  KEY_BINDINGS.filter(binding => binding.action).forEach(binding => screen.key(binding.keys, binding.action));
+  // Esc closes the help overlay or the account detail if one is open, otherwise it quits (as before)
+  screen.key(['escape'], () => {
+    if (!components.helpOverlay.hidden) toggleHelp();
+    else if (detailIndex !== null) closeAccountDetail();
+    else quit();
+  });
+  components.accountTable.on('select', (item, row) => {
+    if (row > 0 && tableIndexes[row - 1] !== undefined) openAccountDetail(tableIndexes[row - 1]);
   });
+  // Incremental search: the prompt's value changes after its own keypress handler runs
+  components.searchBox.on('keypress', () => setImmediate(() => {
+    if (!components.searchBox.hidden) updateSearch(components.searchBox.value);
+  }));
+  components.mainLog.focus();
+  highlightFocusedPane();
 
   // Initial rendering of the screen
   screen.render();
@@ -245,6 +815,21 @@ function initializeUI() {
   return { screen, components };
 }
 
+/**
+ * Destroys the screen and stops the countdown timer, if the TUI was initialized.
+ */
+function destroyUI() {
+  if (statusUpdateInterval) {
+    clearInterval(statusUpdateInterval);
+    statusUpdateInterval = null;
+  }
+  if (screen) {
+    screen.destroy();
+    screen = null;
+  }
+}
+
 export default initializeUI;
+export { destroyUI };
 
 // created by crypto with shashi
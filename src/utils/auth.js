@@ -3,17 +3,21 @@
 
 import jwt from 'jsonwebtoken';
 import emitter from '../events.js'; // For logging potential issues
+import { formatAccountName } from './tokenLoader.js';
 
 /**
  * Checks if a JWT token is expired or invalid.
  *
  * @param {string} token The JWT token string.
  * @param {number} accountIndex The index of the account this token belongs to (for logging).
+ * @param {string | null} [label] The account's label (for logging).
  * @returns {boolean} True if the token is expired or invalid, false otherwise.
  */
-function isTokenExpiredOrInvalid(token, accountIndex) {
+function isTokenExpiredOrInvalid(token, accountIndex, label = null) {
+  const logPrefix = `[${formatAccountName(accountIndex, label)}]`;
+
   if (!token) {
-     emitter.emit('log', { level: 'warn', message: `[Account ${accountIndex + 1}] Provided token is empty.` });
+     emitter.emit('log', { level: 'warn', message: `${logPrefix} Provided token is empty.`, accountIndex });
     return true; // Treat empty token as invalid
   }
 
@@ -28,25 +32,100 @@ function isTokenExpiredOrInvalid(token, accountIndex) {
       const isExpired = currentTime >= expirationTime;
 
       if (isExpired) {
-         emitter.emit('log', { level: 'warn', message: `[Account ${accountIndex + 1}] Token is expired.` });
+         emitter.emit('log', { level: 'warn', message: `${logPrefix} Token is expired.`, accountIndex });
       }
       // Uncomment for debugging:
       // else {
       //   const expiresIn = Math.round((expirationTime - currentTime) / 1000 / 60); // minutes
-      //   emitter.emit('log', { level: 'info', message: `[Account ${accountIndex + 1}] Token valid, expires in approx ${expiresIn} minutes.` });
+      //   emitter.emit('log', { level: 'info', message: `${logPrefix} Token valid, expires in approx ${expiresIn} minutes.` });
       // }
 
       return isExpired; // Return true if expired, false if valid
     } else {
       // Token was decoded but didn't have an 'exp' claim or it wasn't a number
-       emitter.emit('log', { level: 'warn', message: `[Account ${accountIndex + 1}] Token decoded but lacks valid 'exp' claim.` });
+       emitter.emit('log', { level: 'warn', message: `${logPrefix} Token decoded but lacks valid 'exp' claim.`, accountIndex });
       return true; // Treat as invalid if 'exp' is missing or invalid
     }
   } catch (error) {
     // Handle potential errors during decoding (e.g., malformed token)
-     emitter.emit('log', { level: 'error', message: `[Account ${accountIndex + 1}] Failed to decode token: ${error.message}` });
+     emitter.emit('log', { level: 'error', message: `${logPrefix} Failed to decode token: ${error.message}`, accountIndex });
     return true; // Treat as invalid if decoding fails
   }
 }
 
-export { isTokenExpiredOrInvalid };
+/**
+ * Decodes a token's claims without logging, for display and forecasting.
+ *
+ * @param {string} token The JWT token string.
+ * @param {number} [now=Date.now()] Reference time in ms.
+ * @returns {{decodable: boolean, expiresAt: number | null, issuedAt: number | null, subject: string | null, expiresInMs: number | null, isExpired: boolean}}
+ * Timestamps are Unix ms. Tokens that can't be decoded or have no `exp` count as expired.
+ */
+function getTokenInfo(token, now = Date.now()) {
+  let decoded = null;
+  try {
+    decoded = token ? jwt.decode(token) : null;
+  } catch (error) {
+    decoded = null; // Malformed token
+  }
+
+  if (!decoded || typeof decoded !== 'object') {
+    return { decodable: false, expiresAt: null, issuedAt: null, subject: null, expiresInMs: null, isExpired: true };
+  }
+
+  const expiresAt = typeof decoded.exp === 'number' ? decoded.exp * 1000 : null;
+  const issuedAt = typeof decoded.iat === 'number' ? decoded.iat * 1000 : null;
+  const subject = decoded.sub !== undefined ? String(decoded.sub) : null;
+  const expiresInMs = expiresAt === null ? null : expiresAt - now;
+
+  return { decodable: true, expiresAt, issuedAt, subject, expiresInMs, isExpired: expiresAt === null || expiresInMs <= 0 };
+}
+
+/**
+ * Formats a duration as its two largest units, e.g. "3d 4h", "5h 12m" or "7m".
+ * @param {number} ms Duration in milliseconds.
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const totalMinutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+/**
+ * Forecasts which accounts' tokens run out soon.
+ *
+ * @param {Array<{index: number, label: string | null, token: string}>} accounts Accounts to check.
+ * @param {object} options
+ * @param {number | null} options.nextRunTimestamp Next scheduled run (Unix ms), if any.
+ * @param {number} options.warningDays Warn this many days before expiry.
+ * @param {number} [options.now=Date.now()] Reference time in ms.
+ * @returns {{expired: object[], expiringBeforeNextRun: object[], expiringSoon: object[]}}
+ * Each entry is { index, label, expiresAt, expiresInMs }. Lists don't overlap: a token expiring before
+ * the next run is not repeated in `expiringSoon`.
+ */
+function buildExpiryReport(accounts, { nextRunTimestamp, warningDays, now = Date.now() }) {
+  const warningMs = warningDays * 24 * 60 * 60 * 1000;
+  const report = { expired: [], expiringBeforeNextRun: [], expiringSoon: [] };
+
+  for (const { index, label, token } of accounts) {
+    const info = getTokenInfo(token, now);
+    const entry = { index, label, expiresAt: info.expiresAt, expiresInMs: info.expiresInMs };
+
+    if (info.isExpired) {
+      report.expired.push(entry);
+    } else if (nextRunTimestamp && info.expiresAt <= nextRunTimestamp) {
+      report.expiringBeforeNextRun.push(entry);
+    } else if (info.expiresInMs <= warningMs) {
+      report.expiringSoon.push(entry);
+    }
+  }
+  return report;
+}
+
+export { isTokenExpiredOrInvalid, getTokenInfo, formatDuration, buildExpiryReport };
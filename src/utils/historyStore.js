@@ -0,0 +1,265 @@
+// src/utils/historyStore.js
+// Persists every check-in result to a local JSON file so per-account state survives restarts.
+
+import fs from 'fs';
+import crypto from 'crypto';
+import emitter from '../events.js'; // For logging load/save problems
+import { maskToken } from './tokenLoader.js';
+import { getConfig } from '../config.js';
+
+const MAX_RECORDS_PER_ACCOUNT = 200; // Oldest records are dropped beyond this
+const LEGACY_TASK = 'meme-sign'; // Records written before tasks existed were all meme sign-ins
+
+// --- State ---
+let history = { version: 1, accounts: {} }; // accounts keyed by hashed label (or token) id
+
+// Each account entry: { maskedToken, label?, records: [...], ledger: { totalPoints, days: { 'YYYY-MM-DD': points } } }
+// Records of every task share the account's list; each one names its `task`.
+// The ledger is kept apart from `records` so point totals and streaks survive the record cap.
+
+/**
+ * An account as the history knows it: a token, or an account with its label.
+ * @typedef {string | {token: string, label?: string | null, sharedLabel?: boolean}} AccountKey
+ */
+
+/**
+ * Hashes a value into a short, non-reversible hex id.
+ * @param {string} value
+ * @returns {string}
+ */
+const hashId = (value) => crypto.createHash('sha256').update(value).digest('hex').substring(0, 16);
+
+/**
+ * Derives a stable, non-reversible id for an account: from its label when it has one, so a refreshed
+ * token keeps the account's history, ledger and streak, otherwise from its token. A label that several
+ * accounts share (see markSharedLabels in tokenLoader.js) can't tell them apart, so those use their token too.
+ * The raw token is never written to the history file.
+ * @param {AccountKey} key
+ * @returns {string} A short hex id.
+ */
+function getAccountId(key) {
+  const { token, label, sharedLabel } = typeof key === 'string' ? { token: key, label: null } : key;
+  return label && !sharedLabel ? hashId(`label:${label}`) : hashId(String(token));
+}
+
+/**
+ * Finds an account's history entry. A labelled account whose entry is still keyed by its token
+ * (recorded before it had a label) is found too.
+ * @param {AccountKey} key
+ * @returns {object | undefined}
+ */
+function findAccount(key) {
+  const entry = history.accounts[getAccountId(key)];
+  if (entry || typeof key === 'string') return entry;
+  return history.accounts[getAccountId(key.token)];
+}
+
+/**
+ * Moves labelled accounts still keyed by token (history files from older versions) to their label id.
+ * Only a label with a single such entry and no entry of its own is moved: several entries of one label
+ * may be different accounts sharing it, so they're never merged and stay keyed by token.
+ */
+function rekeyLabelledAccounts() {
+  const byLabelId = new Map();
+  for (const [id, account] of Object.entries(history.accounts)) {
+    const labelId = account.label ? getAccountId({ token: null, label: account.label }) : id;
+    if (labelId !== id) byLabelId.set(labelId, [...(byLabelId.get(labelId) || []), id]);
+  }
+  for (const [labelId, ids] of byLabelId) {
+    if (ids.length > 1 || history.accounts[labelId]) continue;
+    history.accounts[labelId] = history.accounts[ids[0]];
+    delete history.accounts[ids[0]];
+  }
+}
+
+/**
+ * Returns the Coresky day (the UTC calendar date) a timestamp falls in.
+ * Coresky resets daily check-ins at 00:00 UTC.
+ * @param {number} [timestamp=Date.now()] Unix timestamp in ms.
+ * @returns {string} Date in YYYY-MM-DD format.
+ */
+function getCoreskyDay(timestamp = Date.now()) {
+  return new Date(timestamp).toISOString().substring(0, 10);
+}
+
+/**
+ * Returns the task a history record belongs to.
+ * @param {{task?: string}} record
+ * @returns {string}
+ */
+const getRecordTask = (record) => record.task || LEGACY_TASK;
+
+/**
+ * Adds the points ledger to an account entry that doesn't have one yet,
+ * rebuilding it from the records still on file (history files from older versions).
+ * @param {object} account An account entry of the history.
+ */
+function ensureLedger(account) {
+  if (account.ledger) return;
+  account.ledger = { totalPoints: 0, days: {} };
+  for (const record of account.records) {
+    if (record.success) addToLedger(account.ledger, record.day, record.reward);
+  }
+}
+
+/**
+ * Adds a successful check-in to a ledger.
+ * @param {{totalPoints: number, days: Object<string, number>}} ledger
+ * @param {string} day Coresky day (YYYY-MM-DD).
+ * @param {number} reward Points earned (0 for duplicates).
+ */
+function addToLedger(ledger, day, reward) {
+  ledger.days[day] = (ledger.days[day] || 0) + (reward || 0);
+  ledger.totalPoints += reward || 0;
+}
+
+/**
+ * Loads the history file into memory. Missing or unreadable files start an empty history.
+ */
+function loadHistory() {
+  const historyPath = getConfig().historyFile;
+  try {
+    if (!fs.existsSync(historyPath)) {
+      history = { version: 1, accounts: {} };
+      return;
+    }
+    const parsed = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+    if (!parsed || typeof parsed.accounts !== 'object' || parsed.accounts === null) {
+      throw new Error('missing "accounts" object');
+    }
+    history = parsed;
+    Object.values(history.accounts).forEach(account => {
+      ensureLedger(account);
+      account.records.forEach(record => { record.task = getRecordTask(record); }); // Older files have no task
+    });
+    rekeyLabelledAccounts();
+    const accountCount = Object.keys(history.accounts).length;
+    emitter.emit('log', { level: 'info', message: `🗂️ Loaded check-in history for ${accountCount} account(s).` });
+  } catch (error) {
+    emitter.emit('log', { level: 'error', message: `Failed to read history file ${historyPath}: ${error.message}. Starting with empty history.` });
+    history = { version: 1, accounts: {} };
+  }
+}
+
+/**
+ * Writes the in-memory history to disk.
+ * Writes to a temp file first and renames it, so a crash never leaves a half-written file.
+ * Dry runs keep their simulated results in memory only.
+ */
+function saveHistory() {
+  if (getConfig().dryRun) return;
+  const historyPath = getConfig().historyFile;
+  const tempPath = `${historyPath}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify(history, null, 2));
+    fs.renameSync(tempPath, historyPath);
+  } catch (error) {
+    emitter.emit('log', { level: 'error', message: `Failed to save history file ${historyPath}: ${error.message}` });
+  }
+}
+
+/**
+ * Appends a check-in result for an account and saves the history.
+ * @param {AccountKey} key The account (or token) the result belongs to.
+ * @param {{success: boolean, task?: string, message: string, reward: number, isDuplicate: boolean, errorClass?: string | null, timestamp?: number}} result
+ */
+function recordCheckin(key, result) {
+  const accountId = getAccountId(key);
+  const token = typeof key === 'string' ? key : key.token;
+  const timestamp = result.timestamp || Date.now();
+
+  const existing = findAccount(key);
+  if (existing && !history.accounts[accountId]) {
+    delete history.accounts[getAccountId(token)]; // Recorded before the account had a label: move it to the label id
+  }
+  history.accounts[accountId] = existing || { maskedToken: maskToken(token), records: [], ledger: { totalPoints: 0, days: {} } };
+  const account = history.accounts[accountId];
+  ensureLedger(account);
+  account.maskedToken = maskToken(token); // The current token, after a refresh
+  // For readability. Shared labels aren't kept, so later loads never move the entry to a label id
+  if (typeof key !== 'string' && key.label && !key.sharedLabel) account.label = key.label;
+
+  account.records.push({
+    timestamp,
+    day: getCoreskyDay(timestamp),
+    task: result.task || LEGACY_TASK,
+    success: result.success,
+    isDuplicate: result.isDuplicate,
+    reward: result.reward || 0,
+    message: result.message,
+    errorClass: result.errorClass || null,
+  });
+  if (result.success) {
+    addToLedger(account.ledger, getCoreskyDay(timestamp), result.reward);
+  }
+  if (account.records.length > MAX_RECORDS_PER_ACCOUNT) {
+    account.records = account.records.slice(-MAX_RECORDS_PER_ACCOUNT);
+  }
+
+  saveHistory();
+}
+
+/**
+ * Returns the most recent successful check-in (new or duplicate) for an account.
+ * @param {AccountKey} key The account (or token).
+ * @param {string | null} [task=null] Only look at this task's records (null: any task).
+ * @returns {object | null} The history record, or null if the account never checked in.
+ */
+function getLastCheckin(key, task = null) {
+  const account = findAccount(key);
+  if (!account) return null;
+
+  for (let i = account.records.length - 1; i >= 0; i--) {
+    const record = account.records[i];
+    if (record.success && (task === null || getRecordTask(record) === task)) return record;
+  }
+  return null;
+}
+
+/**
+ * Returns an account's most recent history records, newest first.
+ * @param {AccountKey} key The account (or token).
+ * @param {number} [limit=10] Maximum number of records.
+ * @returns {object[]} History records (empty if the account has no history).
+ */
+function getRecentCheckins(key, limit = 10) {
+  const account = findAccount(key);
+  if (!account) return [];
+  return account.records.slice(-limit).reverse();
+}
+
+/**
+ * Checks whether an account already has a successful check-in for the current Coresky day.
+ * @param {AccountKey} key The account (or token).
+ * @param {number} [now=Date.now()] Reference time in ms.
+ * @param {string | null} [task=null] Only count this task's check-ins (null: any task).
+ * @returns {boolean}
+ */
+function hasCheckedInToday(key, now = Date.now(), task = null) {
+  const last = getLastCheckin(key, task);
+  return Boolean(last && last.day === getCoreskyDay(now));
+}
+
+/**
+ * Returns an account's points ledger.
+ * @param {AccountKey} key The account (or token).
+ * @returns {{totalPoints: number, days: Object<string, number>}} A copy; empty if the account has no history.
+ * `days` maps every Coresky day with a successful check-in to the points earned that day.
+ */
+function getLedger(key) {
+  const account = findAccount(key);
+  if (!account) return { totalPoints: 0, days: {} };
+  ensureLedger(account);
+  return { totalPoints: account.ledger.totalPoints, days: { ...account.ledger.days } };
+}
+
+/**
+ * Returns a copy of the whole history: every account (by hashed label or token id) with its records and ledger.
+ * Tokens only appear masked.
+ * @returns {{version: number, accounts: Object<string, object>}}
+ */
+function getHistorySnapshot() {
+  return structuredClone(history);
+}
+
+export { loadHistory, getHistorySnapshot, recordCheckin, getLastCheckin, getRecentCheckins, hasCheckedInToday, getLedger, getCoreskyDay, getAccountId };
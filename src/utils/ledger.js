@@ -0,0 +1,114 @@
+// src/utils/ledger.js
+// Points and streak analytics built from the per-account ledger in the check-in history.
+// A streak is the number of consecutive Coresky days (UTC) with a successful check-in.
+
+import { getLedger, getCoreskyDay } from './historyStore.js';
+import { maskToken } from './tokenLoader.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SPARKLINE_DAYS = 30;
+const SPARKLINE_BARS = '▁▂▃▄▅▆▇█';
+const SPARKLINE_MISSED = '·'; // Day without a check-in
+
+/**
+ * Moves a Coresky day by a number of days.
+ * @param {string} day Day in YYYY-MM-DD format.
+ * @param {number} offset Days to add (negative to go back).
+ * @returns {string} Day in YYYY-MM-DD format.
+ */
+function shiftDay(day, offset) {
+  return getCoreskyDay(Date.parse(`${day}T00:00:00Z`) + offset * DAY_MS);
+}
+
+/**
+ * Computes the current and longest check-in streaks.
+ * A streak still counts as current if the last check-in was yesterday (today's run may not have happened yet).
+ * Any missed day breaks it.
+ * @param {Object<string, number>} days Days with a successful check-in (from the ledger).
+ * @param {string} [today=getCoreskyDay()] The current Coresky day.
+ * @returns {{current: number, longest: number}}
+ */
+function computeStreaks(days, today = getCoreskyDay()) {
+  const checkedIn = (day) => Object.prototype.hasOwnProperty.call(days, day);
+
+  let current = 0;
+  let day = checkedIn(today) ? today : shiftDay(today, -1);
+  while (checkedIn(day)) {
+    current++;
+    day = shiftDay(day, -1);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const checkInDay of Object.keys(days).sort()) {
+    run = previous && shiftDay(previous, 1) === checkInDay ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = checkInDay;
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Returns the points earned per day over the last `length` days, oldest first.
+ * @param {Object<string, number>} days Days with a successful check-in (from the ledger).
+ * @param {string} [today=getCoreskyDay()] The last day of the series.
+ * @param {number} [length=SPARKLINE_DAYS]
+ * @returns {Array<number | null>} Points per day, or null for days without a check-in.
+ */
+function getDailySeries(days, today = getCoreskyDay(), length = SPARKLINE_DAYS) {
+  const series = [];
+  for (let offset = length - 1; offset >= 0; offset--) {
+    const day = shiftDay(today, -offset);
+    series.push(day in days ? days[day] : null);
+  }
+  return series;
+}
+
+/**
+ * Draws a daily series as a sparkline. Bars are scaled to the series' maximum;
+ * days without a check-in are drawn as a dot.
+ * @param {Array<number | null>} series From getDailySeries().
+ * @returns {string}
+ */
+function formatSparkline(series) {
+  const max = Math.max(0, ...series.filter(points => points !== null));
+  return series.map(points => {
+    if (points === null) return SPARKLINE_MISSED;
+    if (max === 0) return SPARKLINE_BARS[0];
+    return SPARKLINE_BARS[Math.round((points / max) * (SPARKLINE_BARS.length - 1))];
+  }).join('');
+}
+
+/**
+ * Builds the ledger view of a set of accounts.
+ * @param {import('./tokenLoader.js').Account[]} accounts
+ * @param {number} [now=Date.now()] Reference time in ms.
+ * @returns {{fleetTotal: number, fleetToday: number, accounts: Array<{index: number, label: string | null, maskedToken: string, totalPoints: number, todayPoints: number, currentStreak: number, longestStreak: number, daily: Array<number | null>}>}}
+ */
+function buildLedgerSummary(accounts, now = Date.now()) {
+  const today = getCoreskyDay(now);
+  const rows = accounts.map(({ index, label, token, sharedLabel }) => {
+    const { totalPoints, days } = getLedger({ token, label, sharedLabel }); // By label when set, so refreshed tokens keep their streak
+    const { current, longest } = computeStreaks(days, today);
+    return {
+      index,
+      label,
+      maskedToken: maskToken(token),
+      totalPoints,
+      todayPoints: days[today] || 0,
+      currentStreak: current,
+      longestStreak: longest,
+      daily: getDailySeries(days, today),
+    };
+  });
+
+  return {
+    fleetTotal: rows.reduce((sum, row) => sum + row.totalPoints, 0),
+    fleetToday: rows.reduce((sum, row) => sum + row.todayPoints, 0),
+    accounts: rows,
+  };
+}
+
+export { buildLedgerSummary, computeStreaks, getDailySeries, formatSparkline };
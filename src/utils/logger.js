@@ -1,6 +1,20 @@
-// Centralized logging utility (can integrate with TUI)
+// src/utils/logger.js
+// Centralized logging utility (can integrate with TUI), plus the log file sink:
+// 'log' and 'checkinResult' events are written to rotating files in logDir, in TUI and headless mode alike.
+import fs from 'fs';
+import path from 'path';
 import chalk from 'chalk';
 import emitter from '../events.js'; // Import emitter to potentially emit log events
+import { getConfig } from '../config.js';
+import { redactText } from './redact.js';
+
+// Minimum-level ranking for log files ('wait' is informational)
+const LEVEL_RANKS = { info: 0, wait: 0, success: 1, warn: 2, error: 3 };
+const LOG_FILE_PREFIX = 'coresky';
+
+// --- File sink state ---
+let listeners = []; // [eventName, handler] pairs, kept so they can be removed
+let currentFile = null; // { path, size, day } of the file being written
 
 const getTimestamp = () => {
   const now = new Date();
@@ -38,4 +52,133 @@ const log = (level, message) => {
   // console.log(formattedMessage);
 };
 
+/**
+ * Formats a file log entry as one line.
+ * @param {{time: string, event: string, level: string, message?: string, accountIndex?: number}} entry
+ * @param {'json' | 'text'} format
+ * @returns {string} The line, without a trailing newline.
+ */
+function formatLogEntry(entry, format) {
+  if (format === 'json') return JSON.stringify(entry);
+
+  const account = entry.accountIndex !== undefined ? ` [#${entry.accountIndex + 1}]` : '';
+  const text = entry.event === 'checkinResult'
+    ? `check-in ${entry.success ? 'ok' : 'failed'}: ${entry.message}${entry.errorClass ? ` (${entry.errorClass})` : ''}, attempts: ${entry.attempts}`
+    : entry.message;
+  const simulated = entry.event === 'checkinResult' && entry.simulated ? '[DRY RUN] ' : ''; // Log messages carry the prefix already
+  return `${entry.time} ${entry.level.toUpperCase().padEnd(7)}${account} ${simulated}${String(text).replace(/\r?\n/g, ' ')}`;
+}
+
+/**
+ * Lists the rotated log files in a directory, oldest first.
+ * Names carry the day or rotation time, so sorting by name sorts by age.
+ * @param {string} logDir
+ * @returns {string[]} File names.
+ */
+function listLogFiles(logDir) {
+  return fs.readdirSync(logDir)
+    .filter(name => name.startsWith(`${LOG_FILE_PREFIX}-`) && name.endsWith('.log'))
+    .sort();
+}
+
+/**
+ * Deletes the oldest log files so at most logMaxFiles remain (the active file included).
+ * @param {object} config
+ */
+function pruneLogFiles(config) {
+  const files = listLogFiles(config.logDir);
+  const active = config.logRotate === 'size' ? 1 : 0; // coresky.log isn't in the list
+  const excess = files.length + active - config.logMaxFiles;
+  files.slice(0, Math.max(excess, 0)).forEach(name => fs.unlinkSync(path.join(config.logDir, name)));
+}
+
+/**
+ * Picks the file the next line goes to, rotating (and pruning) when needed.
+ * @param {object} config
+ * @param {number} now - Unix timestamp ms.
+ * @param {number} lineBytes - Size of the line about to be written.
+ * @returns {string} Path of the file to append to.
+ */
+function getLogFile(config, now, lineBytes) {
+  if (config.logRotate === 'daily') {
+    const day = new Date(now).toISOString().slice(0, 10);
+    if (!currentFile || currentFile.day !== day) {
+      currentFile = { path: path.join(config.logDir, `${LOG_FILE_PREFIX}-${day}.log`), day };
+      fs.mkdirSync(config.logDir, { recursive: true });
+      fs.appendFileSync(currentFile.path, ''); // So pruning counts it
+      pruneLogFiles(config);
+    }
+    return currentFile.path;
+  }
+
+  // Size rotation: coresky.log is renamed to coresky-<time>.log once it's full
+  if (!currentFile) {
+    const filePath = path.join(config.logDir, `${LOG_FILE_PREFIX}.log`);
+    fs.mkdirSync(config.logDir, { recursive: true });
+    currentFile = { path: filePath, size: fs.existsSync(filePath) ? fs.statSync(filePath).size : 0 };
+  }
+  if (currentFile.size > 0 && currentFile.size + lineBytes > config.logMaxSizeKb * 1024) {
+    const rotatedName = `${LOG_FILE_PREFIX}-${new Date(now).toISOString().replace(/[:.]/g, '-')}.log`;
+    fs.renameSync(currentFile.path, path.join(config.logDir, rotatedName));
+    currentFile.size = 0;
+    pruneLogFiles(config);
+  }
+  return currentFile.path;
+}
+
+/**
+ * Appends an entry to the log file if its level is high enough.
+ * @param {{event: string, level: string}} entry - Without `time` (added here).
+ */
+function writeLogEntry(entry) {
+  const config = getConfig();
+  if ((LEVEL_RANKS[entry.level] ?? 0) < LEVEL_RANKS[config.logLevel]) return;
+
+  const now = Date.now();
+  // Payloads are redacted by the emitter already; files outlive the session, so check the final line too
+  const line = `${redactText(formatLogEntry({ time: new Date(now).toISOString(), ...entry }, config.logFormat))}\n`;
+  const lineBytes = Buffer.byteLength(line);
+  try {
+    fs.appendFileSync(getLogFile(config, now, lineBytes), line);
+    if (currentFile.size !== undefined) currentFile.size += lineBytes;
+  } catch (error) {
+    // Stop first: the error is reported through a 'log' event, which would come back here
+    stopFileLog();
+    emitter.emit('log', { level: 'error', message: `📝 Can't write log files to ${config.logDir}: ${error.message}. File logging is off.` });
+  }
+}
+
+/**
+ * Starts writing 'log' and 'checkinResult' events to files. Does nothing if logToFile is off.
+ */
+function initializeFileLog() {
+  stopFileLog();
+  const config = getConfig();
+  if (!config.logToFile) return;
+
+  const onLog = ({ level, message, accountIndex }) => writeLogEntry({ event: 'log', level, message, accountIndex });
+  const onResult = ({ index, ...result }) => writeLogEntry({
+    event: 'checkinResult',
+    level: result.success ? 'success' : 'error',
+    accountIndex: index,
+    ...result,
+  });
+  emitter.on('log', onLog);
+  emitter.on('checkinResult', onResult);
+  listeners = [['log', onLog], ['checkinResult', onResult]];
+
+  const rotation = config.logRotate === 'daily' ? 'daily' : `at ${config.logMaxSizeKb} KB`;
+  emitter.emit('log', { level: 'info', message: `📝 Logging to ${config.logDir} (${config.logFormat}, level ${config.logLevel}+, rotated ${rotation}, keeping ${config.logMaxFiles} files).` });
+}
+
+/**
+ * Stops writing log files.
+ */
+function stopFileLog() {
+  listeners.forEach(([event, handler]) => emitter.off(event, handler));
+  listeners = [];
+  currentFile = null;
+}
+
 export default log;
+export { initializeFileLog, stopFileLog, formatLogEntry };
@@ -0,0 +1,48 @@
+// src/utils/quarantine.js
+// Keeps the response bodies the bot couldn't read (schema drift) in a JSON lines file, redacted,
+// so a change in Coresky's API can be looked at after the fact.
+
+import fs from 'fs';
+import path from 'path';
+import emitter from '../events.js'; // For logging write problems
+import { getConfig } from '../config.js';
+import { redact } from './redact.js';
+
+const MAX_BODY_LENGTH = 64 * 1024; // Longer bodies (e.g. an HTML error page) are kept as truncated text
+
+/**
+ * Appends an unexpected response to the quarantine file (quarantineFile).
+ * @param {object} entry
+ * @param {string} entry.task - Task name.
+ * @param {number} entry.accountIndex
+ * @param {string | null} entry.label
+ * @param {number | null} entry.status - HTTP status.
+ * @param {string} entry.problem - What didn't match (the schema error message).
+ * @param {*} entry.body - The response body as received.
+ * @returns {string | null} The file written, or null if writing failed.
+ */
+function quarantineResponse({ task, accountIndex, label, status, problem, body }) {
+  const { quarantineFile } = getConfig();
+  const serialized = body === undefined ? null : JSON.stringify(body);
+  const record = {
+    timestamp: new Date().toISOString(),
+    task,
+    accountIndex,
+    label: label || null,
+    status,
+    problem,
+    // Tokens and secrets are removed before anything touches the disk
+    body: redact(serialized !== null && serialized.length > MAX_BODY_LENGTH ? `${serialized.slice(0, MAX_BODY_LENGTH)}...` : body ?? null),
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(quarantineFile), { recursive: true });
+    fs.appendFileSync(quarantineFile, `${JSON.stringify(record)}\n`);
+    return quarantineFile;
+  } catch (error) {
+    emitter.emit('log', { level: 'error', message: `Failed to write quarantine file ${quarantineFile}: ${error.message}` });
+    return null;
+  }
+}
+
+export { quarantineResponse };
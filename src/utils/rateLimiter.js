@@ -0,0 +1,52 @@
+// src/utils/rateLimiter.js
+// Token bucket limiting how often requests start, shared by every worker of a cycle.
+
+/**
+ * @typedef {object} TokenBucket
+ * @property {() => Promise<void>} take - Resolves once a request may start. Callers are served in order.
+ */
+
+/**
+ * Creates a token bucket.
+ * The bucket starts full: `capacity` requests may start right away, then one every 1/ratePerSecond seconds.
+ * @param {{ratePerSecond: number, capacity?: number, now?: () => number, sleep?: (ms: number) => Promise<void>}} options
+ * - ratePerSecond: tokens added per second (0 or less: no limit)
+ * - now / sleep: clock and timer (replaced in tests)
+ * @returns {TokenBucket}
+ */
+function createTokenBucket({
+  ratePerSecond,
+  capacity = 1,
+  now = Date.now,
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+}) {
+  if (!(ratePerSecond > 0)) return { take: () => Promise.resolve() };
+
+  let tokens = capacity;
+  let refilledAt = now();
+  let queue = Promise.resolve(); // Chains waiting callers so they're served first come, first served
+
+  const refill = () => {
+    const current = now();
+    tokens = Math.min(capacity, tokens + ((current - refilledAt) / 1000) * ratePerSecond);
+    refilledAt = current;
+  };
+
+  const takeToken = async () => {
+    refill();
+    if (tokens < 1) {
+      await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+      refill();
+    }
+    tokens = Math.max(0, tokens - 1);
+  };
+
+  return {
+    take() {
+      queue = queue.then(takeToken);
+      return queue;
+    },
+  };
+}
+
+export { createTokenBucket };
@@ -0,0 +1,103 @@
+// src/utils/redact.js
+// Secret redaction in front of every output. Event payloads pass through it before any listener
+// (TUI, headless JSON, log files, notifications) sees them, and so does everything written to the console.
+// Removes JWTs, Token/Authorization header values, account tokens, secret config values and redactPatterns.
+
+import util from 'util';
+
+// A JWT: three base64url parts, the first starting with eyJ ('{"')
+const JWT_PATTERN = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+// "Token: abc...", "token=abc...", '"token":"abc..."', "Authorization: Bearer abc...".
+// Values shorter than 8 characters are left alone, so messages like "token: jwt malformed" stay readable.
+const HEADER_PATTERN = /\b((?:token|authorization)["']?\s*[:=]\s*["']?(?:Bearer\s+)?)[^\s"',;}]{8,}/gi;
+const REDACTED = '[REDACTED]';
+const MIN_SECRET_LENGTH = 6; // Shorter literal secrets would mangle ordinary text
+
+// --- State ---
+const accountSecrets = new Set(); // Account tokens, shown masked like maskToken()
+let configSecrets = []; // Secret config values (webhook URLs, bot tokens), replaced entirely
+let configPatterns = []; // Compiled redactPatterns
+let consoleInstalled = false;
+
+/**
+ * Masks a secret the same way tokens are masked in the UI (first 3 and last 4 characters).
+ * @param {string} value
+ * @returns {string}
+ */
+function maskSecret(value) {
+  return value.length < 8 ? '***' : `${value.slice(0, 3)}...${value.slice(-4)}`;
+}
+
+/**
+ * Adds account tokens to redact wherever they appear, even if they aren't JWTs.
+ * @param {string[]} values
+ */
+function registerSecrets(values) {
+  values.filter(value => typeof value === 'string' && value.length >= MIN_SECRET_LENGTH).forEach(value => accountSecrets.add(value));
+}
+
+/**
+ * Sets the secrets that come from the config. Replaces the previous config's.
+ * @param {{secrets?: string[], patterns?: RegExp[]}} options
+ * - secrets: values of secret config keys
+ * - patterns: compiled redactPatterns (global flag)
+ */
+function configureRedaction({ secrets = [], patterns = [] } = {}) {
+  configSecrets = secrets.filter(value => typeof value === 'string' && value.length >= MIN_SECRET_LENGTH);
+  configPatterns = patterns;
+}
+
+/**
+ * Redacts secrets in a string.
+ * @param {string} text
+ * @returns {string}
+ */
+function redactText(text) {
+  let result = text;
+  for (const secret of configSecrets) {
+    if (result.includes(secret)) result = result.split(secret).join(REDACTED);
+  }
+  for (const secret of accountSecrets) {
+    if (result.includes(secret)) result = result.split(secret).join(maskSecret(secret));
+  }
+  result = result.replace(JWT_PATTERN, maskSecret).replace(HEADER_PATTERN, `$1${REDACTED}`);
+  for (const pattern of configPatterns) {
+    result = result.replace(pattern, REDACTED);
+  }
+  return result;
+}
+
+/**
+ * Redacts secrets in a value: strings, and strings inside arrays and plain objects.
+ * Anything else is returned as is. Unchanged values keep their identity.
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value) {
+  if (typeof value === 'string') return redactText(value);
+  if (Array.isArray(value)) {
+    const items = value.map(redact);
+    return items.some((item, i) => item !== value[i]) ? items : value;
+  }
+  if (value && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    const entries = Object.entries(value).map(([key, item]) => [key, redact(item)]);
+    return entries.some(([key, item]) => item !== value[key]) ? Object.fromEntries(entries) : value;
+  }
+  return value;
+}
+
+/**
+ * Makes console.log/info/warn/error/debug redact what they print (e.g. crash reports,
+ * whose axios errors carry the request headers).
+ * @param {Console} [target=console]
+ */
+function installConsoleRedaction(target = console) {
+  if (target === console && consoleInstalled) return;
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = target[method].bind(target);
+    target[method] = (...args) => original(redactText(util.format(...args)));
+  }
+  if (target === console) consoleInstalled = true;
+}
+
+export { redact, redactText, registerSecrets, configureRedaction, installConsoleRedaction, maskSecret };
@@ -0,0 +1,62 @@
+// src/utils/reportWriter.js
+// Writes a report of every check-in cycle to the reports directory, as JSON and CSV,
+// so what happened on a given day can be audited later.
+
+import fs from 'fs';
+import path from 'path';
+import emitter from '../events.js'; // For logging write problems
+import { getConfig } from '../config.js';
+
+// Columns of the CSV report, one row per account and task
+const CSV_COLUMNS = ['index', 'label', 'maskedToken', 'task', 'outcome', 'success', 'reward', 'errorClass', 'attempts', 'message', 'timestamp'];
+
+/**
+ * Quotes a CSV field when needed (RFC 4180).
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders the per-account (and task) rows of a cycle report as CSV.
+ * @param {{accounts: object[]}} report - A 'cycleComplete' payload.
+ * @returns {string} CSV text with a header row.
+ */
+function formatReportCsv(report) {
+  const rows = report.accounts.map(account => CSV_COLUMNS.map(column => {
+    // ISO timestamps are easier to read in a spreadsheet than Unix ms
+    const value = column === 'timestamp' && account.timestamp ? new Date(account.timestamp).toISOString() : account[column];
+    return escapeCsvField(value);
+  }).join(','));
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\n')}\n`;
+}
+
+/**
+ * Writes a cycle report as <reportsDir>/cycle-<start time>.json and .csv (cycle-<start time>-dry-run.* for dry runs).
+ * @param {object} report - A 'cycleComplete' payload (without reportFiles).
+ * @returns {{json: string, csv: string} | null} Paths written, or null if disabled or writing failed.
+ */
+function writeCycleReport(report) {
+  const { writeReports, reportsDir } = getConfig();
+  if (!writeReports) return null;
+
+  // e.g. cycle-2025-01-31T00-05-00-123Z, safe on every filesystem and sorted by time (plus -dry-run for simulated cycles)
+  const baseName = `cycle-${new Date(report.startedAt).toISOString().replace(/[:.]/g, '-')}${report.simulated ? '-dry-run' : ''}`;
+  const files = { json: path.join(reportsDir, `${baseName}.json`), csv: path.join(reportsDir, `${baseName}.csv`) };
+
+  try {
+    fs.mkdirSync(reportsDir, { recursive: true });
+    fs.writeFileSync(files.json, JSON.stringify(report, null, 2));
+    fs.writeFileSync(files.csv, formatReportCsv(report));
+    return files;
+  } catch (error) {
+    emitter.emit('log', { level: 'error', message: `Failed to write cycle report to ${reportsDir}: ${error.message}` });
+    return null;
+  }
+}
+
+export { writeCycleReport, formatReportCsv };
@@ -0,0 +1,251 @@
+// src/utils/schedule.js
+// Calendar-aware scheduling helpers: cron/daily-time parsing, timezone math and
+// persistence of the next planned run so restarts don't reset the clock.
+
+import fs from 'fs';
+import emitter from '../events.js'; // For logging load/save problems
+
+const MAX_SEARCH_DAYS = 366 * 5; // Enough to find e.g. "29 Feb" expressions
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Allowed ranges for the five cron fields: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+/**
+ * Parses one cron field (e.g. "*", "5", "1-5", "*\/15", "1,15,30") into a sorted list of values.
+ * @param {string} field The raw field text.
+ * @param {{name: string, min: number, max: number}} spec Allowed range for the field.
+ * @returns {number[]} Sorted unique values.
+ */
+function parseCronField(field, spec) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepPart}" in cron ${spec.name} field.`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = spec.min;
+      end = spec.max;
+    } else if (rangePart.includes('-')) {
+      [start, end] = rangePart.split('-').map(Number);
+    } else {
+      start = Number(rangePart);
+      // "5/10" means "from 5 to the end of the range, every 10"
+      end = stepPart === undefined ? start : spec.max;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < spec.min || end > spec.max || start > end) {
+      throw new Error(`Invalid value "${part}" in cron ${spec.name} field (allowed ${spec.min}-${spec.max}).`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parses a standard five-field cron expression.
+ * @param {string} expression e.g. "5 0 * * *" (00:05 every day).
+ * @returns {{minutes: number[], hours: number[], daysOfMonth: number[], months: number[], daysOfWeek: number[], domRestricted: boolean, dowRestricted: boolean}}
+ */
+function parseCronExpression(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday).`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, rawDaysOfWeek] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  // Normalize Sunday (7 -> 0)
+  const daysOfWeek = [...new Set(rawDaysOfWeek.map(d => d % 7))].sort((a, b) => a - b);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    domRestricted: fields[2] !== '*',
+    dowRestricted: fields[4] !== '*',
+  };
+}
+
+/**
+ * Converts a "HH:MM" daily time into the equivalent cron expression.
+ * @param {string} dailyAt Time of day, 24h clock.
+ * @returns {string} Cron expression.
+ */
+function dailyTimeToCron(dailyAt) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(dailyAt).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Daily time "${dailyAt}" must be in HH:MM format (00:00-23:59).`);
+  }
+  return `${Number(match[2])} ${Number(match[1])} * * *`;
+}
+
+/**
+ * Throws if the timezone isn't a valid IANA name (e.g. "UTC", "Asia/Kolkata").
+ * @param {string} timezone
+ */
+function assertValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw new Error(`Unknown timezone "${timezone}".`);
+  }
+}
+
+/**
+ * Returns the wall-clock parts of a timestamp in the given timezone.
+ * @param {number} timestamp Unix timestamp in ms.
+ * @param {string} timezone IANA timezone name.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(timestamp, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric',
+  });
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(new Date(timestamp))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+/**
+ * Offset (ms) of a timezone from UTC at a given instant.
+ * @param {number} timestamp Unix timestamp in ms.
+ * @param {string} timezone IANA timezone name.
+ * @returns {number}
+ */
+function getTimezoneOffset(timestamp, timezone) {
+  const p = getZonedParts(timestamp, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock time in a timezone into a Unix timestamp.
+ * A time repeated when clocks go back resolves to its first occurrence, so a run never happens twice.
+ * A time skipped when clocks go forward is moved forward by the gap (02:30 becomes 03:30), so the run isn't lost.
+ * @returns {number} Unix timestamp in ms.
+ */
+function zonedTimeToTimestamp(year, month, day, hour, minute, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  // The offsets a day either side cover any DST change near this time
+  const offsetBefore = getTimezoneOffset(guess - DAY_MS, timezone);
+  const offsetAfter = getTimezoneOffset(guess + DAY_MS, timezone);
+  const matches = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => guess - offset)
+    .filter(candidate => getTimezoneOffset(candidate, timezone) === guess - candidate);
+  return matches.length > 0 ? Math.min(...matches) : guess - offsetBefore;
+}
+
+/**
+ * Builds a normalized schedule from either a cron expression or a daily time.
+ * @param {{cron?: string, dailyAt?: string, timezone?: string}} options
+ * @returns {{expression: string, timezone: string, cron: object}}
+ */
+function createSchedule({ cron, dailyAt, timezone = 'UTC' } = {}) {
+  assertValidTimezone(timezone);
+  const expression = cron || dailyTimeToCron(dailyAt || '00:05');
+  return { expression, timezone, cron: parseCronExpression(expression) };
+}
+
+/**
+ * Computes the first scheduled run strictly after a given time.
+ * @param {{timezone: string, cron: object}} schedule A schedule from createSchedule().
+ * @param {number} [after=Date.now()] Unix timestamp in ms.
+ * @returns {number} Unix timestamp in ms of the next run.
+ */
+function getNextRunTime(schedule, after = Date.now()) {
+  const { cron, timezone } = schedule;
+  const start = getZonedParts(after, timezone);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    // Walk calendar days in the target timezone (Date.UTC handles month/year rollover)
+    const dayDate = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const year = dayDate.getUTCFullYear();
+    const month = dayDate.getUTCMonth() + 1;
+    const day = dayDate.getUTCDate();
+
+    if (!cron.months.includes(month)) continue;
+    const domMatch = cron.daysOfMonth.includes(day);
+    const dowMatch = cron.daysOfWeek.includes(dayDate.getUTCDay());
+    // Standard cron: if both day fields are restricted, either one may match
+    const dayMatches = cron.domRestricted && cron.dowRestricted
+      ? domMatch || dowMatch
+      : domMatch && dowMatch;
+    if (!dayMatches) continue;
+
+    for (const hour of cron.hours) {
+      if (offset === 0 && hour < start.hour) continue;
+      for (const minute of cron.minutes) {
+        const timestamp = zonedTimeToTimestamp(year, month, day, hour, minute, timezone);
+        if (timestamp > after) return timestamp;
+      }
+    }
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" never matches within ${MAX_SEARCH_DAYS} days.`);
+}
+
+/**
+ * Reads the persisted scheduler state.
+ * @param {string} statePath Path of the scheduler state file.
+ * @returns {{nextRunTimestamp: number | null}}
+ */
+function loadSchedulerState(statePath) {
+  try {
+    if (!fs.existsSync(statePath)) {
+      return { nextRunTimestamp: null };
+    }
+    const parsed = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    const nextRunTimestamp = Number.isFinite(parsed.nextRunTimestamp) ? parsed.nextRunTimestamp : null;
+    return { nextRunTimestamp };
+  } catch (error) {
+    emitter.emit('log', { level: 'error', message: `Failed to read scheduler state ${statePath}: ${error.message}` });
+    return { nextRunTimestamp: null };
+  }
+}
+
+/**
+ * Persists the next planned run.
+ * @param {string} statePath Path of the scheduler state file.
+ * @param {{nextRunTimestamp: number | null}} state
+ */
+function saveSchedulerState(statePath, state) {
+  try {
+    fs.writeFileSync(statePath, JSON.stringify({ ...state, savedAt: Date.now() }, null, 2));
+  } catch (error) {
+    emitter.emit('log', { level: 'error', message: `Failed to save scheduler state ${statePath}: ${error.message}` });
+  }
+}
+
+export {
+  createSchedule,
+  getNextRunTime,
+  parseCronField,
+  parseCronExpression,
+  dailyTimeToCron,
+  getZonedParts,
+  zonedTimeToTimestamp,
+  loadSchedulerState,
+  saveSchedulerState,
+};
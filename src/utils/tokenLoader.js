@@ -1,74 +1,263 @@
 // src/utils/tokenLoader.js
-// Utility for loading and providing access to API keys/tokens from wallet.txt.
+// Utility for loading accounts (tokens plus labels, enable flags, tags and notes) from the wallet file,
+// or from the encrypted vault (see vault.js) when vaultFile is set.
+//
+// Two formats are supported:
+// - Text (wallet.txt): one account per line, either a bare token or "label|token".
+// - JSON (any file ending in .json): an array of account objects, or { "accounts": [...] }:
+//   { "label": "Main", "token": "eyJ...", "enabled": true, "tags": ["main"], "tasks": ["meme-sign"], "notes": "..." }
 
 import fs from "fs";
 import path from "path";
 import emitter from "../events.js"; // Import emitter to log errors
+import { getConfig } from "../config.js";
+import { registerSecrets } from "./redact.js";
+import { readUnlockedVault, writeUnlockedVault } from "./vault.js";
 
-// Changed filename here
-const TOKEN_FILE_PATH = path.resolve(process.cwd(), "wallet.txt");
+/**
+ * @typedef {object} Account
+ * @property {number} index Position in the wallet file (0-based), used as the account's id in events.
+ * @property {string | null} label Display name, or null to fall back to "Account N".
+ * @property {string} token The JWT token.
+ * @property {boolean} enabled Disabled accounts are kept in the file but never processed.
+ * @property {string[]} tags Free-form tags used to select subsets of accounts.
+ * @property {string[] | null} tasks Names of the taskwall tasks to run (see tasks/registry.js), or null for the configured `tasks`.
+ * @property {string} notes Free-form notes (not used by the bot).
+ * @property {boolean} [sharedLabel] True when another account in the file has the same label (set by loadAccounts).
+ *   Labels don't have to be unique, but such accounts are told apart by token instead of label.
+ */
 
 /**
- * Loads API keys from the wallet.txt file.
- * Each line in the file is expected to be a separate key.
+ * Builds the display name for an account.
+ * @param {number} index Account index (0-based).
+ * @param {string | null} [label] Optional label.
+ * @returns {string} The label, or "Account N".
+ */
+function formatAccountName(index, label) {
+  return label ? label : `Account ${index + 1}`;
+}
+
+/**
+ * Parses the text format: one bare token or "label|token" per line.
  * Empty lines or lines starting with '#' are ignored.
+ * @param {string} rawText File content.
+ * @returns {Account[]}
+ */
+function parseWalletText(rawText) {
+  return rawText
+    .split(/\r?\n/) // Split by newline (Windows or Unix)
+    .map((line) => line.trim()) // Remove leading/trailing whitespace
+    .filter((line) => line && !line.startsWith("#")) // Filter out empty lines and comments
+    .map((line, index) => {
+      // JWTs never contain "|", so everything before the last one is the label
+      const separator = line.lastIndexOf("|");
+      const label = separator > -1 ? line.substring(0, separator).trim() : "";
+      const token = separator > -1 ? line.substring(separator + 1).trim() : line;
+      return { index, label: label || null, token, enabled: true, tags: [], tasks: null, notes: "" };
+    })
+    .filter((account) => account.token);
+}
+
+/**
+ * Parses the JSON format. Invalid entries are skipped with a warning.
+ * @param {string} rawText File content.
+ * @param {string} filePath Path of the file (for messages).
+ * @returns {Account[]}
+ */
+function parseWalletJson(rawText, filePath) {
+  const parsed = JSON.parse(rawText);
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.accounts;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${filePath} must contain an array of accounts or an object with an "accounts" array.`);
+  }
+
+  const accounts = [];
+  entries.forEach((entry, position) => {
+    const problem =
+      !entry || typeof entry !== "object" ? "is not an object"
+      : typeof entry.token !== "string" || !entry.token.trim() ? 'has no "token" string'
+      : entry.label !== undefined && typeof entry.label !== "string" ? '"label" must be a string'
+      : entry.enabled !== undefined && typeof entry.enabled !== "boolean" ? '"enabled" must be true or false'
+      : entry.tags !== undefined && (!Array.isArray(entry.tags) || entry.tags.some((tag) => typeof tag !== "string")) ? '"tags" must be an array of strings'
+      : entry.tasks !== undefined && (!Array.isArray(entry.tasks) || entry.tasks.some((task) => typeof task !== "string")) ? '"tasks" must be an array of strings'
+      : entry.notes !== undefined && typeof entry.notes !== "string" ? '"notes" must be a string'
+      : null;
+
+    if (problem) {
+      emitter.emit("log", { level: "warn", message: `Skipping account #${position + 1} in ${path.basename(filePath)}: entry ${problem}.` });
+      return;
+    }
+
+    accounts.push({
+      index: accounts.length,
+      label: entry.label ? entry.label.trim() : null,
+      token: entry.token.trim(),
+      enabled: entry.enabled !== false,
+      tags: (entry.tags || []).map((tag) => tag.trim()).filter(Boolean),
+      tasks: entry.tasks ? entry.tasks.map((task) => task.trim()).filter(Boolean) : null,
+      notes: entry.notes || "",
+    });
+  });
+  return accounts;
+}
+
+/**
+ * Reads the raw wallet: the wallet file, or the decrypted content of the unlocked vault when vaultFile is set.
+ * @returns {{content: string, format: "text" | "json", filePath: string} | null} Null if the wallet file doesn't exist.
+ * @throws {Error} If the file can't be read or the vault can't be decrypted.
+ */
+function readWalletContent() {
+  const { walletFile, vaultFile } = getConfig();
+  if (vaultFile) {
+    // Decrypted in memory only; the format was recorded when the wallet was imported
+    return { ...readUnlockedVault(), filePath: vaultFile };
+  }
+
+  if (!fs.existsSync(walletFile)) return null;
+  const format = walletFile.toLowerCase().endsWith(".json") ? "json" : "text";
+  return { content: fs.readFileSync(walletFile, "utf8"), format, filePath: walletFile };
+}
+
+/**
+ * Replaces the wallet's content: rewrites the wallet file, or re-encrypts the unlocked vault.
+ * A running bot picks the change up through hot reload.
+ * @param {string} content New content, in the wallet's format.
+ */
+function saveWalletContent(content) {
+  const { walletFile, vaultFile } = getConfig();
+  if (vaultFile) {
+    writeUnlockedVault(content);
+  } else {
+    fs.writeFileSync(walletFile, content);
+  }
+}
+
+/**
+ * Loads every account from the wallet file (wallet.txt unless configured otherwise),
+ * including disabled ones. When a vault is configured, accounts are read from the unlocked vault instead.
  *
- * @returns {string[]} An array of loaded API keys. Returns empty array on error.
+ * @returns {Account[] | null} The accounts in file order (empty if the file has none), or null if the wallet
+ * couldn't be read (missing file, invalid JSON, vault that doesn't decrypt). The error is logged.
  */
-function loadApiKeys() {
-  // --- DEBUG LINE ADDED ---
-  console.log(
-    `[DEBUG] tokenLoader.js is looking for file at: ${TOKEN_FILE_PATH}`
-  );
-  // --- END DEBUG LINE ---
+function loadAccounts() {
+  const { walletFile, vaultFile } = getConfig();
+  const tokenFilePath = vaultFile || walletFile;
+
+  // Logged through the emitter: a raw console.log would corrupt the TUI and headless JSON output
+  emitter.emit("log", {
+    level: "info",
+    message: vaultFile ? `Reading accounts from vault at: ${vaultFile}` : `Looking for wallet file at: ${tokenFilePath}`,
+  });
 
   try {
-    // Check if the token file exists
-    if (!fs.existsSync(TOKEN_FILE_PATH)) {
+    const wallet = readWalletContent();
+    if (!wallet) {
       emitter.emit("log", {
         level: "error",
         // Updated message here
-        message: `Wallet file not found at ${TOKEN_FILE_PATH}. Please create it and add your tokens.`,
+        message: `Wallet file not found at ${tokenFilePath}. Please create it and add your tokens.`,
       });
-      return []; // Return empty array if file doesn't exist
+      return null; // Not the same as a wallet without accounts: callers keep what they had
     }
+    const accounts = wallet.format === "json" ? parseWalletJson(wallet.content, tokenFilePath) : parseWalletText(wallet.content);
 
-    // Read the file content
-    const rawTokenData = fs.readFileSync(TOKEN_FILE_PATH, "utf8");
+    // Tokens are redacted from all output from now on, even if they aren't JWTs
+    registerSecrets(accounts.map((account) => account.token));
 
-    // Process the tokens: split by newline, trim whitespace, filter out empty lines and comments
-    const apiKeys = rawTokenData
-      .split(/\r?\n/) // Split by newline (Windows or Unix)
-      .map((key) => key.trim()) // Remove leading/trailing whitespace
-      .filter((key) => key && !key.startsWith("#")); // Filter out empty lines and comments
+    markSharedLabels(accounts).forEach((label) => {
+      emitter.emit("log", {
+        level: "warn",
+        message: `Label "${label}" is used by more than one account in ${path.basename(tokenFilePath)}. Their history and streaks are kept per token, so they restart when a token is refreshed. Give each account its own label.`,
+      });
+    });
 
     // Check if any keys were actually loaded
-    if (apiKeys.length === 0) {
+    if (accounts.length === 0) {
       emitter.emit("log", {
         level: "warn",
         // Updated message here
-        message: `No valid API keys found in ${TOKEN_FILE_PATH}. Ensure keys are added, one per line.`,
+        message: `No valid API keys found in ${tokenFilePath}. Ensure keys are added, one per line.`,
       });
     } else {
       emitter.emit("log", {
         level: "info",
         // Updated message here
-        message: `🔑 Loaded ${apiKeys.length} API key(s) from wallet.txt.`,
+        message: `🔑 Loaded ${accounts.length} account(s) from ${path.basename(tokenFilePath)}.`,
       });
     }
 
-    return apiKeys;
+    return accounts;
   } catch (error) {
     // Log any error during file reading/processing
     emitter.emit("log", {
       level: "error",
       // Updated message here
-      message: `Failed to load API keys from ${TOKEN_FILE_PATH}: ${error.message}`,
+      message: `Failed to load API keys from ${tokenFilePath}: ${error.message}`,
     });
-    return []; // Return empty array in case of error
+    return null; // e.g. a half-written file; callers keep what they had
   }
 }
 
+/**
+ * Flags the accounts whose label another account also has (sets `sharedLabel` on every account).
+ * @param {Account[]} accounts Updated in place.
+ * @returns {string[]} The labels used more than once.
+ */
+function markSharedLabels(accounts) {
+  const counts = new Map();
+  accounts.filter((account) => account.label).forEach((account) => counts.set(account.label, (counts.get(account.label) || 0) + 1));
+  accounts.forEach((account) => {
+    account.sharedLabel = Boolean(account.label) && counts.get(account.label) > 1;
+  });
+  return [...counts].filter(([, count]) => count > 1).map(([label]) => label);
+}
+
+/**
+ * Loads API keys from the wallet file.
+ * Kept for callers that only need the raw tokens.
+ *
+ * @returns {string[]} An array of loaded API keys. Returns empty array on error.
+ */
+function loadApiKeys() {
+  return (loadAccounts() || []).map((account) => account.token);
+}
+
+/**
+ * Picks the accounts a cycle should process: enabled ones, optionally limited to those
+ * carrying at least one of the given tags.
+ * @param {Account[]} accounts All accounts.
+ * @param {string[]} [tags=[]] Tag filter; empty means no filter.
+ * @returns {Account[]}
+ */
+function selectActiveAccounts(accounts, tags = []) {
+  return accounts.filter(
+    (account) => account.enabled && (tags.length === 0 || account.tags.some((tag) => tags.includes(tag)))
+  );
+}
+
+/**
+ * Compares two account lists. Accounts are matched by label, or by token when unlabeled or their label is shared
+ * (so a changed unlabeled token shows up as one removal plus one addition).
+ * @param {Account[]} previous The accounts before the reload.
+ * @param {Account[]} next The accounts after the reload.
+ * @returns {{added: Account[], removed: Account[], replaced: Account[]}}
+ * `replaced` holds accounts (from `next`) whose token changed, e.g. a rotated token.
+ */
+function diffAccounts(previous, next) {
+  const keyOf = (account) => (account.label && !account.sharedLabel ? `label:${account.label}` : `token:${account.token}`);
+  const previousByKey = new Map(previous.map((account) => [keyOf(account), account]));
+  const nextByKey = new Map(next.map((account) => [keyOf(account), account]));
+
+  const added = next.filter((account) => !previousByKey.has(keyOf(account)));
+  const removed = previous.filter((account) => !nextByKey.has(keyOf(account)));
+  const replaced = next.filter((account) => {
+    const before = previousByKey.get(keyOf(account));
+    return before && before.token !== account.token;
+  });
+
+  return { added, removed, replaced };
+}
+
 /**
  * Masks a token for display purposes.
  * Shows the first 3 and last 4 characters.
@@ -82,4 +271,21 @@ function maskToken(token) {
   return `${token.substring(0, 3)}...${token.substring(token.length - 4)}`;
 }
 
-export { loadApiKeys, maskToken };
+/**
+ * Replaces every occurrence of a token inside a value (string, array or plain object) with its masked form.
+ * Used before showing raw API data, which may echo the token back.
+ * @param {*} value The value to redact.
+ * @param {string} token The token to hide.
+ * @returns {*} A redacted copy.
+ */
+function redactToken(value, token) {
+  if (!token) return value;
+  if (typeof value === "string") return value.split(token).join(maskToken(token));
+  if (Array.isArray(value)) return value.map((item) => redactToken(item, token));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactToken(item, token)]));
+  }
+  return value;
+}
+
+export { parseWalletText, parseWalletJson, readWalletContent, saveWalletContent, loadAccounts, loadApiKeys, selectActiveAccounts, diffAccounts, formatAccountName, maskToken, redactToken };
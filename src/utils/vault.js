@@ -0,0 +1,243 @@
+// src/utils/vault.js
+// Encrypted token vault: an alternative to a plaintext wallet file.
+// The wallet content is encrypted with AES-256-GCM under a key derived from a passphrase with scrypt.
+// The unencrypted header (format, KDF parameters) is authenticated too, so any tampering fails to unlock.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const VAULT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12; // Recommended nonce size for GCM
+// scrypt cost: ~32 MB of memory and a fraction of a second per unlock
+const DEFAULT_KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAX_MEMORY = 128 * 1024 * 1024;
+
+// Environment variables read by the unlock step and the vault commands
+const PASSPHRASE_ENV = 'CORESKY_VAULT_PASSPHRASE';
+const NEW_PASSPHRASE_ENV = 'CORESKY_VAULT_NEW_PASSPHRASE';
+
+// --- State ---
+let unlocked = null; // { filePath, passphrase } once unlockVault() succeeded
+
+/**
+ * Raised when a vault can't be read, written or unlocked.
+ */
+class VaultError extends Error {
+  /**
+   * @param {string} message
+   * @param {{undecryptable?: boolean}} [options] - undecryptable: the file was read, but the passphrase doesn't open it.
+   */
+  constructor(message, { undecryptable = false } = {}) {
+    super(message);
+    this.name = 'VaultError';
+    this.undecryptable = undecryptable;
+  }
+}
+
+/**
+ * Derives the encryption key from a passphrase.
+ * @param {string} passphrase
+ * @param {Buffer} salt
+ * @param {{N: number, r: number, p: number}} params - scrypt cost parameters.
+ * @returns {Buffer}
+ */
+function deriveKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(passphrase.normalize('NFC'), salt, KEY_LENGTH, { N, r, p, maxmem: SCRYPT_MAX_MEMORY });
+}
+
+/**
+ * The header fields bound to the ciphertext as additional authenticated data.
+ * @param {object} vault
+ * @returns {Buffer}
+ */
+function getAssociatedData({ version, format, kdf, cipher }) {
+  return Buffer.from(JSON.stringify({ version, format, kdf, cipher }));
+}
+
+/**
+ * Encrypts wallet content into a vault object (ready for JSON.stringify).
+ * @param {string} content - Wallet content, as in a wallet.txt or wallet JSON file.
+ * @param {string} passphrase
+ * @param {{format?: 'text' | 'json', kdfParams?: {N: number, r: number, p: number}}} [options]
+ * - format: how the content is parsed once decrypted
+ * @returns {object}
+ */
+function encryptVault(content, passphrase, { format = 'text', kdfParams = DEFAULT_KDF_PARAMS } = {}) {
+  if (!passphrase) throw new VaultError('The vault passphrase must not be empty.');
+
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const vault = {
+    version: VAULT_VERSION,
+    format,
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), ...kdfParams },
+    cipher: { name: CIPHER, iv: iv.toString('base64') },
+  };
+
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(passphrase, salt, kdfParams), iv);
+  cipher.setAAD(getAssociatedData(vault));
+  const data = Buffer.concat([cipher.update(content, 'utf8'), cipher.final()]);
+  return { ...vault, tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+/**
+ * Decrypts a vault object.
+ * @param {object} vault - As produced by encryptVault().
+ * @param {string} passphrase
+ * @returns {{content: string, format: 'text' | 'json'}}
+ * @throws {VaultError} If the vault is malformed, the passphrase is wrong or the file was modified.
+ */
+function decryptVault(vault, passphrase) {
+  if (!vault || vault.version !== VAULT_VERSION || !vault.kdf || vault.kdf.name !== 'scrypt' || !vault.cipher || vault.cipher.name !== CIPHER) {
+    throw new VaultError(`Unsupported vault format (expected version ${VAULT_VERSION}, scrypt, ${CIPHER}).`);
+  }
+
+  try {
+    const { N, r, p } = vault.kdf;
+    const key = deriveKey(passphrase || '', Buffer.from(vault.kdf.salt, 'base64'), { N, r, p });
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(vault.cipher.iv, 'base64'));
+    decipher.setAAD(getAssociatedData(vault));
+    decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+    const content = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]).toString('utf8');
+    return { content, format: vault.format === 'json' ? 'json' : 'text' };
+  } catch (error) {
+    // GCM can't tell a wrong passphrase from a modified file
+    throw new VaultError('Could not unlock the vault: wrong passphrase, or the file was modified.', { undecryptable: true });
+  }
+}
+
+/**
+ * Reads and decrypts a vault file.
+ * @param {string} filePath
+ * @param {string} passphrase
+ * @returns {{content: string, format: 'text' | 'json'}}
+ */
+function readVault(filePath, passphrase) {
+  let vault;
+  try {
+    vault = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new VaultError(error.code === 'ENOENT' ? `Vault file not found at ${filePath}.` : `Could not read vault file ${filePath}: ${error.message}`);
+  }
+  return decryptVault(vault, passphrase);
+}
+
+/**
+ * Encrypts wallet content and writes it to a vault file, readable by the owner only.
+ * The file is replaced atomically so an interrupted write can't corrupt the vault.
+ * @param {string} filePath
+ * @param {string} content
+ * @param {string} passphrase
+ * @param {{format?: 'text' | 'json', kdfParams?: object}} [options] - See encryptVault().
+ */
+function writeVault(filePath, content, passphrase, options = {}) {
+  const vault = encryptVault(content, passphrase, options);
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  fs.writeFileSync(tempPath, `${JSON.stringify(vault, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Unlocks a vault for this session. Accounts are then read from it (see readUnlockedVault()).
+ * The passphrase stays in memory so the vault can be re-read when the file changes.
+ * @param {string} filePath
+ * @param {string} passphrase
+ * @returns {{content: string, format: 'text' | 'json'}} The decrypted wallet.
+ */
+function unlockVault(filePath, passphrase) {
+  const wallet = readVault(filePath, passphrase);
+  unlocked = { filePath, passphrase };
+  return wallet;
+}
+
+/**
+ * Reads the vault unlocked with unlockVault() (re-reading the file, so edits made with the vault
+ * commands are picked up).
+ * @returns {{content: string, format: 'text' | 'json'}}
+ * @throws {VaultError} If no vault was unlocked, or the file no longer opens with its passphrase (e.g. after `vault rotate`).
+ */
+function readUnlockedVault() {
+  if (!unlocked) throw new VaultError('The vault is locked. Set CORESKY_VAULT_PASSPHRASE or start the bot from a terminal to enter it.');
+  try {
+    return readVault(unlocked.filePath, unlocked.passphrase);
+  } catch (error) {
+    if (!error.undecryptable) throw error;
+    // Most likely rotated while the bot runs: say so rather than just "wrong passphrase"
+    throw new VaultError(`${unlocked.filePath} no longer opens with the passphrase the bot was started with. If it was changed with "vault rotate", restart the bot with the new passphrase.`, { undecryptable: true });
+  }
+}
+
+/**
+ * Replaces the content of the vault unlocked with unlockVault(), keeping its passphrase and format.
+ * @param {string} content
+ * @throws {VaultError} If no vault was unlocked.
+ */
+function writeUnlockedVault(content) {
+  const { format } = readUnlockedVault(); // Also checks the file still opens with this passphrase
+  writeVault(unlocked.filePath, content, unlocked.passphrase, { format });
+}
+
+/**
+ * Forgets the unlocked vault's passphrase.
+ */
+function lockVault() {
+  unlocked = null;
+}
+
+/**
+ * Asks for a passphrase on the terminal without echoing it.
+ * @param {string} question
+ * @param {{input?: NodeJS.ReadStream, output?: NodeJS.WriteStream}} [streams]
+ * @returns {Promise<string>}
+ * @throws {VaultError} Without a terminal, or if cancelled with Ctrl+C.
+ */
+function promptPassphrase(question, { input = process.stdin, output = process.stderr } = {}) {
+  if (!input.isTTY) {
+    return Promise.reject(new VaultError(`No terminal to ask for the vault passphrase. Set ${PASSPHRASE_ENV}.`));
+  }
+
+  return new Promise((resolve, reject) => {
+    let value = '';
+    const finish = (error) => {
+      input.off('data', onData);
+      input.setRawMode(false);
+      input.pause();
+      output.write('\n');
+      if (error) reject(error);
+      else resolve(value);
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') return finish();
+        if (char === '\u0003') return finish(new VaultError('Cancelled.')); // Ctrl+C
+        if (char === '\u007f' || char === '\b') value = value.slice(0, -1);
+        else value += char;
+      }
+    };
+
+    output.write(question);
+    input.setRawMode(true);
+    input.setEncoding('utf8');
+    input.on('data', onData);
+    input.resume();
+  });
+}
+
+export {
+  VaultError,
+  PASSPHRASE_ENV,
+  NEW_PASSPHRASE_ENV,
+  encryptVault,
+  decryptVault,
+  readVault,
+  writeVault,
+  unlockVault,
+  readUnlockedVault,
+  writeUnlockedVault,
+  lockVault,
+  promptPassphrase,
+};
@@ -0,0 +1,52 @@
+// src/utils/walletWatcher.js
+// Watches the wallet file for changes and calls back (debounced) so accounts can be reloaded
+// without restarting the bot.
+
+import fs from 'fs';
+
+const POLL_INTERVAL_MS = 1000; // fs.watchFile polling interval
+const DEBOUNCE_MS = 750; // Editors often write a file in several steps; wait for them to finish
+
+// --- State ---
+let watchedPath = null;
+let debounceTimer = null;
+let statListener = null;
+
+/**
+ * Starts watching a file. Polling (fs.watchFile) is used instead of fs.watch because it
+ * survives editors that save by replacing the file, and it notices the file being created.
+ * @param {string} filePath - File to watch.
+ * @param {() => void} onChange - Called once changes have settled.
+ */
+function startWalletWatcher(filePath, onChange) {
+  stopWalletWatcher();
+
+  watchedPath = filePath;
+  statListener = (current, previous) => {
+    // mtimeMs and size both 0 means the file doesn't exist (before and after): nothing to do
+    if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      debounceTimer = null;
+      onChange();
+    }, DEBOUNCE_MS);
+  };
+
+  fs.watchFile(watchedPath, { interval: POLL_INTERVAL_MS, persistent: true }, statListener);
+}
+
+/**
+ * Stops watching, and drops any pending (debounced) change.
+ */
+function stopWalletWatcher() {
+  clearTimeout(debounceTimer);
+  debounceTimer = null;
+  if (watchedPath && statListener) {
+    fs.unwatchFile(watchedPath, statListener);
+  }
+  watchedPath = null;
+  statListener = null;
+}
+
+export { startWalletWatcher, stopWalletWatcher };
@@ -0,0 +1,63 @@
+// src/utils/workerPool.js
+// Bounded-concurrency pool: processes a list with a fixed number of workers and hands the
+// results back in list order, whatever order the work finishes in.
+
+/**
+ * Runs `worker` over every item with at most `concurrency` running at once.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {(item: T, position: number, hasNext: () => boolean) => R | Promise<R>} worker
+ * - hasNext: whether items are still waiting to start (e.g. to skip a delay after the last one)
+ * - A worker may return synchronously; the pool then moves on without yielding to the event loop.
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1]
+ * @param {() => boolean} [options.shouldStop] - Checked before each item starts; once true, no new item starts.
+ * @param {(result: R, position: number) => void} [options.onResult] - Called in list order, as soon as an
+ * item and every item before it are done.
+ * @returns {Promise<{results: Array<R | undefined>, started: number}>}
+ * `results` is in list order (undefined for items never started); `started` counts started items.
+ * Rejects with the first error a worker throws, once the running items are done.
+ */
+async function runPool(items, worker, { concurrency = 1, shouldStop = () => false, onResult = () => {} } = {}) {
+  const results = new Array(items.length).fill(undefined);
+  const done = new Array(items.length).fill(false);
+  let nextPosition = 0; // Next item to start
+  let nextReported = 0; // Next item to hand to onResult
+  let stopped = false;
+  let failure = null;
+
+  const report = () => {
+    while (nextReported < items.length && done[nextReported]) {
+      onResult(results[nextReported], nextReported);
+      nextReported++;
+    }
+  };
+  const hasNext = () => nextPosition < items.length && !stopped;
+
+  const runWorker = async () => {
+    while (hasNext() && !failure) {
+      if (shouldStop()) {
+        stopped = true;
+        break;
+      }
+      const position = nextPosition++;
+      try {
+        const value = worker(items[position], position, hasNext);
+        results[position] = value && typeof value.then === 'function' ? await value : value;
+      } catch (error) {
+        failure = failure || error;
+        break;
+      }
+      done[position] = true;
+      report();
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  if (failure) throw failure;
+  return { results, started: nextPosition };
+}
+
+export { runPool };
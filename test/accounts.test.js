@@ -0,0 +1,109 @@
+// test/accounts.test.js
+// `accounts` subcommands against text, JSON and vault wallets in temporary directories.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import jwt from 'jsonwebtoken';
+import { loadConfig } from '../src/config.js';
+import { writeVault, readVault, unlockVault, lockVault } from '../src/utils/vault.js';
+import { runAccountsCommand, AccountsError } from '../src/commands/accounts.js';
+
+const NOW = Date.UTC(2025, 0, 31, 12);
+const DAY_S = 24 * 60 * 60;
+const sign = (sub, expiresInDays) => jwt.sign({ sub, iat: NOW / 1000, exp: NOW / 1000 + expiresInDays * DAY_S }, 'secret');
+const fresh = sign('fresh', 30);
+const soon = sign('soon', 1);
+const expired = sign('expired', -2);
+
+after(() => lockVault());
+
+/**
+ * Writes a wallet in a fresh directory and loads a config pointing at it.
+ * @param {string} name - Wallet file name.
+ * @param {string} content
+ * @returns {string} The wallet's path.
+ */
+function setupWallet(name, content) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-accounts-'));
+  fs.writeFileSync(path.join(cwd, name), content);
+  loadConfig({ argv: ['--wallet', name], env: {}, cwd });
+  return path.join(cwd, name);
+}
+
+/**
+ * Runs a command and collects what it prints.
+ * @param {string[]} args
+ * @param {string} [stdin='']
+ * @returns {Promise<{exitCode: number, output: string[]}>}
+ */
+async function run(args, stdin = '') {
+  const output = [];
+  const exitCode = await runAccountsCommand(args, { input: Readable.from([stdin]), print: (message) => output.push(message), now: NOW });
+  return { exitCode, output };
+}
+
+test('lists, adds, removes and dedupes accounts in wallet.txt, keeping comments', async () => {
+  const walletFile = setupWallet('wallet.txt', `# personal\nMain|${fresh}\n\n${fresh}\n`);
+
+  const { output: listed } = await run(['list']);
+  assert.match(listed[1], /^1 {2}Main {7}eyJ\.\.\.\S{4} {2}in 30d 0h$/);
+  assert.ok(listed.every(line => !line.includes(fresh)));
+
+  const { output: added } = await run(['add'], `Soon|${soon}\n${fresh}\n`);
+  assert.deepEqual(added.slice(-2), [`Skipped ${fresh.slice(0, 3)}...${fresh.slice(-4)}: already in the wallet.`, `Added 1 account(s) to ${walletFile}.`]);
+
+  assert.deepEqual((await run(['dedupe'])).output, ['Removed 1 duplicate account(s).']);
+  assert.equal(fs.readFileSync(walletFile, 'utf8'), `# personal\nMain|${fresh}\n\nSoon|${soon}\n`);
+
+  await run(['remove', 'Main']);
+  assert.equal(fs.readFileSync(walletFile, 'utf8'), `# personal\n\nSoon|${soon}\n`);
+  await assert.rejects(run(['remove', '7']), AccountsError);
+  await assert.rejects(run(['list', 'extra']), /Unexpected argument/);
+});
+
+test('validate reports malformed, expired and soon-to-expire tokens', async () => {
+  setupWallet('wallet.txt', `Fresh|${fresh}\nSoon|${soon}\nOld|${expired}\nBroken|not-a-jwt\n`);
+
+  const { exitCode, output } = await run(['validate']);
+  assert.equal(exitCode, 1);
+  assert.deepEqual(output.map(line => line.replace(/\(eyJ\.\.\.\S{4}\)|\(\*\*\*\)/, '(…)')), [
+    '⚠ Soon (…): expires in 1d 0h.',
+    '✖ Old (…): expired 2d 0h ago.',
+    '✖ Broken (not...-jwt): malformed, not a JWT.',
+    '4 account(s): 1 ok, 1 expiring soon, 1 expired, 1 malformed.',
+  ]);
+
+  setupWallet('wallet.txt', `${fresh}\n`);
+  assert.equal((await run(['validate'])).exitCode, 0);
+});
+
+test('edits JSON wallets and vaults in place', async () => {
+  const walletFile = setupWallet('accounts.json', JSON.stringify({ accounts: [{ label: 'Main', token: fresh, tags: ['main'] }, { note: 'invalid entry' }] }));
+  await run(['add'], `Soon|${soon}\n`);
+  await run(['remove', '1']);
+  assert.deepEqual(JSON.parse(fs.readFileSync(walletFile, 'utf8')), { accounts: [{ note: 'invalid entry' }, { label: 'Soon', token: soon }] });
+
+  const vaultFile = path.join(path.dirname(walletFile), 'wallet.vault');
+  writeVault(vaultFile, `Main|${fresh}\n`, 'pass phrase', { kdfParams: { N: 1024, r: 8, p: 1 } });
+  loadConfig({ argv: ['--vault', vaultFile], env: {}, cwd: path.dirname(walletFile) });
+  unlockVault(vaultFile, 'pass phrase');
+  await run(['add'], `${soon}\n`);
+  assert.deepEqual(readVault(vaultFile, 'pass phrase'), { content: `Main|${fresh}\n${soon}\n`, format: 'text' });
+});
+
+test('refuses to edit a malformed JSON wallet, naming the file', async () => {
+  const walletFile = setupWallet('accounts.json', '[{"token": ');
+  await assert.rejects(run(['add'], `${soon}\n`), (error) => error instanceof AccountsError && error.message.startsWith(`${walletFile} is not valid JSON`));
+
+  fs.writeFileSync(walletFile, JSON.stringify({ wallets: [] }));
+  await assert.rejects(run(['add'], `${soon}\n`), (error) => error instanceof AccountsError && error.message.includes('"accounts" array'));
+  assert.equal(fs.readFileSync(walletFile, 'utf8'), JSON.stringify({ wallets: [] }));
+
+  // The other commands report the loader's error instead of changing anything
+  const { output } = await run(['dedupe']);
+  assert.match(output[0], /^✖ Failed to load API keys from .*accounts\.json/);
+});
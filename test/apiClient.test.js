@@ -0,0 +1,186 @@
+// test/apiClient.test.js
+// performSign() against the local mock Coresky server.
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockServer } from '../scripts/mockServer.js';
+import emitter from '../src/events.js';
+
+let mock;
+let quarantineFile;
+let performSign;
+let performTask;
+
+before(async () => {
+  mock = await startMockServer({ rewardPoint: 25, slowDelayMs: 1000, retryAfterSeconds: 0 });
+  // Configuration is read when the module loads, so set it before importing
+  process.env.CORESKY_API_BASE_URL = mock.url;
+  process.env.CORESKY_REQUEST_TIMEOUT_MS = '300';
+  process.env.CORESKY_RETRY_BASE_MS = '10';
+  quarantineFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-api-')), 'quarantine.jsonl');
+  process.env.CORESKY_QUARANTINE_FILE = quarantineFile;
+  ({ performSign, performTask } = await import('../src/services/apiClient.js'));
+});
+
+after(() => {
+  mock.close();
+  fs.rmSync(path.dirname(quarantineFile), { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mock.requests.length = 0;
+});
+
+test('returns the reward for a fresh check-in', async () => {
+  mock.setScenario('reward');
+  const { durationMs, ...result } = await performSign('token-abc', 0);
+
+  assert.deepEqual(result, { success: true, message: '+25 points', reward: 25, isDuplicate: false, errorClass: null, attempts: 1 });
+  assert.ok(Number.isInteger(durationMs) && durationMs >= 0);
+  assert.equal(mock.requests[0].url, '/api/taskwall/meme/sign');
+  assert.equal(mock.requests[0].token, 'token-abc');
+});
+
+test('tags log events with the account index', async () => {
+  mock.setScenario('reward');
+  const logs = [];
+  const listener = (log) => logs.push(log);
+  emitter.on('log', listener);
+  await performSign('token-abc', 2, 'Main');
+  emitter.off('log', listener);
+
+  assert.ok(logs.length > 0);
+  assert.ok(logs.every(log => log.accountIndex === 2));
+  assert.ok(logs.some(log => log.level === 'success' && log.message.startsWith('[Main]')));
+});
+
+test('treats code 200 without rewardPoint as a duplicate', async () => {
+  mock.setScenario('duplicate');
+  const result = await performSign('token-abc', 0);
+
+  assert.equal(result.success, true);
+  assert.equal(result.isDuplicate, true);
+  assert.equal(result.reward, 0);
+});
+
+test('reports non-200 API codes without retrying', async () => {
+  mock.setScenario('api-error');
+  const result = await performSign('token-abc', 0);
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorClass, 'api_code');
+  assert.equal(result.attempts, 1);
+  assert.match(result.message, /API Error \(500\)/);
+});
+
+test('classifies auth failures from the body and from the HTTP status', async () => {
+  mock.setScenario('auth-error');
+  assert.equal((await performSign('token-abc', 0)).errorClass, 'auth');
+
+  mock.setScenario('unauthorized');
+  const result = await performSign('token-abc', 0);
+  assert.equal(result.errorClass, 'auth');
+  assert.equal(result.attempts, 1);
+});
+
+test('classifies malformed and incomplete bodies as schema errors', async () => {
+  mock.setScenario('malformed');
+  assert.equal((await performSign('token-abc', 0)).errorClass, 'schema');
+
+  mock.setScenario('no-code');
+  assert.equal((await performSign('token-abc', 0)).errorClass, 'schema');
+});
+
+test('reports schema drift without retrying and quarantines the body', async () => {
+  fs.rmSync(quarantineFile, { force: true });
+  mock.setScenario('drift');
+  const result = await performSign('token-abc', 1, 'Alt');
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorClass, 'schema');
+  assert.equal(result.attempts, 1);
+  assert.match(result.message, /schema drift: body\.debug is missing/);
+
+  const lines = fs.readFileSync(quarantineFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(lines.length, 1);
+  assert.deepEqual(
+    { task: lines[0].task, accountIndex: lines[0].accountIndex, label: lines[0].label, status: lines[0].status, body: lines[0].body },
+    { task: 'meme-sign', accountIndex: 1, label: 'Alt', status: 200, body: { code: 200, message: 'success', data: { task: { rewardPoint: 25 } } } }
+  );
+  assert.equal(lines[0].problem, result.message);
+});
+
+test('retries server errors and succeeds once the server recovers', async () => {
+  mock.setScenario(['http-500', 'reward']);
+  const requests = [];
+  const listener = (request) => requests.push(request);
+  emitter.on('requestComplete', listener);
+  const result = await performSign('token-abc', 0);
+  emitter.off('requestComplete', listener);
+
+  assert.equal(result.success, true);
+  assert.equal(result.attempts, 2);
+  assert.equal(mock.requests.length, 2);
+  // Each request is timed on its own, without the retry delay between them
+  assert.deepEqual(requests.map(request => [request.index, request.task, request.status]), [[0, 'meme-sign', 500], [0, 'meme-sign', 200]]);
+  assert.ok(requests.every(request => Number.isInteger(request.durationMs) && request.durationMs >= 0));
+});
+
+test('honors Retry-After on rate limiting', async () => {
+  mock.setScenario(['rate-limited', 'duplicate']);
+  const result = await performSign('token-abc', 0);
+
+  assert.equal(result.isDuplicate, true);
+  assert.equal(result.attempts, 2);
+});
+
+test('gives up after the maximum attempts on connection resets', async () => {
+  mock.setScenario('reset');
+  const result = await performSign('token-abc', 0);
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorClass, 'network');
+  assert.equal(result.attempts, 3);
+});
+
+test('classifies slow responses as timeouts', async () => {
+  mock.setScenario('slow');
+  const result = await performSign('token-abc', 0);
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorClass, 'timeout');
+  assert.equal(result.attempts, 3);
+});
+
+test('enforces the deadline on responses that keep trickling in', async () => {
+  mock.setScenario('trickle');
+  const startedAt = Date.now();
+  const result = await performSign('token-abc', 0);
+
+  assert.equal(result.errorClass, 'timeout');
+  assert.equal(result.attempts, 3);
+  assert.ok(Date.now() - startedAt < 3 * 1000, 'each attempt stops at requestTimeoutMs, not when the body ends');
+});
+
+test('runs plugin tasks with their own request and response handling', async () => {
+  mock.setScenario('reward');
+  const task = {
+    name: 'test-task',
+    title: 'Test task',
+    schedule: 'every-cycle',
+    buildRequest: ({ token }) => ({ method: 'POST', path: '/api/taskwall/meme/sign', data: { for: token.length }, headers: { 'X-Task': 'test' } }),
+    interpretResponse: ({ data }) => ({ reward: data.debug.task.rewardPoint * 2, isDuplicate: false }),
+  };
+
+  const { durationMs, ...result } = await performTask(task, 'token-abc', 0);
+  assert.deepEqual(result, { success: true, message: '+50 points', reward: 50, isDuplicate: false, errorClass: null, attempts: 1 });
+  assert.equal(mock.requests[0].body, '{"for":9}');
+
+  // A plugin that can't read the body fails with a schema error, without retries
+  const broken = await performTask({ ...task, interpretResponse: ({ data }) => data.missing.field }, 'token-abc', 0);
+  assert.equal(broken.errorClass, 'schema');
+  assert.equal(broken.attempts, 1);
+});
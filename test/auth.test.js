@@ -0,0 +1,63 @@
+// test/auth.test.js
+// isTokenExpiredOrInvalid() with real, expired and malformed JWTs, plus expiry forecasting.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { isTokenExpiredOrInvalid, getTokenInfo, formatDuration, buildExpiryReport } from '../src/utils/auth.js';
+
+test('accepts a token that expires in the future', () => {
+  const token = jwt.sign({ sub: 'user-1' }, 'secret', { expiresIn: '1h' });
+  assert.equal(isTokenExpiredOrInvalid(token, 0), false);
+});
+
+test('rejects an expired token', () => {
+  const token = jwt.sign({ sub: 'user-1', exp: Math.floor(Date.now() / 1000) - 60 }, 'secret');
+  assert.equal(isTokenExpiredOrInvalid(token, 0), true);
+});
+
+test('rejects a token without an exp claim', () => {
+  const token = jwt.sign({ sub: 'user-1' }, 'secret');
+  assert.equal(isTokenExpiredOrInvalid(token, 0), true);
+});
+
+test('rejects empty and malformed tokens', () => {
+  assert.equal(isTokenExpiredOrInvalid('', 0), true);
+  assert.equal(isTokenExpiredOrInvalid('not-a-jwt', 0), true);
+});
+
+test('getTokenInfo decodes exp, iat and sub', () => {
+  const now = Date.UTC(2025, 0, 1);
+  const token = jwt.sign({ sub: 42, iat: now / 1000, exp: now / 1000 + 3600 }, 'secret');
+  assert.deepEqual(getTokenInfo(token, now), {
+    decodable: true, expiresAt: now + 3600000, issuedAt: now, subject: '42', expiresInMs: 3600000, isExpired: false,
+  });
+  assert.equal(getTokenInfo('not-a-jwt', now).decodable, false);
+  assert.equal(getTokenInfo('not-a-jwt', now).isExpired, true);
+});
+
+test('formatDuration keeps the two largest units', () => {
+  assert.equal(formatDuration((3 * 24 + 4) * 3600000 + 59000), '3d 4h');
+  assert.equal(formatDuration(5 * 3600000 + 12 * 60000), '5h 12m');
+  assert.equal(formatDuration(7 * 60000 + 30000), '7m');
+  assert.equal(formatDuration(-1000), '0m');
+});
+
+test('buildExpiryReport sorts tokens by urgency', () => {
+  const now = Date.UTC(2025, 0, 1);
+  const hour = 3600000;
+  const sign = (sub, offsetMs) => jwt.sign({ sub, exp: (now + offsetMs) / 1000 }, 'secret');
+  const accounts = [
+    { index: 0, label: 'expired', token: sign('a', -hour) },
+    { index: 1, label: 'before-run', token: sign('b', 2 * hour) },
+    { index: 2, label: 'soon', token: sign('c', 48 * hour) },
+    { index: 3, label: 'fine', token: sign('d', 30 * 24 * hour) },
+    { index: 4, label: 'garbage', token: 'not-a-jwt' },
+  ];
+
+  const report = buildExpiryReport(accounts, { nextRunTimestamp: now + 12 * hour, warningDays: 3, now });
+  assert.deepEqual(report.expired.map(e => e.label), ['expired', 'garbage']);
+  assert.deepEqual(report.expiringBeforeNextRun.map(e => e.label), ['before-run']);
+  assert.deepEqual(report.expiringSoon.map(e => e.label), ['soon']);
+  assert.equal(report.expiringSoon[0].expiresInMs, 48 * hour);
+});
@@ -0,0 +1,264 @@
+// test/botLogic.test.js
+// Full check-in cycles against the mock server, in a temporary working directory.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { startMockServer } from '../scripts/mockServer.js';
+import emitter from '../src/events.js';
+
+const makeToken = (sub, expiresIn = '1h') => jwt.sign({ sub }, 'secret', { expiresIn });
+
+const tokens = {
+  reward: makeToken('reward'),
+  duplicate: makeToken('duplicate'),
+  expired: jwt.sign({ sub: 'expired', exp: Math.floor(Date.now() / 1000) - 60 }, 'secret'),
+  flaky: makeToken('flaky'),
+};
+
+let mock;
+let tempDir;
+let bot;
+const flakyRequests = { count: 0 };
+
+before(async () => {
+  mock = await startMockServer({
+    rewardPoint: 15,
+    scenario: (token) => {
+      if (token === tokens.duplicate) return 'duplicate';
+      if (token === tokens.flaky) {
+        // Fails every in-call retry, then recovers for the end-of-cycle retry pass
+        flakyRequests.count++;
+        return flakyRequests.count <= 3 ? 'reset' : 'reward';
+      }
+      return 'reward';
+    },
+  });
+
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-bot-'));
+  fs.writeFileSync(path.join(tempDir, 'wallet.txt'), [tokens.reward, tokens.duplicate, tokens.expired, tokens.flaky].join('\n'));
+  process.chdir(tempDir);
+
+  process.env.CORESKY_API_BASE_URL = mock.url;
+  process.env.CORESKY_ACCOUNT_DELAY_MS = '0';
+  process.env.CORESKY_RETRY_BASE_MS = '10';
+  bot = await import('../src/botLogic.js');
+});
+
+after(async () => {
+  bot.stopBot();
+  await mock.close();
+});
+
+/**
+ * Collects checkinResult events emitted while fn runs.
+ * @param {() => Promise<void>} fn
+ * @returns {Promise<object[]>}
+ */
+async function collectResults(fn) {
+  const results = [];
+  const listener = (result) => results.push(result);
+  emitter.on('checkinResult', listener);
+  try {
+    await fn();
+  } finally {
+    emitter.off('checkinResult', listener);
+  }
+  return results;
+}
+
+test('first start runs a full cycle and persists the results', async () => {
+  const results = await collectResults(() => bot.startBot());
+  const byIndex = Object.fromEntries(results.map(r => [r.index, r]));
+
+  assert.equal(results.length, 4);
+  assert.equal(byIndex[0].reward, 15);
+  assert.equal(byIndex[1].isDuplicate, true);
+  assert.equal(byIndex[2].message, 'Token Expired/Invalid');
+  assert.equal(byIndex[3].success, true);
+  assert.equal(byIndex[3].attempts, 4); // 3 in-call attempts + 1 in the retry pass
+
+  // The expired token never reaches the API
+  assert.ok(mock.requests.every(r => r.token !== tokens.expired));
+
+  const history = JSON.parse(fs.readFileSync(path.join(tempDir, 'checkin-history.json'), 'utf8'));
+  assert.equal(Object.keys(history.accounts).length, 4);
+  assert.ok(!fs.readFileSync(path.join(tempDir, 'checkin-history.json'), 'utf8').includes(tokens.reward));
+
+  const state = JSON.parse(fs.readFileSync(path.join(tempDir, 'scheduler-state.json'), 'utf8'));
+  assert.ok(state.nextRunTimestamp > Date.now());
+});
+
+test('a second cycle on the same day skips accounts that already checked in', async () => {
+  const requestsBefore = mock.requests.length;
+  const results = await collectResults(() => bot.runCheckInCycle());
+
+  assert.equal(mock.requests.length, requestsBefore);
+  // Only the expired account is reported again
+  assert.deepEqual(results.map(r => r.index), [2]);
+});
+
+test('runOnce reports outcome counts without scheduling another run', async () => {
+  bot.stopBot();
+  fs.unlinkSync(path.join(tempDir, 'scheduler-state.json'));
+
+  const summary = await bot.runOnce();
+
+  assert.equal(summary.total, 4);
+  assert.equal(summary.skipped, 3);
+  assert.equal(summary.succeeded, 3);
+  assert.equal(summary.failed, 1);
+  assert.ok(!fs.existsSync(path.join(tempDir, 'scheduler-state.json')));
+});
+
+test('every cycle emits a cycleComplete report and saves it to reports/', async () => {
+  const reports = [];
+  const listener = (report) => reports.push(report);
+  emitter.on('cycleComplete', listener);
+  await bot.runCheckInCycle({ scheduleNext: false });
+  emitter.off('cycleComplete', listener);
+
+  assert.equal(reports.length, 1);
+  const [report] = reports;
+  assert.deepEqual(
+    { total: report.total, skipped: report.skipped, expiredTokens: report.expiredTokens, newCheckins: report.newCheckins, points: report.points },
+    { total: 4, skipped: 3, expiredTokens: 1, newCheckins: 0, points: 0 }
+  );
+  assert.deepEqual(report.accounts.map(a => a.outcome), ['already_done', 'already_done', 'expired', 'already_done']);
+  assert.ok(report.durationMs >= 0);
+
+  const saved = JSON.parse(fs.readFileSync(report.reportFiles.json, 'utf8'));
+  assert.equal(saved.expiredTokens, 1);
+  const csvLines = fs.readFileSync(report.reportFiles.csv, 'utf8').trim().split('\n');
+  assert.equal(csvLines.length, 5); // Header + one row per account
+  assert.match(csvLines[3], /^2,,ey.*,expired,false,0,auth,0,/);
+  assert.equal(path.dirname(report.reportFiles.csv), path.join(tempDir, 'reports'));
+});
+
+test('cancelCycle stops the running cycle after the current account', async () => {
+  const cycle = bot.runCheckInCycle({ scheduleNext: false });
+  // Accounts 0-1 are skipped synchronously; account 2 (expired) is the first to await
+  assert.equal(bot.cancelCycle(), true);
+  const summary = await cycle;
+
+  assert.equal(summary.cancelled, 1);
+  assert.deepEqual(summary.results.map(r => r.index), [2]);
+  assert.equal(bot.cancelCycle(), false); // Nothing running any more
+});
+
+test('a paused scheduler plans the next run without arming it until resumed', async () => {
+  const statuses = [];
+  const listener = (status) => statuses.push(status.botStatus);
+  emitter.on('statusUpdate', listener);
+
+  bot.pauseScheduler();
+  const cycleDone = new Promise(resolve => emitter.once('cycleComplete', resolve));
+  assert.equal(bot.runNow(), true);
+  assert.equal(bot.runNow(), false); // Already running
+  await cycleDone;
+  assert.equal(statuses.at(-1), 'PAUSED');
+
+  assert.equal(bot.resumeScheduler(), true);
+  assert.equal(statuses.at(-1), 'WAITING');
+  emitter.off('statusUpdate', listener);
+  bot.stopBot();
+});
+
+test('a manual cycle that throws is logged instead of becoming an unhandled rejection', async () => {
+  const failing = () => { throw new Error('disk full'); };
+  emitter.on('cycleComplete', failing);
+  const failureLogged = new Promise(resolve => {
+    const listener = (log) => {
+      if (log.level !== 'error' || !log.message.startsWith('Check-in cycle failed')) return;
+      emitter.off('log', listener);
+      resolve(log);
+    };
+    emitter.on('log', listener);
+  });
+  try {
+    assert.equal(bot.runNow(), true);
+    assert.equal((await failureLogged).message, 'Check-in cycle failed: disk full');
+  } finally {
+    emitter.off('cycleComplete', failing);
+    bot.stopBot();
+  }
+});
+
+test('a first cycle that throws is logged and startBot still resolves', async () => {
+  const { getConfig } = await import('../src/config.js');
+  fs.rmSync(getConfig().stateFile, { force: true }); // No planned run: startBot runs a cycle right away
+  const failing = () => { throw new Error('history write failed'); };
+  const logs = [];
+  const onLog = (log) => logs.push(log);
+  emitter.on('cycleComplete', failing);
+  emitter.on('log', onLog);
+  try {
+    await bot.startBot();
+  } finally {
+    emitter.off('cycleComplete', failing);
+    emitter.off('log', onLog);
+    bot.stopBot();
+  }
+  assert.ok(logs.some(log => log.level === 'error' && log.message === 'Check-in cycle failed: history write failed'));
+});
+
+test('runAccount re-runs one account and its details show the result', async () => {
+  const results = await collectResults(() => bot.runAccount(0));
+  assert.deepEqual(results.map(r => [r.index, r.success, r.reward]), [[0, true, 15]]);
+
+  const details = bot.getAccountDetails(0);
+  assert.equal(details.subject, 'reward');
+  assert.equal(details.recentCheckins[0].reward, 15); // Newest first
+  assert.equal(details.lastResponse.status, 200);
+  assert.equal(details.lastResponse.data.debug.task.rewardPoint, 15);
+  assert.ok(!JSON.stringify(details).includes(tokens.reward));
+
+  assert.equal(await bot.runAccount(99), null);
+  assert.equal(bot.getAccountDetails(99), null);
+});
+
+test('wallet reloads are deferred while a cycle runs and applied afterwards', async () => {
+  const reloads = [];
+  const listener = (data) => reloads.push(data);
+  emitter.on('accountsReloaded', listener);
+
+  const extraToken = makeToken('extra');
+  fs.appendFileSync(path.join(tempDir, 'wallet.txt'), `\nNew account|${extraToken}`);
+
+  const cycle = bot.runCheckInCycle({ scheduleNext: false });
+  assert.equal(bot.reloadAccounts(), false); // Deferred: the cycle is running
+  assert.equal(reloads.length, 0);
+
+  const summary = await cycle;
+  emitter.off('accountsReloaded', listener);
+
+  assert.equal(summary.total, 4); // The running cycle kept the old account set
+  assert.deepEqual(reloads, [{ total: 5, added: 1, removed: 0, replaced: 0 }]);
+});
+
+test('a wallet that fails to load mid-run keeps the loaded accounts', async () => {
+  const { loadConfig } = await import('../src/config.js');
+  const walletPath = path.join(tempDir, 'wallet.json');
+  fs.writeFileSync(walletPath, JSON.stringify([{ label: 'One', token: tokens.reward }, { label: 'Two', token: tokens.duplicate }]));
+  loadConfig({ argv: ['--wallet', 'wallet.json'] });
+
+  const reloads = [];
+  const listener = (data) => reloads.push(data);
+  emitter.on('accountsReloaded', listener);
+  try {
+    assert.equal(bot.reloadAccounts(), true);
+    fs.writeFileSync(walletPath, '[{"label": "One", "tok'); // Half-written
+    assert.equal(bot.reloadAccounts(), null);
+    fs.unlinkSync(walletPath); // Briefly missing during a rename-save
+    assert.equal(bot.reloadAccounts(), null);
+  } finally {
+    emitter.off('accountsReloaded', listener);
+    loadConfig();
+  }
+
+  assert.deepEqual(reloads.map(reload => reload.total), [2]); // Only the good read was applied
+  assert.equal(bot.getBotStatus().tokensLoaded, 2);
+});
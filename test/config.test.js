@@ -0,0 +1,112 @@
+// test/config.test.js
+// Config precedence (defaults < file < .env < environment < flags) and validation errors.
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, describeConfig, parseEnvFile, ConfigError, CONFIG_SCHEMA } from '../src/config.js';
+
+let tempDir;
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-config-'));
+});
+
+/**
+ * Writes a file into the temp directory.
+ * @param {string} name
+ * @param {string} content
+ */
+const writeFile = (name, content) => fs.writeFileSync(path.join(tempDir, name), content);
+
+test('uses defaults when nothing is configured', () => {
+  const { config, sources } = loadConfig({ env: {}, cwd: fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-empty-')) });
+
+  assert.equal(config.apiBaseUrl, 'https://www.coresky.com');
+  assert.equal(config.accountDelayMs, 3000);
+  assert.equal(config.schedule.expression, '5 0 * * *');
+  assert.equal(sources.apiBaseUrl, 'default');
+  assert.ok(path.isAbsolute(config.walletFile));
+});
+
+test('applies file < .env < environment < flags precedence', () => {
+  writeFile('coresky.config.json', JSON.stringify({ accountDelayMs: 100, maxAttempts: 5, timezone: 'Asia/Kolkata', walletFile: 'from-file.txt' }));
+  writeFile('.env', 'CORESKY_ACCOUNT_DELAY_MS=200\nCORESKY_MAX_ATTEMPTS="4"\n');
+
+  const { config, sources } = loadConfig({
+    argv: ['--account-delay-ms', '400'],
+    env: { CORESKY_ACCOUNT_DELAY_MS: '300' },
+    cwd: tempDir,
+  });
+
+  assert.equal(config.accountDelayMs, 400);
+  assert.equal(sources.accountDelayMs, 'flag');
+  assert.equal(config.maxAttempts, 4);
+  assert.equal(sources.maxAttempts, '.env');
+  assert.equal(config.timezone, 'Asia/Kolkata');
+  assert.equal(config.walletFile, path.join(tempDir, 'from-file.txt'));
+
+  fs.unlinkSync(path.join(tempDir, 'coresky.config.json'));
+  fs.unlinkSync(path.join(tempDir, '.env'));
+});
+
+test('collects every invalid value into one readable error', () => {
+  assert.throws(
+    () => loadConfig({
+      argv: ['--max-attempts', '0', '--api-base-url', 'ftp://example.com'],
+      env: { CORESKY_ACCOUNT_DELAY_MS: 'soon' },
+      cwd: tempDir,
+    }),
+    (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.equal(error.issues.length, 3);
+      assert.match(error.message, /"maxAttempts" \(from --max-attempts\) must be at least 1/);
+      assert.match(error.message, /"accountDelayMs" \(from CORESKY_ACCOUNT_DELAY_MS\) must be a whole number/);
+      return true;
+    }
+  );
+});
+
+test('rejects unknown flags, unknown file keys and bad schedules', () => {
+  assert.throws(() => loadConfig({ argv: ['--nope'], env: {}, cwd: tempDir }), ConfigError);
+  // Secrets are read from the environment or files only, never from the process list
+  assert.ok(Object.values(CONFIG_SCHEMA).filter(spec => spec.secret).every(spec => !spec.flag));
+  assert.throws(() => loadConfig({ argv: ['--control-secret', 'x'.repeat(32)], env: {}, cwd: tempDir }), ConfigError);
+  assert.throws(() => loadConfig({ argv: ['--notify-telegram-token', '123:abc'], env: {}, cwd: tempDir }), ConfigError);
+  // Blank numbers are errors, not 0
+  assert.throws(() => loadConfig({ env: { CORESKY_CONCURRENCY: '' }, cwd: tempDir }), /"concurrency" \(from CORESKY_CONCURRENCY\) must be a whole number, got ""/);
+  assert.throws(() => loadConfig({ argv: ['--account-delay-ms', ' '], env: {}, cwd: tempDir }), /must be a whole number/);
+  assert.throws(() => loadConfig({ env: { CORESKY_MAX_REQUESTS_PER_SECOND: '' }, cwd: tempDir }), /must be a number/);
+  assert.throws(() => loadConfig({ argv: ['--cron', '* * *'], env: {}, cwd: tempDir }), /must have 5 fields/);
+  assert.throws(() => loadConfig({ argv: ['--timezone', 'Mars/Base'], env: {}, cwd: tempDir }), /Unknown timezone/);
+
+  writeFile('custom.json', JSON.stringify({ delay: 5 }));
+  assert.throws(() => loadConfig({ argv: ['--config', 'custom.json'], env: {}, cwd: tempDir }), /Unknown key "delay"/);
+  assert.throws(() => loadConfig({ argv: ['--config', 'missing.json'], env: {}, cwd: tempDir }), /Config file not found/);
+});
+
+test('treats boolean flags without a value as true', () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-bool-config-'));
+  assert.equal(loadConfig({ argv: ['--dry-run'], env: {}, cwd }).config.dryRun, true);
+  assert.equal(loadConfig({ argv: ['--dry-run', '--watch-wallet', 'false'], env: {}, cwd }).config.dryRun, true);
+  assert.equal(loadConfig({ argv: ['--dry-run', 'off'], env: {}, cwd }).config.dryRun, false);
+});
+
+test('validates notification settings and hides secrets in the config summary', () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-notify-config-'));
+  assert.throws(() => loadConfig({ argv: ['--notify-on', 'sometimes'], env: {}, cwd }), /must be one of always, failures/);
+  assert.throws(() => loadConfig({ env: { CORESKY_NOTIFY_TELEGRAM_TOKEN: '123:abc' }, cwd }), /must be set together/);
+
+  const { config } = loadConfig({ argv: ['--notify-on', 'FAILURES'], env: { CORESKY_NOTIFY_DISCORD_URL: 'https://discord.example/api/webhooks/1/secret' }, cwd });
+  assert.equal(config.notifyOn, 'failures');
+  const summary = describeConfig(config).join('\n');
+  assert.match(summary, /notifyDiscordUrl = \(hidden\)/);
+  assert.doesNotMatch(summary, /secret/);
+});
+
+test('parses .env files with comments, export and quotes', () => {
+  writeFile('sample.env', '# comment\nexport A=1\nB = "two words"\nC=\'x\'\ninvalid line\n');
+  assert.deepEqual(parseEnvFile(path.join(tempDir, 'sample.env')), { A: '1', B: 'two words', C: 'x' });
+});
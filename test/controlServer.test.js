@@ -0,0 +1,95 @@
+// test/controlServer.test.js
+// HTTP control API: shared-secret check, status/accounts/history reads and the run/pause/resume/reload controls.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { startMockServer } from '../scripts/mockServer.js';
+import emitter from '../src/events.js';
+import { loadConfig, ConfigError } from '../src/config.js';
+import { startBot, stopBot } from '../src/botLogic.js';
+import { startControlServer, stopControlServer } from '../src/services/controlServer.js';
+
+const SECRET = 'a-long-enough-shared-secret';
+const token = jwt.sign({ sub: 'main' }, 'secret', { expiresIn: '1h' });
+
+let mock;
+let baseUrl;
+
+before(async () => {
+  mock = await startMockServer({ rewardPoint: 15 });
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-control-'));
+  fs.writeFileSync(path.join(cwd, 'wallet.txt'), `Main|${token}\n`);
+  loadConfig({
+    argv: ['--api-base-url', mock.url, '--account-delay-ms', '0', '--watch-wallet', 'false', '--control-api', 'true', '--control-port', '0'],
+    env: { CORESKY_CONTROL_SECRET: SECRET },
+    cwd,
+  });
+  await startBot(); // Runs the first cycle
+  baseUrl = `http://127.0.0.1:${await startControlServer()}`;
+});
+
+after(async () => {
+  stopBot();
+  await stopControlServer();
+  await mock.close();
+});
+
+/**
+ * Calls the control API.
+ * @param {string} method
+ * @param {string} pathname
+ * @param {string | null} [secret=SECRET]
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function call(method, pathname, secret = SECRET) {
+  const response = await fetch(`${baseUrl}${pathname}`, { method, headers: secret ? { 'X-Control-Secret': secret } : {} });
+  return { status: response.status, body: await response.json() };
+}
+
+test('rejects requests without the right secret, and needs a secret to start', async () => {
+  assert.equal((await call('GET', '/status', null)).status, 401);
+  assert.equal((await call('POST', '/run', 'wrong')).status, 401);
+  assert.throws(
+    () => loadConfig({ argv: ['--control-api', 'true'], env: {}, cwd: os.tmpdir() }),
+    (error) => error instanceof ConfigError && /controlSecret/.test(error.message)
+  );
+});
+
+test('serves status, per-account results and history without raw tokens', async () => {
+  const status = await call('GET', '/status');
+  assert.equal(status.status, 200);
+  assert.equal(status.body.tokensLoaded, 1);
+  assert.equal(status.body.botStatus, 'WAITING');
+  assert.equal(status.body.paused, false);
+
+  const { body: { accounts } } = await call('GET', '/accounts');
+  assert.equal(accounts.length, 1);
+  assert.equal(accounts[0].label, 'Main');
+  assert.equal(accounts[0].checkedInToday, true);
+  assert.equal(accounts[0].lastResult.reward, 15);
+
+  const history = await call('GET', '/history');
+  const [record] = Object.values(history.body.accounts);
+  assert.equal(record.records.length, 1);
+  assert.ok(!JSON.stringify([accounts, history.body]).includes(token));
+
+  assert.equal((await call('GET', '/nope')).status, 404);
+  assert.equal((await call('GET', '/run')).status, 405);
+});
+
+test('pauses, resumes, reloads and runs through the bot controls', async () => {
+  assert.deepEqual(await call('POST', '/pause'), { status: 200, body: { paused: true } });
+  assert.equal((await call('POST', '/pause')).status, 409);
+  assert.equal((await call('GET', '/status')).body.botStatus, 'PAUSED');
+  assert.deepEqual(await call('POST', '/resume'), { status: 200, body: { paused: false } });
+  assert.deepEqual(await call('POST', '/reload'), { status: 200, body: { deferred: false } });
+
+  const cycleDone = new Promise(resolve => emitter.once('cycleComplete', resolve));
+  assert.deepEqual(await call('POST', '/run'), { status: 202, body: { started: true } });
+  const cycle = await cycleDone;
+  assert.equal(cycle.skipped, 1); // Main already checked in today
+});
@@ -0,0 +1,113 @@
+// test/ledger.test.js
+// Points ledger: streaks, daily series, sparklines and totals persisted in the history file.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../src/config.js';
+import { loadHistory, recordCheckin, getLedger, getAccountId } from '../src/utils/historyStore.js';
+import { buildLedgerSummary, computeStreaks, getDailySeries, formatSparkline } from '../src/utils/ledger.js';
+
+test('counts consecutive days and breaks streaks on missed days', () => {
+  const days = { '2025-01-01': 10, '2025-01-02': 10, '2025-01-03': 0, '2025-01-05': 10, '2025-01-06': 10 };
+
+  assert.deepEqual(computeStreaks(days, '2025-01-06'), { current: 2, longest: 3 });
+  // Today's run hasn't happened yet: yesterday's streak still counts
+  assert.deepEqual(computeStreaks(days, '2025-01-07'), { current: 2, longest: 3 });
+  // A whole day missed
+  assert.deepEqual(computeStreaks(days, '2025-01-08'), { current: 0, longest: 3 });
+  // Across a month boundary
+  assert.deepEqual(computeStreaks({ '2025-02-28': 1, '2025-03-01': 1 }, '2025-03-01'), { current: 2, longest: 2 });
+  assert.deepEqual(computeStreaks({}, '2025-01-01'), { current: 0, longest: 0 });
+});
+
+test('builds a daily series and sparkline with gaps for missed days', () => {
+  const series = getDailySeries({ '2025-01-01': 10, '2025-01-03': 20, '2025-01-04': 0 }, '2025-01-04', 5);
+
+  assert.deepEqual(series, [null, 10, null, 20, 0]);
+  assert.equal(formatSparkline(series), '·▅·█▁');
+  assert.equal(formatSparkline([0, null, 0]), '▁·▁');
+});
+
+test('keeps point totals in the history file and sums them per fleet', () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-ledger-'));
+  loadConfig({ env: {}, cwd });
+  loadHistory();
+
+  const day = (n) => Date.UTC(2025, 0, n, 1);
+  recordCheckin('token-a', { success: true, isDuplicate: false, reward: 10, message: '+10', timestamp: day(1) });
+  recordCheckin('token-a', { success: true, isDuplicate: false, reward: 15, message: '+15', timestamp: day(2) });
+  recordCheckin('token-a', { success: false, isDuplicate: false, reward: 0, message: 'API Error', timestamp: day(3) });
+  recordCheckin('token-b', { success: true, isDuplicate: true, reward: 0, message: 'Already', timestamp: day(2) });
+
+  assert.deepEqual(getLedger('token-a'), { totalPoints: 25, days: { '2025-01-01': 10, '2025-01-02': 15 } });
+
+  // Older history files without a ledger are backfilled from their records
+  const historyPath = path.join(cwd, 'checkin-history.json');
+  const saved = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+  Object.values(saved.accounts).forEach(account => delete account.ledger);
+  fs.writeFileSync(historyPath, JSON.stringify(saved));
+  loadHistory();
+  assert.equal(getLedger('token-a').totalPoints, 25);
+
+  const summary = buildLedgerSummary([
+    { index: 0, label: 'A', token: 'token-a' },
+    { index: 1, label: null, token: 'token-b' },
+  ], day(2));
+  assert.equal(summary.fleetTotal, 25);
+  assert.equal(summary.fleetToday, 15);
+  assert.deepEqual(summary.accounts.map(a => [a.currentStreak, a.longestStreak]), [[2, 2], [1, 1]]);
+  assert.equal(summary.accounts[0].daily.length, 30);
+});
+
+test('a labelled account keeps its ledger and streak when its token is refreshed', () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-ledger-rotate-'));
+  loadConfig({ env: {}, cwd });
+  loadHistory();
+
+  const day = (n) => Date.UTC(2025, 0, n, 1);
+  recordCheckin({ token: 'token-old', label: 'Main' }, { success: true, isDuplicate: false, reward: 10, message: '+10', timestamp: day(1) });
+  recordCheckin({ token: 'token-old', label: 'Main' }, { success: true, isDuplicate: false, reward: 10, message: '+10', timestamp: day(2) });
+  recordCheckin({ token: 'token-new', label: 'Main' }, { success: true, isDuplicate: false, reward: 10, message: '+10', timestamp: day(3) });
+
+  const [row] = buildLedgerSummary([{ index: 0, label: 'Main', token: 'token-new' }], day(3)).accounts;
+  assert.deepEqual([row.totalPoints, row.currentStreak], [30, 3]);
+  assert.equal(getLedger('token-new').totalPoints, 0); // Unlabelled accounts are still keyed by token
+
+  // Older history files keyed labelled accounts by token: they're moved to the label on load
+  const historyPath = path.join(cwd, 'checkin-history.json');
+  const saved = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+  const [entry] = Object.values(saved.accounts);
+  fs.writeFileSync(historyPath, JSON.stringify({ version: 1, accounts: { [getAccountId('token-old')]: entry } }));
+  loadHistory();
+  assert.equal(getLedger({ token: 'token-refreshed', label: 'Main' }).totalPoints, 30);
+});
+
+test('accounts sharing a label keep separate ledgers and streaks', () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-ledger-shared-'));
+  loadConfig({ env: {}, cwd });
+  loadHistory();
+
+  const day = (n) => Date.UTC(2025, 0, n, 1);
+  const first = { index: 0, label: 'Main', token: 'token-one', sharedLabel: true };
+  const second = { index: 1, label: 'Main', token: 'token-two', sharedLabel: true };
+  recordCheckin(first, { success: true, isDuplicate: false, reward: 10, message: '+10', timestamp: day(1) });
+  recordCheckin(first, { success: true, isDuplicate: false, reward: 10, message: '+10', timestamp: day(2) });
+  recordCheckin(second, { success: true, isDuplicate: false, reward: 5, message: '+5', timestamp: day(2) });
+
+  const rows = () => buildLedgerSummary([first, second], day(2)).accounts.map(row => [row.totalPoints, row.currentStreak]);
+  assert.deepEqual(rows(), [[20, 2], [5, 1]]);
+  loadHistory(); // Reloading doesn't merge them under the label
+  assert.deepEqual(rows(), [[20, 2], [5, 1]]);
+
+  // Older history files stored the label on token-keyed entries: a shared one isn't moved or merged either
+  const historyPath = path.join(cwd, 'checkin-history.json');
+  const saved = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+  Object.values(saved.accounts).forEach(entry => { entry.label = 'Main'; });
+  fs.writeFileSync(historyPath, JSON.stringify(saved));
+  loadHistory();
+  assert.deepEqual(rows(), [[20, 2], [5, 1]]);
+  assert.equal(getLedger({ token: 'token-three', label: 'Main' }).totalPoints, 0); // Nothing under the label itself
+});
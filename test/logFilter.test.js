@@ -0,0 +1,42 @@
+// test/logFilter.test.js
+// Main Log filters and search: level and account filters, matching and highlighting.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogFilter, matchesFilter, findMatches, highlightMatches, describeFilter } from '../src/tui/logFilter.js';
+
+const entries = [
+  { level: 'info', message: '🚀 Starting check-in cycle...', timestamp: 1 },
+  { level: 'info', message: '[Main] 📡 Attempting sign-in...', accountIndex: 0, timestamp: 2 },
+  { level: 'success', message: '[Main] ✅ Sign-in successful! Reward: 10 points', accountIndex: 0, timestamp: 3 },
+  { level: 'error', message: '[Account 2] ❌ Sign-in failed [auth]: API Error (401)', accountIndex: 1, timestamp: 4 },
+];
+
+test('filters entries by level and account', () => {
+  const filter = createLogFilter();
+  assert.equal(entries.filter(entry => matchesFilter(entry, filter)).length, 4);
+
+  filter.hiddenLevels.add('info');
+  assert.deepEqual(entries.filter(entry => matchesFilter(entry, filter)).map(entry => entry.timestamp), [3, 4]);
+
+  // Entries that aren't about an account are hidden while filtering by account
+  filter.hiddenLevels.clear();
+  filter.accountIndex = 0;
+  assert.deepEqual(entries.filter(entry => matchesFilter(entry, filter)).map(entry => entry.timestamp), [2, 3]);
+});
+
+test('finds and highlights search matches case-insensitively', () => {
+  assert.deepEqual(findMatches(entries, 'SIGN-IN'), [1, 2, 3]);
+  assert.deepEqual(findMatches(entries, ''), []);
+  assert.equal(highlightMatches('Sign-in ok, sign-in again', 'sign-in', match => `<${match}>`), '<Sign-in> ok, <sign-in> again');
+  assert.equal(highlightMatches('no match', 'xyz', match => `<${match}>`), 'no match');
+});
+
+test('describes the active filter for the pane label', () => {
+  const filter = createLogFilter();
+  assert.equal(describeFilter(filter, index => `Account ${index + 1}`), '');
+
+  filter.hiddenLevels.add('wait').add('info');
+  filter.accountIndex = 1;
+  assert.equal(describeFilter(filter, index => `Account ${index + 1}`), 'hiding: info, wait | Account 2');
+});
@@ -0,0 +1,85 @@
+// test/logger.test.js
+// Log file sink: JSON and text lines, minimum level, daily and size rotation, retention.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import emitter from '../src/events.js';
+import { loadConfig } from '../src/config.js';
+import { initializeFileLog, stopFileLog, formatLogEntry } from '../src/utils/logger.js';
+
+after(() => stopFileLog());
+
+/**
+ * Loads a config with the given flags in a fresh directory and starts the file sink.
+ * @param {string[]} argv
+ * @returns {string} The logs directory.
+ */
+function configure(argv) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-logs-'));
+  loadConfig({ argv, env: {}, cwd });
+  initializeFileLog();
+  return path.join(cwd, 'logs');
+}
+
+/**
+ * Reads every line of every log file in a directory, in file name order.
+ * @param {string} logDir
+ * @returns {string[]}
+ */
+function readLines(logDir) {
+  return fs.readdirSync(logDir).sort()
+    .flatMap(name => fs.readFileSync(path.join(logDir, name), 'utf8').split('\n'))
+    .filter(Boolean);
+}
+
+test('writes log events and check-in results as JSON lines', () => {
+  const logDir = configure([]);
+  emitter.emit('log', { level: 'info', message: '[Main] 📡 Attempting sign-in...', accountIndex: 0 });
+  emitter.emit('checkinResult', { index: 0, label: 'Main', success: true, message: '+10 points', reward: 10, isDuplicate: false, errorClass: null, attempts: 1, timestamp: 1 });
+  stopFileLog();
+  emitter.emit('log', { level: 'info', message: 'not written' });
+
+  const files = fs.readdirSync(logDir);
+  assert.deepEqual(files, [`coresky-${new Date().toISOString().slice(0, 10)}.log`]);
+  const entries = readLines(logDir).map(line => JSON.parse(line));
+  assert.match(entries[0].message, /Logging to/);
+  assert.deepEqual(entries.slice(1).map(({ time, ...entry }) => entry), [
+    { event: 'log', level: 'info', message: '[Main] 📡 Attempting sign-in...', accountIndex: 0 },
+    { event: 'checkinResult', level: 'success', accountIndex: 0, label: 'Main', success: true, message: '+10 points', reward: 10, isDuplicate: false, errorClass: null, attempts: 1, timestamp: 1 },
+  ]);
+});
+
+test('skips entries below the minimum level and writes plain text', () => {
+  const logDir = configure(['--log-level', 'warn', '--log-format', 'text']);
+  emitter.emit('log', { level: 'success', message: 'skipped' });
+  emitter.emit('log', { level: 'error', message: '[Account 2] ❌ Sign-in failed', accountIndex: 1 });
+  emitter.emit('checkinResult', { index: 1, label: null, success: false, message: 'API Error (500)', reward: 0, isDuplicate: false, errorClass: 'server', attempts: 3, timestamp: 1 });
+  stopFileLog();
+
+  const lines = readLines(logDir);
+  assert.equal(lines.length, 2);
+  assert.match(lines[0], /^\S+Z ERROR {3}\[#2\] \[Account 2\] ❌ Sign-in failed$/);
+  assert.match(lines[1], /ERROR {3}\[#2\] check-in failed: API Error \(500\) \(server\), attempts: 3$/);
+});
+
+test('rotates by size and keeps only logMaxFiles files', () => {
+  const logDir = configure(['--log-rotate', 'size', '--log-max-size-kb', '1', '--log-max-files', '3']);
+  for (let i = 0; i < 40; i++) {
+    emitter.emit('log', { level: 'info', message: `line ${i} ${'x'.repeat(100)}` });
+  }
+  stopFileLog();
+
+  const files = fs.readdirSync(logDir).sort();
+  assert.equal(files.length, 3);
+  assert.ok(files.includes('coresky.log'));
+  files.forEach(name => assert.ok(fs.statSync(path.join(logDir, name)).size <= 1024));
+  assert.match(readLines(logDir).at(-1), /line 39/); // The newest lines survive
+});
+
+test('formats entries without an account', () => {
+  const line = formatLogEntry({ time: '2025-01-31T00:05:00.000Z', event: 'log', level: 'wait', message: 'Waiting\nfor next run' }, 'text');
+  assert.equal(line, '2025-01-31T00:05:00.000Z WAIT    Waiting for next run');
+});
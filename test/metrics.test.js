@@ -0,0 +1,88 @@
+// test/metrics.test.js
+// Prometheus metrics derived from emitter events, and the /metrics endpoint.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import emitter from '../src/events.js';
+import { loadConfig } from '../src/config.js';
+import { initializeMetrics, stopMetrics, renderMetrics, startMetricsServer, stopMetricsServer } from '../src/services/metrics.js';
+
+after(async () => {
+  stopMetrics();
+  await stopMetricsServer();
+});
+
+/**
+ * Finds a sample's value in rendered metrics.
+ * @param {string} text
+ * @param {string} sample - Metric name with labels, e.g. 'coresky_sign_attempts_total{outcome="success"}'.
+ * @returns {number}
+ */
+function valueOf(text, sample) {
+  const line = text.split('\n').find(candidate => candidate.startsWith(`${sample} `));
+  assert.ok(line, `missing sample ${sample}`);
+  return Number(line.slice(sample.length + 1));
+}
+
+/**
+ * Builds a checkinResult payload.
+ * @param {object} overrides
+ * @returns {object}
+ */
+const result = (overrides) => ({ index: 0, label: null, success: true, message: '', reward: 0, isDuplicate: false, errorClass: null, attempts: 1, durationMs: 200, timestamp: 1, ...overrides });
+
+test('derives counters, the latency histogram and gauges from events', () => {
+  initializeMetrics();
+  emitter.emit('statusUpdate', { tokensLoaded: 4, nextRunTimestamp: 1738282000000, botStatus: 'WAITING' });
+  emitter.emit('checkinResult', result({ reward: 15 }));
+  emitter.emit('checkinResult', result({ isDuplicate: true, durationMs: 700 }));
+  emitter.emit('checkinResult', result({ success: false, errorClass: 'auth', attempts: 0, durationMs: null }));
+  emitter.emit('checkinResult', result({ success: false, errorClass: 'timeout', attempts: 3, durationMs: 45000 }));
+  emitter.emit('checkinResult', result({ success: false, errorClass: 'server', attempts: 2, durationMs: 3000 }));
+  // Request latency comes from each request, not from the account's total (which includes retry delays)
+  [200, 700, 3000, 45000].forEach(durationMs => emitter.emit('requestComplete', { index: 0, task: 'meme-sign', status: 200, durationMs }));
+  emitter.emit('expiryReport', { expired: [{}], expiringBeforeNextRun: [{}], expiringSoon: [{}, {}] });
+  emitter.emit('cycleComplete', { failed: 1, finishedAt: 1738200000000, expiry: { expired: [], expiringBeforeNextRun: [], expiringSoon: [{}] } });
+  emitter.emit('cycleComplete', { failed: 0, finishedAt: 1738300000000, expiry: { expired: [], expiringBeforeNextRun: [], expiringSoon: [{}] } });
+  // A dry run's results and cycles never reached Coresky
+  emitter.emit('checkinResult', result({ reward: 15, simulated: true }));
+  emitter.emit('cycleComplete', { failed: 0, finishedAt: 1738400000000, simulated: true, expiry: { expired: [], expiringBeforeNextRun: [], expiringSoon: [{}] } });
+
+  const text = renderMetrics();
+  assert.match(text, /# TYPE coresky_sign_attempts_total counter/);
+  assert.deepEqual(
+    ['success', 'duplicate', 'expired', 'api_error', 'network_error'].map(outcome => valueOf(text, `coresky_sign_attempts_total{outcome="${outcome}"}`)),
+    [1, 1, 1, 1, 1]
+  );
+  assert.equal(valueOf(text, 'coresky_points_awarded_total'), 15);
+  assert.equal(valueOf(text, 'coresky_sign_retries_total'), 3);
+  assert.equal(valueOf(text, 'coresky_sign_duration_seconds_bucket{le="0.25"}'), 1);
+  assert.equal(valueOf(text, 'coresky_sign_duration_seconds_bucket{le="1"}'), 2);
+  assert.equal(valueOf(text, 'coresky_sign_duration_seconds_bucket{le="5"}'), 3);
+  assert.equal(valueOf(text, 'coresky_sign_duration_seconds_bucket{le="30"}'), 3);
+  assert.equal(valueOf(text, 'coresky_sign_duration_seconds_bucket{le="+Inf"}'), 4);
+  assert.equal(valueOf(text, 'coresky_sign_duration_seconds_count'), 4);
+  assert.equal(valueOf(text, 'coresky_sign_duration_seconds_sum'), 48.9);
+  assert.equal(valueOf(text, 'coresky_tokens_loaded'), 4);
+  assert.equal(valueOf(text, 'coresky_tokens_expiring_soon'), 1);
+  assert.equal(valueOf(text, 'coresky_next_run_timestamp_seconds'), 1738282000);
+  assert.equal(valueOf(text, 'coresky_last_successful_cycle_timestamp_seconds'), 1738300000);
+
+  stopMetrics();
+  emitter.emit('checkinResult', result({ reward: 15 }));
+  assert.equal(valueOf(renderMetrics(), 'coresky_points_awarded_total'), 15);
+});
+
+test('serves the metrics on GET /metrics when metricsPort is set', async () => {
+  loadConfig({ argv: [], env: {}, cwd: os.tmpdir() });
+  assert.equal(await startMetricsServer(), null); // Off by default
+
+  loadConfig({ argv: ['--metrics-port', '0'], env: {}, cwd: os.tmpdir() });
+  const port = await startMetricsServer();
+  const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  assert.match(await response.text(), /^coresky_tokens_loaded \d+$/m);
+  assert.equal((await fetch(`http://127.0.0.1:${port}/other`)).status, 404);
+});
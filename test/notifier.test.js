@@ -0,0 +1,154 @@
+// test/notifier.test.js
+// Cycle notifications delivered to a local HTTP receiver and a command hook.
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import emitter from '../src/events.js';
+import { loadConfig } from '../src/config.js';
+import {
+  initializeNotifier,
+  stopNotifier,
+  flushNotifications,
+  buildCycleNotification,
+  renderTemplate,
+} from '../src/services/notifier.js';
+
+let receiver;
+let receiverUrl;
+let tempDir;
+const received = []; // { url, body }
+const failuresToSend = { count: 0 }; // Next N requests get HTTP 503
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (failuresToSend.count > 0) {
+        failuresToSend.count--;
+        res.writeHead(503).end();
+        return;
+      }
+      received.push({ url: req.url, body: JSON.parse(body) });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-notify-'));
+});
+
+after(() => {
+  stopNotifier();
+  receiver.close();
+});
+
+beforeEach(() => {
+  received.length = 0;
+  failuresToSend.count = 0;
+});
+
+/**
+ * Loads a config with the given flags and environment (secrets have no flags) and (re)starts the notifier.
+ * @param {string[]} argv
+ * @param {Object<string, string>} [env]
+ */
+function configure(argv, env = {}) {
+  loadConfig({ argv: ['--retry-base-ms', '0', ...argv], env, cwd: tempDir });
+  initializeNotifier();
+}
+
+/**
+ * Emits the report of a cycle with one success, one failure and one account already done, then waits for delivery.
+ * @param {object} [overrides] - Fields of the cycleComplete payload to replace.
+ */
+async function emitCycle(overrides = {}) {
+  const row = { maskedToken: 'eyJ...abcd', task: 'meme-sign', attempts: 1, timestamp: Date.now() };
+  emitter.emit('cycleComplete', {
+    total: 3, succeeded: 2, failed: 1, skipped: 1, startedAt: Date.now(), finishedAt: Date.now(), nextRunTimestamp: null,
+    accounts: [
+      { ...row, index: 0, label: 'Main', outcome: 'checked_in', success: true, reward: 10, errorClass: null, message: '+10 points' },
+      { ...row, index: 1, label: null, outcome: 'expired', success: false, reward: 0, errorClass: 'auth', attempts: 0, message: 'Token Expired/Invalid' },
+      { ...row, index: 2, label: 'Done', outcome: 'already_done', success: true, reward: 0, errorClass: null, attempts: 0, message: 'Already checked in today' },
+    ],
+    expiry: { expired: [], expiringBeforeNextRun: [], expiringSoon: [] },
+    ...overrides,
+  });
+  await flushNotifications();
+}
+
+test('posts the cycle summary to webhook, Discord and Telegram targets', async () => {
+  configure(['--notify-telegram-chat-id', '42', '--notify-telegram-api-url', receiverUrl], {
+    CORESKY_NOTIFY_WEBHOOK_URL: `${receiverUrl}/hook`,
+    CORESKY_NOTIFY_DISCORD_URL: `${receiverUrl}/discord`,
+    CORESKY_NOTIFY_TELEGRAM_TOKEN: '123:abc',
+  });
+  await emitCycle();
+
+  const byUrl = Object.fromEntries(received.map(({ url, body }) => [url, body]));
+  assert.equal(byUrl['/hook'].event, 'cycleComplete');
+  assert.equal(byUrl['/hook'].status, 'PARTIAL');
+  assert.equal(byUrl['/hook'].summary.failed, 1);
+  assert.equal(byUrl['/hook'].results.length, 2);
+  assert.match(byUrl['/discord'].content, /2\/3 ok, 1 failed, 1 already done today/);
+  assert.match(byUrl['/discord'].content, /- Account 2 \[meme-sign\]: Token Expired\/Invalid \(auth\)/);
+  assert.equal(byUrl['/bot123:abc/sendMessage'].chat_id, '42');
+  assert.equal(byUrl['/bot123:abc/sendMessage'].text, byUrl['/discord'].content);
+});
+
+test('retries transient delivery failures', async () => {
+  configure(['--notify-max-attempts', '3'], { CORESKY_NOTIFY_WEBHOOK_URL: `${receiverUrl}/hook` });
+  failuresToSend.count = 2;
+  await emitCycle();
+
+  assert.equal(received.length, 1);
+});
+
+test('failure-only mode skips clean cycles but still sends expiry warnings', async () => {
+  configure(['--notify-on', 'failures'], { CORESKY_NOTIFY_WEBHOOK_URL: `${receiverUrl}/hook` });
+  await emitCycle({ succeeded: 3, failed: 0, accounts: [] });
+  assert.equal(received.length, 0);
+
+  const expiringSoon = [{ index: 0, label: 'Main', expiresAt: Date.now() + 7200000, expiresInMs: 7200000 }];
+  await emitCycle({ succeeded: 3, failed: 0, accounts: [], expiry: { expired: [], expiringBeforeNextRun: [], expiringSoon } });
+  assert.equal(received.length, 1);
+  assert.match(received[0].body.text, /- Main: in 2h 0m \(soon\)/);
+});
+
+test('runs the command hook with the payload on stdin', async () => {
+  const outFile = path.join(tempDir, 'notification.json');
+  const script = `require('fs').writeFileSync(process.argv[1], require('fs').readFileSync(0, 'utf8'))`;
+  configure(['--notify-command', `"${process.execPath}" -e "${script}" "${outFile}"`]);
+  await emitCycle();
+
+  const payload = JSON.parse(fs.readFileSync(outFile, 'utf8'));
+  assert.equal(payload.status, 'PARTIAL');
+  assert.equal(payload.summary.total, 3);
+});
+
+test('reports only the failures of the cycle, not of account re-runs before it', async () => {
+  configure([], { CORESKY_NOTIFY_WEBHOOK_URL: `${receiverUrl}/hook` });
+  // A single-account re-run (r in the account details) emits results without a cycle
+  emitter.emit('checkinResult', { index: 5, label: 'Rerun', success: false, message: 'Network Error', reward: 0, isDuplicate: false, errorClass: 'network', attempts: 3, timestamp: Date.now() });
+  await emitCycle();
+
+  assert.equal(received.length, 1);
+  assert.doesNotMatch(received[0].body.text, /Rerun/);
+  assert.match(received[0].body.text, /Failed:\n- Account 2 \[meme-sign\]: Token Expired\/Invalid \(auth\)$/m);
+  assert.deepEqual(received[0].body.results.map(result => result.index), [0, 1]);
+});
+
+test('renders custom templates', () => {
+  assert.equal(renderTemplate('{{status}}\\n{{ missing }}{{empty}}\n\n{{failed}} failed', { status: 'OK', failed: 0, empty: '' }), 'OK\n{{ missing }}\n0 failed');
+
+  const { text } = buildCycleNotification(
+    { total: 1, succeeded: 1, failed: 0, skipped: 1, nextRunTimestamp: null },
+    [],
+    '{{status}} {{succeeded}}/{{total}} (+{{reward}}) next: {{nextRun}}'
+  );
+  assert.equal(text, 'OK 1/1 (+0) next: not scheduled');
+});
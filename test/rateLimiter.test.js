@@ -0,0 +1,56 @@
+// test/rateLimiter.test.js
+// Token bucket spacing requests, on a fake clock.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTokenBucket } from '../src/utils/rateLimiter.js';
+
+/**
+ * Fake clock whose sleep advances time instantly and records each wait.
+ * @returns {{now: () => number, sleep: (ms: number) => Promise<void>, sleeps: number[]}}
+ */
+function fakeClock() {
+  let time = 0;
+  const sleeps = [];
+  return {
+    now: () => time,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      time += ms;
+    },
+    sleeps,
+  };
+}
+
+test('lets a burst through, then spaces requests at the configured rate', async () => {
+  const clock = fakeClock();
+  const bucket = createTokenBucket({ ratePerSecond: 4, capacity: 2, now: clock.now, sleep: clock.sleep });
+  const startedAt = [];
+
+  await Promise.all(Array.from({ length: 5 }, () => bucket.take().then(() => startedAt.push(clock.now()))));
+
+  assert.deepEqual(startedAt, [0, 0, 250, 500, 750]);
+  assert.deepEqual(clock.sleeps, [250, 250, 250]);
+});
+
+test('refills while idle, up to capacity', async () => {
+  const clock = fakeClock();
+  const bucket = createTokenBucket({ ratePerSecond: 1, capacity: 2, now: clock.now, sleep: clock.sleep });
+  await bucket.take();
+  await bucket.take();
+  await clock.sleep(10000); // Idle long enough to refill more than capacity
+  clock.sleeps.length = 0;
+
+  await bucket.take();
+  await bucket.take();
+  assert.deepEqual(clock.sleeps, []);
+  await bucket.take();
+  assert.deepEqual(clock.sleeps, [1000]);
+});
+
+test('does not limit when the rate is 0', async () => {
+  const clock = fakeClock();
+  const bucket = createTokenBucket({ ratePerSecond: 0, now: clock.now, sleep: clock.sleep });
+  await Promise.all([bucket.take(), bucket.take(), bucket.take()]);
+  assert.deepEqual(clock.sleeps, []);
+});
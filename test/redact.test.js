@@ -0,0 +1,103 @@
+// test/redact.test.js
+// Secret redaction: patterns, configured secrets, and proof that no full token reaches any output
+// (emitter listeners, headless JSON lines, log files, console).
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import emitter from '../src/events.js';
+import { loadConfig, ConfigError } from '../src/config.js';
+import { redact, redactText, registerSecrets, installConsoleRedaction } from '../src/utils/redact.js';
+import { initializeHeadless, stopHeadless } from '../src/headless.js';
+import { initializeFileLog, stopFileLog } from '../src/utils/logger.js';
+import { performSign, getLastResponse } from '../src/services/apiClient.js';
+
+const token = jwt.sign({ sub: 'user-1' }, 'secret', { expiresIn: '1h' });
+const masked = `${token.slice(0, 3)}...${token.slice(-4)}`;
+
+after(() => {
+  stopHeadless();
+  stopFileLog();
+});
+
+test('masks JWTs and Token/Authorization header values', () => {
+  assert.equal(redactText(`token ${token} rejected`), `token ${masked} rejected`);
+  assert.equal(redactText('Token: abcdef123456'), 'Token: [REDACTED]');
+  assert.equal(redactText('{"token":"abcdef123456","code":1}'), '{"token":"[REDACTED]","code":1}');
+  assert.equal(redactText('Authorization: Bearer abcdef123456'), 'Authorization: Bearer [REDACTED]');
+  // Short values and ordinary words are left alone
+  assert.equal(redactText('Failed to decode token: jwt malformed'), 'Failed to decode token: jwt malformed');
+  assert.equal(redactText('Token is expired.'), 'Token is expired.');
+});
+
+test('redacts registered tokens, secret config values and configured patterns', () => {
+  registerSecrets(['plain-account-token-123']);
+  loadConfig({
+    argv: ['--redact-pattern', 'wallet-[0-9a-f]{8}'],
+    env: { CORESKY_NOTIFY_DISCORD_URL: 'https://discord.example/api/webhooks/42/s3cr3t' },
+    cwd: os.tmpdir(),
+  });
+
+  assert.equal(redactText('using plain-account-token-123'), 'using pla...-123');
+  assert.equal(redactText('POST https://discord.example/api/webhooks/42/s3cr3t failed'), 'POST [REDACTED] failed');
+  assert.equal(redactText('address wallet-0a1b2c3d'), 'address [REDACTED]');
+
+  // Nested values are redacted; untouched values keep their identity
+  const clean = { index: 0, tags: ['a'] };
+  assert.equal(redact(clean), clean);
+  assert.deepEqual(redact({ accounts: [{ message: `bad ${token}` }], total: 1 }), { accounts: [{ message: `bad ${masked}` }], total: 1 });
+
+  assert.throws(
+    () => loadConfig({ argv: ['--redact-pattern', '(unclosed'], env: {}, cwd: os.tmpdir() }),
+    (error) => error instanceof ConfigError && /redactPatterns/.test(error.message)
+  );
+});
+
+test('no full token reaches listeners, headless output, log files or the console', async () => {
+  // An API that echoes the token back in an unexpected body
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'bad request', echo: { Token: req.headers.token } }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-redact-'));
+  loadConfig({ argv: ['--api-base-url', `http://127.0.0.1:${server.address().port}`, '--max-attempts', '1'], env: {}, cwd });
+
+  const outputs = [];
+  const listener = (data) => outputs.push(JSON.stringify(data));
+  emitter.on('log', listener);
+  emitter.on('checkinResult', listener);
+  const fakeConsole = { log: (text) => outputs.push(text), info() {}, warn() {}, error: (text) => outputs.push(text), debug() {} };
+  installConsoleRedaction(fakeConsole);
+
+  try {
+    initializeHeadless({ write: (text) => outputs.push(text) });
+    initializeFileLog();
+
+    const result = await performSign(token, 0, 'Main');
+    assert.equal(result.errorClass, 'schema');
+    emitter.emit('log', { level: 'error', message: `Request failed with headers {"Token":"${token}"}` });
+    emitter.emit('checkinResult', { index: 0, label: 'Main', success: false, message: `rejected ${token}`, reward: 0, isDuplicate: false, errorClass: 'auth', attempts: 1, timestamp: Date.now() });
+    fakeConsole.error(Object.assign(new Error(`crash ${token}`), { config: { headers: { Token: token } } }));
+  } finally {
+    stopHeadless();
+    stopFileLog();
+    emitter.off('log', listener);
+    emitter.off('checkinResult', listener);
+    server.close();
+  }
+
+  const logDir = path.join(cwd, 'logs');
+  fs.readdirSync(logDir).forEach(name => outputs.push(fs.readFileSync(path.join(logDir, name), 'utf8')));
+  outputs.push(fs.readFileSync(path.join(cwd, 'schema-quarantine.jsonl'), 'utf8')); // The unexpected body, kept for later
+
+  assert.ok(outputs.some(output => output.includes('Unexpected API response')));
+  assert.ok(outputs.some(output => output.includes(masked)));
+  outputs.forEach(output => assert.ok(!output.includes(token), `Token leaked in: ${output.slice(0, 200)}`));
+  assert.ok(!JSON.stringify(getLastResponse(token)).includes(token));
+});
@@ -0,0 +1,22 @@
+// test/reportWriter.test.js
+// CSV rendering of cycle reports.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatReportCsv } from '../src/utils/reportWriter.js';
+
+test('renders one row per account and task, and quotes fields with separators', () => {
+  const csv = formatReportCsv({
+    accounts: [
+      { index: 0, label: 'Main, "primary"', maskedToken: 'eyJ...abcd', task: 'meme-sign', outcome: 'checked_in', success: true, reward: 10, errorClass: null, attempts: 1, message: '+10 points', timestamp: Date.UTC(2025, 0, 31, 0, 5) },
+      { index: 1, label: null, maskedToken: 'eyJ...wxyz', task: 'meme-sign', outcome: 'failed', success: false, reward: 0, errorClass: 'server', attempts: 3, message: 'line one\nline two', timestamp: null },
+    ],
+  });
+
+  assert.equal(csv, [
+    'index,label,maskedToken,task,outcome,success,reward,errorClass,attempts,message,timestamp',
+    '0,"Main, ""primary""",eyJ...abcd,meme-sign,checked_in,true,10,,1,+10 points,2025-01-31T00:05:00.000Z',
+    '1,,eyJ...wxyz,meme-sign,failed,false,0,server,3,"line one\nline two",',
+    '',
+  ].join('\n'));
+});
@@ -0,0 +1,146 @@
+// test/schedule.test.js
+// Cron parsing, timezone math (including DST changes), next-run computation and the persisted scheduler state.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import emitter from '../src/events.js';
+import {
+  createSchedule,
+  getNextRunTime,
+  parseCronField,
+  parseCronExpression,
+  dailyTimeToCron,
+  getZonedParts,
+  zonedTimeToTimestamp,
+  loadSchedulerState,
+  saveSchedulerState,
+} from '../src/utils/schedule.js';
+
+const MINUTE = { name: 'minute', min: 0, max: 59 };
+const at = (iso) => Date.parse(iso);
+const iso = (timestamp) => new Date(timestamp).toISOString();
+
+/**
+ * Computes the next run after a fixed time.
+ * @param {object} options - createSchedule() options.
+ * @param {string} after - ISO time.
+ * @returns {string} ISO time of the next run.
+ */
+const nextRun = (options, after) => iso(getNextRunTime(createSchedule(options), at(after)));
+
+test('parses single values, lists, ranges and steps in a cron field', () => {
+  assert.deepEqual(parseCronField('*/15', MINUTE), [0, 15, 30, 45]);
+  assert.deepEqual(parseCronField('1-5', MINUTE), [1, 2, 3, 4, 5]);
+  assert.deepEqual(parseCronField('10-20/5', MINUTE), [10, 15, 20]);
+  assert.deepEqual(parseCronField('5/20', MINUTE), [5, 25, 45]); // From 5 to the end of the range
+  assert.deepEqual(parseCronField('30,1,15,1', MINUTE), [1, 15, 30]);
+
+  assert.throws(() => parseCronField('*/0', MINUTE), /Invalid step "0"/);
+  assert.throws(() => parseCronField('60', MINUTE), /allowed 0-59/);
+  assert.throws(() => parseCronField('20-10', MINUTE), /Invalid value "20-10"/);
+  assert.throws(() => parseCronField('a', MINUTE), /Invalid value "a"/);
+});
+
+test('parses cron expressions and daily times', () => {
+  const cron = parseCronExpression(' 0 9 * * 0,7 ');
+  assert.deepEqual(cron.daysOfWeek, [0]); // 7 is Sunday too
+  assert.equal(cron.domRestricted, false);
+  assert.equal(cron.dowRestricted, true);
+  assert.equal(parseCronExpression('0 9 13 * *').domRestricted, true);
+  assert.throws(() => parseCronExpression('0 9 * *'), /must have 5 fields/);
+
+  assert.equal(dailyTimeToCron('01:00'), '0 1 * * *');
+  assert.equal(dailyTimeToCron('7:05'), '5 7 * * *');
+  assert.throws(() => dailyTimeToCron('24:00'), /HH:MM/);
+  assert.throws(() => dailyTimeToCron('1:5'), /HH:MM/);
+});
+
+test('reads the wall clock of a timestamp in a timezone', () => {
+  assert.deepEqual(getZonedParts(at('2025-01-01T00:00:00Z'), 'UTC'), { year: 2025, month: 1, day: 1, hour: 0, minute: 0, second: 0 });
+  assert.deepEqual(getZonedParts(at('2024-12-31T20:15:30Z'), 'Asia/Kolkata'), { year: 2025, month: 1, day: 1, hour: 1, minute: 45, second: 30 });
+});
+
+test('converts wall-clock times across DST changes', () => {
+  assert.equal(iso(zonedTimeToTimestamp(2025, 1, 1, 0, 5, 'Asia/Kolkata')), '2024-12-31T18:35:00.000Z');
+  assert.equal(iso(zonedTimeToTimestamp(2025, 3, 9, 3, 30, 'America/New_York')), '2025-03-09T07:30:00.000Z'); // Just after the change
+
+  // Spring forward: 02:00-03:00 doesn't exist, so 02:30 moves forward by the gap
+  assert.equal(iso(zonedTimeToTimestamp(2025, 3, 9, 2, 30, 'America/New_York')), '2025-03-09T07:30:00.000Z');
+  assert.equal(iso(zonedTimeToTimestamp(2025, 3, 30, 2, 30, 'Europe/Berlin')), '2025-03-30T01:30:00.000Z');
+
+  // Fall back: the repeated hour resolves to its first occurrence, whichever side of UTC the zone is
+  assert.equal(iso(zonedTimeToTimestamp(2025, 11, 2, 1, 30, 'America/New_York')), '2025-11-02T05:30:00.000Z');
+  assert.equal(iso(zonedTimeToTimestamp(2025, 10, 26, 2, 30, 'Europe/Berlin')), '2025-10-26T00:30:00.000Z');
+});
+
+test('finds the next run strictly after the given time', () => {
+  const daily = { dailyAt: '00:05', timezone: 'UTC' };
+  assert.equal(nextRun(daily, '2025-01-01T00:04:59Z'), '2025-01-01T00:05:00.000Z');
+  assert.equal(nextRun(daily, '2025-01-01T00:05:00Z'), '2025-01-02T00:05:00.000Z');
+  assert.equal(nextRun({ dailyAt: '00:05', timezone: 'Asia/Kolkata' }, '2025-01-01T00:00:00Z'), '2025-01-01T18:35:00.000Z');
+
+  // Every 15 minutes during working hours on weekdays: Friday evening rolls over to Monday
+  const office = { cron: '*/15 9-17 * * 1-5', timezone: 'UTC' };
+  assert.equal(nextRun(office, '2025-01-03T17:40:00Z'), '2025-01-03T17:45:00.000Z');
+  assert.equal(nextRun(office, '2025-01-03T17:45:00Z'), '2025-01-06T09:00:00.000Z');
+
+  // Only reachable in leap years
+  assert.equal(nextRun({ cron: '0 0 29 2 *', timezone: 'UTC' }, '2025-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+  assert.throws(() => getNextRunTime(createSchedule({ cron: '0 0 31 2 *' }), at('2025-01-01T00:00:00Z')), /never matches/);
+});
+
+test('matches either day field when both are restricted, as cron does', () => {
+  // 13th of the month or any Friday (3, 10 and 17 January 2025 are Fridays)
+  const either = { cron: '0 12 13 * 5', timezone: 'UTC' };
+  assert.equal(nextRun(either, '2025-01-01T00:00:00Z'), '2025-01-03T12:00:00.000Z');
+  assert.equal(nextRun(either, '2025-01-10T12:00:00Z'), '2025-01-13T12:00:00.000Z');
+  assert.equal(nextRun(either, '2025-01-13T12:00:00Z'), '2025-01-17T12:00:00.000Z');
+
+  // Only one day field restricted: that one must match
+  assert.equal(nextRun({ cron: '0 12 13 * *', timezone: 'UTC' }, '2025-01-01T00:00:00Z'), '2025-01-13T12:00:00.000Z');
+  assert.equal(nextRun({ cron: '0 12 * * 5', timezone: 'UTC' }, '2025-01-04T00:00:00Z'), '2025-01-10T12:00:00.000Z');
+});
+
+test('runs once a day across spring-forward and fall-back dates', () => {
+  // 2025-03-09 in New York: 02:30 doesn't exist and runs at 03:30 EDT
+  const springDaily = { dailyAt: '02:30', timezone: 'America/New_York' };
+  assert.equal(nextRun(springDaily, '2025-03-09T05:00:00Z'), '2025-03-09T07:30:00.000Z');
+  assert.equal(nextRun(springDaily, '2025-03-09T07:30:00Z'), '2025-03-10T06:30:00.000Z');
+
+  // 2025-11-02 in New York: 01:30 happens twice; only the first one runs
+  const fallDaily = { dailyAt: '01:30', timezone: 'America/New_York' };
+  assert.equal(nextRun(fallDaily, '2025-11-02T04:00:00Z'), '2025-11-02T05:30:00.000Z');
+  assert.equal(nextRun(fallDaily, '2025-11-02T05:30:00Z'), '2025-11-03T06:30:00.000Z');
+  assert.equal(nextRun(fallDaily, '2025-11-02T06:10:00Z'), '2025-11-03T06:30:00.000Z'); // 01:10 the second time round
+});
+
+test('saves and restores the planned run, and ignores a missing or corrupt state file', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-schedule-'));
+  const statePath = path.join(tempDir, 'scheduler-state.json');
+  const logs = [];
+  const onLog = (log) => logs.push(log);
+  emitter.on('log', onLog);
+  try {
+    assert.deepEqual(loadSchedulerState(statePath), { nextRunTimestamp: null });
+    assert.equal(logs.length, 0); // Missing is normal on a first start
+
+    saveSchedulerState(statePath, { nextRunTimestamp: 1738282000000 });
+    assert.deepEqual(loadSchedulerState(statePath), { nextRunTimestamp: 1738282000000 });
+    assert.ok(Number.isFinite(JSON.parse(fs.readFileSync(statePath, 'utf8')).savedAt));
+
+    fs.writeFileSync(statePath, JSON.stringify({ nextRunTimestamp: 'tomorrow' }));
+    assert.deepEqual(loadSchedulerState(statePath), { nextRunTimestamp: null });
+
+    fs.writeFileSync(statePath, '{"nextRunTimestamp": 17382');
+    assert.deepEqual(loadSchedulerState(statePath), { nextRunTimestamp: null });
+    assert.ok(logs.some(log => log.level === 'error' && log.message.startsWith(`Failed to read scheduler state ${statePath}`)));
+
+    saveSchedulerState(path.join(tempDir, 'missing', 'state.json'), { nextRunTimestamp: 1 });
+    assert.ok(logs.some(log => log.level === 'error' && log.message.startsWith('Failed to save scheduler state')));
+  } finally {
+    emitter.off('log', onLog);
+  }
+});
@@ -0,0 +1,96 @@
+// test/schemaDrift.test.js
+// Response schema checks, and the API drift warning when several accounts get unexpected responses.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { startMockServer } from '../scripts/mockServer.js';
+import emitter from '../src/events.js';
+import { findSchemaMismatches, assertResponseSchema } from '../src/services/responseSchema.js';
+import { SignError } from '../src/services/errors.js';
+
+const makeToken = (sub) => jwt.sign({ sub }, 'secret', { expiresIn: '1h' });
+const tokens = { first: makeToken('first'), second: makeToken('second'), fine: makeToken('fine') };
+
+let mock;
+let tempDir;
+let bot;
+
+before(async () => {
+  mock = await startMockServer({ scenario: (token) => (token === tokens.fine ? 'reward' : 'drift') });
+
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-drift-'));
+  fs.writeFileSync(path.join(tempDir, 'wallet.txt'), [`First|${tokens.first}`, tokens.fine, `Second|${tokens.second}`].join('\n'));
+  process.chdir(tempDir);
+
+  process.env.CORESKY_API_BASE_URL = mock.url;
+  process.env.CORESKY_ACCOUNT_DELAY_MS = '0';
+  process.env.CORESKY_LOG_TO_FILE = 'false';
+  bot = await import('../src/botLogic.js');
+});
+
+after(async () => {
+  bot.stopBot();
+  await mock.close();
+});
+
+const schema = {
+  type: 'object',
+  required: ['code', 'items'],
+  properties: {
+    code: { type: 'integer' },
+    note: { type: ['string', 'null'] },
+    items: { type: 'array', items: { type: 'number', minimum: 0 } },
+  },
+};
+
+test('lists every mismatch and allows extra properties', () => {
+  assert.deepEqual(findSchemaMismatches({ code: 1, note: null, items: [1, 2], extra: true }, schema), []);
+  assert.deepEqual(findSchemaMismatches({ code: 1.5, note: 3, items: [1, -1, '2'] }, schema), [
+    'body.code should be integer, got number',
+    'body.note should be string or null, got number',
+    'body.items[1] should be at least 0, got -1',
+    'body.items[2] should be number, got string',
+  ]);
+  assert.deepEqual(findSchemaMismatches('<html>', schema), ['body should be object, got string']);
+  assert.deepEqual(findSchemaMismatches({}, schema), ['body.code is missing', 'body.items is missing']);
+});
+
+test('assertResponseSchema throws a schema SignError naming the first mismatches', () => {
+  assert.doesNotThrow(() => assertResponseSchema({ code: 1, items: [] }, schema));
+  assert.throws(
+    () => assertResponseSchema({ note: 1, items: [-1, -2, -3] }, schema),
+    (error) => error instanceof SignError && error.errorClass === 'schema'
+      && error.message === 'Response schema drift: body.code is missing; body.note should be string or null, got number; body.items[0] should be at least 0, got -1 (+2 more)'
+  );
+});
+
+test('a cycle with drift on several accounts raises the API drift warning', async () => {
+  const reports = [];
+  const logs = [];
+  const onReport = (report) => reports.push(report);
+  const onLog = (log) => logs.push(log);
+  emitter.on('cycleComplete', onReport);
+  emitter.on('log', onLog);
+  try {
+    await bot.runOnce();
+  } finally {
+    emitter.off('cycleComplete', onReport);
+    emitter.off('log', onLog);
+  }
+
+  const [report] = reports;
+  assert.deepEqual(report.accounts.map(account => account.outcome), ['schema_drift', 'checked_in', 'schema_drift']);
+  assert.equal(report.schemaDrift, 2);
+  assert.equal(report.driftAlert, true);
+  assert.equal(report.failed, 2);
+  assert.ok(logs.some(log => log.level === 'error' && log.message.startsWith('🧬 API drift: 2 account(s)')));
+
+  // Both bodies are quarantined, and schema errors aren't retried
+  const quarantined = fs.readFileSync(path.join(tempDir, 'schema-quarantine.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(quarantined.map(entry => entry.label), ['First', 'Second']);
+  assert.equal(mock.requests.length, 3);
+});
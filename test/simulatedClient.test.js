@@ -0,0 +1,109 @@
+// test/simulatedClient.test.js
+// Dry runs: simulated outcomes through performTask() and the marking of simulated events.
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockServer } from '../scripts/mockServer.js';
+import emitter, { setSimulated } from '../src/events.js';
+import { loadConfig, ConfigError } from '../src/config.js';
+import { performTask } from '../src/services/apiClient.js';
+import { memeSignTask } from '../src/tasks/memeSign.js';
+
+let mock;
+let tempDir;
+
+before(async () => {
+  mock = await startMockServer({ rewardPoint: 25 });
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-dry-run-'));
+});
+
+after(() => {
+  mock.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mock.requests.length = 0;
+});
+
+/**
+ * Loads a dry-run config pointed at the mock server.
+ * @param {string[]} argv Extra flags.
+ */
+const loadDryRunConfig = (argv) => loadConfig({
+  argv: ['--dry-run', '--api-base-url', mock.url, '--retry-base-ms', '10', ...argv],
+  env: {},
+  cwd: tempDir,
+});
+
+/**
+ * Runs the meme sign-in a few times and returns what each run ended with.
+ * @param {number} runs
+ */
+async function runTimes(runs) {
+  const outcomes = [];
+  for (let run = 0; run < runs; run++) {
+    const result = await performTask(memeSignTask, 'token-abc', 0);
+    outcomes.push(result.success ? (result.isDuplicate ? 'duplicate' : 'reward') : result.errorClass);
+  }
+  return outcomes;
+}
+
+test('uses scripted outcomes in turn without calling the API', async () => {
+  loadDryRunConfig(['--dry-run-outcomes', 'reward,duplicate,auth', '--max-attempts', '1']);
+
+  assert.deepEqual(await runTimes(4), ['reward', 'duplicate', 'auth', 'reward']);
+  assert.equal(mock.requests.length, 0);
+});
+
+test('retries simulated transient failures like real ones', async () => {
+  loadDryRunConfig(['--dry-run-outcomes', 'server,timeout,reward', '--max-attempts', '3']);
+
+  const result = await performTask(memeSignTask, 'token-abc', 0);
+  assert.equal(result.success, true);
+  assert.equal(result.attempts, 3);
+  assert.equal(mock.requests.length, 0);
+});
+
+test('repeats random outcomes for the same seed', async () => {
+  loadDryRunConfig(['--dry-run-seed', '42', '--max-attempts', '1']);
+  const first = await runTimes(5);
+  loadDryRunConfig(['--dry-run-seed', '42', '--max-attempts', '1']);
+
+  assert.deepEqual(await runTimes(5), first);
+  assert.equal(mock.requests.length, 0);
+});
+
+test('rejects unknown scripted outcomes', () => {
+  assert.throws(
+    () => loadDryRunConfig(['--dry-run-outcomes', 'reward,jackpot']),
+    (error) => error instanceof ConfigError && /"dryRunOutcomes".*got "jackpot"/.test(error.message)
+  );
+});
+
+test('marks every event while simulating', () => {
+  const events = [];
+  const onLog = (log) => events.push(log);
+  const onResult = (result) => events.push(result);
+  emitter.on('log', onLog);
+  emitter.on('checkinResult', onResult);
+  setSimulated(true);
+  try {
+    emitter.emit('log', { level: 'info', message: 'Signing in' });
+    emitter.emit('checkinResult', { index: 0, success: true });
+  } finally {
+    setSimulated(false);
+  }
+  emitter.emit('log', { level: 'info', message: 'Real again' });
+  emitter.off('log', onLog);
+  emitter.off('checkinResult', onResult);
+
+  assert.deepEqual(events, [
+    { level: 'info', message: '[DRY RUN] Signing in', simulated: true },
+    { index: 0, success: true, simulated: true },
+    { level: 'info', message: 'Real again' },
+  ]);
+});
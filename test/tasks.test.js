@@ -0,0 +1,98 @@
+// test/tasks.test.js
+// Task plugin registry and the built-in meme sign-in task.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../src/config.js';
+import { loadHistory, recordCheckin, hasCheckedInToday, getLastCheckin } from '../src/utils/historyStore.js';
+import { DEFAULT_TASK, registerTask, unregisterTask, getTask, listTasks, resolveTasks } from '../src/tasks/registry.js';
+import { memeSignTask } from '../src/tasks/memeSign.js';
+import { SignError } from '../src/services/errors.js';
+
+const quizTask = {
+  name: 'daily-quiz',
+  title: 'Daily quiz',
+  schedule: 'every-cycle',
+  buildRequest: () => ({ method: 'POST', path: '/api/taskwall/quiz/answer', data: { answer: 1 } }),
+  interpretResponse: () => ({ reward: 5, isDuplicate: false }),
+};
+
+test('registers, resolves and removes task plugins', () => {
+  assert.equal(DEFAULT_TASK, 'meme-sign');
+  assert.equal(getTask('meme-sign'), memeSignTask);
+
+  registerTask(quizTask);
+  try {
+    assert.deepEqual(listTasks().map(task => task.name), ['meme-sign', 'daily-quiz']);
+    const { tasks, unknown } = resolveTasks(['daily-quiz', 'nope', 'meme-sign', 'daily-quiz']);
+    assert.deepEqual(tasks.map(task => task.name), ['daily-quiz', 'meme-sign']);
+    assert.deepEqual(unknown, ['nope']);
+    assert.throws(() => registerTask(quizTask), /already registered/);
+  } finally {
+    assert.equal(unregisterTask('daily-quiz'), true);
+  }
+  assert.equal(getTask('daily-quiz'), null);
+});
+
+test('rejects incomplete plugins', () => {
+  assert.throws(() => registerTask({ ...quizTask, name: 'Bad Name' }), /lowercase "name"/);
+  assert.throws(() => registerTask({ ...quizTask, schedule: 'hourly' }), /"schedule"/);
+  assert.throws(() => registerTask({ ...quizTask, interpretResponse: undefined }), /interpretResponse/);
+  assert.equal(getTask('daily-quiz'), null);
+});
+
+test('meme sign-in reads rewards, duplicates and API errors', () => {
+  assert.deepEqual(memeSignTask.buildRequest(), { method: 'POST', path: '/api/taskwall/meme/sign', data: {} });
+
+  const interpret = (data) => memeSignTask.interpretResponse({ status: 200, data });
+  assert.deepEqual(interpret({ code: 200, debug: { task: { rewardPoint: 10 } } }), { reward: 10, isDuplicate: false, message: '+10 points' });
+  assert.deepEqual(interpret({ code: 200, debug: { task: {} } }), { reward: 0, isDuplicate: true, message: 'Already checked in' });
+  assert.equal(interpret({ code: 200, debug: { task: { rewardPoint: null } } }).isDuplicate, true);
+  assert.equal(interpret({ code: 200, debug: { task: { rewardPoint: 0 } } }).isDuplicate, true);
+
+  const errorClassOf = (data) => {
+    try {
+      interpret(data);
+    } catch (error) {
+      assert.ok(error instanceof SignError);
+      return error.errorClass;
+    }
+    return null;
+  };
+  assert.equal(errorClassOf({ code: 403, message: 'Forbidden' }), 'auth');
+  assert.equal(errorClassOf({ code: 500 }), 'api_code');
+  assert.equal(errorClassOf('<html>'), 'schema');
+  // A changed response shape is schema drift, not a duplicate
+  assert.equal(errorClassOf({ code: 200, debug: {} }), 'schema');
+  assert.equal(errorClassOf({ code: 200 }), 'schema');
+  assert.equal(errorClassOf({ code: 200, data: { task: { rewardPoint: 25 } } }), 'schema');
+  assert.equal(errorClassOf({ code: 200, debug: { reward: 5 } }), 'schema');
+  assert.equal(errorClassOf({ code: 200, debug: { task: { rewardPoint: '10' } } }), 'schema');
+  assert.equal(errorClassOf({ code: '200', debug: { task: { rewardPoint: 10 } } }), 'schema');
+});
+
+test('history tracks each task separately, and older records count as meme sign-ins', () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-tasks-'));
+  loadConfig({ env: {}, cwd });
+  loadHistory();
+  const now = Date.UTC(2025, 0, 31, 12);
+
+  recordCheckin('token-a', { task: 'daily-quiz', success: true, isDuplicate: false, reward: 5, message: '+5 points', timestamp: now - 1000 });
+  assert.equal(hasCheckedInToday('token-a', now, 'daily-quiz'), true);
+  assert.equal(hasCheckedInToday('token-a', now, 'meme-sign'), false);
+  assert.equal(hasCheckedInToday('token-a', now), true); // Any task
+
+  const historyPath = path.join(cwd, 'checkin-history.json');
+  const saved = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+  const [account] = Object.values(saved.accounts);
+  account.records.unshift({ timestamp: now - 2000, day: '2025-01-31', success: true, isDuplicate: false, reward: 10, message: '+10 points', errorClass: null });
+  fs.writeFileSync(historyPath, JSON.stringify(saved));
+  loadHistory();
+
+  assert.equal(hasCheckedInToday('token-a', now, 'meme-sign'), true);
+  assert.equal(getLastCheckin('token-a', 'meme-sign').task, 'meme-sign');
+  assert.equal(getLastCheckin('token-a').task, 'daily-quiz');
+});
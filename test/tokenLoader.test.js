@@ -0,0 +1,103 @@
+// test/tokenLoader.test.js
+// loadApiKeys(), loadAccounts() and maskToken() using a temporary working directory.
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+let tempDir;
+let loadApiKeys;
+let loadAccounts;
+let selectActiveAccounts;
+let diffAccounts;
+let emitter;
+let maskToken;
+let redactToken;
+let loadConfig;
+
+before(async () => {
+  // The wallet path is resolved from the working directory when the module loads
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-tokens-'));
+  process.chdir(tempDir);
+  ({ loadApiKeys, loadAccounts, selectActiveAccounts, diffAccounts, maskToken, redactToken } = await import('../src/utils/tokenLoader.js'));
+  ({ loadConfig } = await import('../src/config.js'));
+  ({ default: emitter } = await import('../src/events.js'));
+});
+
+test('returns an empty list when wallet.txt is missing', () => {
+  assert.deepEqual(loadApiKeys(), []);
+  assert.equal(loadAccounts(), null); // A failed read, unlike a wallet without accounts
+});
+
+test('skips blank lines and comments and trims whitespace', () => {
+  fs.writeFileSync(path.join(tempDir, 'wallet.txt'), '# my accounts\n\n  token-one  \r\ntoken-two\n#token-three\n');
+  assert.deepEqual(loadApiKeys(), ['token-one', 'token-two']);
+});
+
+test('reads optional labels from "label|token" lines', () => {
+  fs.writeFileSync(path.join(tempDir, 'wallet.txt'), 'Main wallet|token-one\ntoken-two\n');
+  const accounts = loadAccounts();
+
+  assert.deepEqual(accounts.map(a => [a.index, a.label, a.token]), [[0, 'Main wallet', 'token-one'], [1, null, 'token-two']]);
+  assert.deepEqual(loadApiKeys(), ['token-one', 'token-two']);
+});
+
+test('reads structured JSON accounts and skips invalid entries', () => {
+  fs.writeFileSync(path.join(tempDir, 'accounts.json'), JSON.stringify({
+    accounts: [
+      { label: 'Main', token: 'token-one', tags: ['main', 'daily'], notes: 'primary' },
+      { token: 'token-two', enabled: false },
+      { label: 'Broken' },
+      { label: 'Alt', token: 'token-three', tags: ['alt'] },
+    ],
+  }));
+  loadConfig({ argv: ['--wallet', 'accounts.json'], env: {}, cwd: tempDir });
+
+  const accounts = loadAccounts();
+  assert.deepEqual(accounts.map(a => a.token), ['token-one', 'token-two', 'token-three']);
+  assert.equal(accounts[0].notes, 'primary');
+  assert.equal(accounts[1].enabled, false);
+
+  assert.deepEqual(selectActiveAccounts(accounts).map(a => a.label), ['Main', 'Alt']);
+  assert.deepEqual(selectActiveAccounts(accounts, ['alt']).map(a => a.label), ['Alt']);
+  assert.deepEqual(selectActiveAccounts(accounts, ['nope']), []);
+
+  loadConfig({ env: {}, cwd: tempDir }); // Back to wallet.txt
+});
+
+test('flags and warns about labels shared by several accounts', () => {
+  loadConfig({ env: {}, cwd: tempDir });
+  fs.writeFileSync(path.join(tempDir, 'wallet.txt'), 'Main|token-one\nMain|token-two\nAlt|token-three\ntoken-four\n');
+  const logs = [];
+  const onLog = (log) => logs.push(log);
+  emitter.on('log', onLog);
+  let accounts;
+  try {
+    accounts = loadAccounts();
+  } finally {
+    emitter.off('log', onLog);
+  }
+
+  assert.deepEqual(accounts.map(a => a.sharedLabel), [true, true, false, false]);
+  assert.deepEqual(logs.filter(log => log.level === 'warn').map(log => log.message.split('.')[0]), ['Label "Main" is used by more than one account in wallet']);
+
+  // Told apart by token: refreshing one of them is a removal plus an addition, not a replacement
+  const refreshed = accounts.map(a => (a.token === 'token-two' ? { ...a, token: 'token-two-new' } : a));
+  const { added, removed, replaced } = diffAccounts(accounts, refreshed);
+  assert.deepEqual([added.map(a => a.token), removed.map(a => a.token), replaced], [['token-two-new'], ['token-two'], []]);
+});
+
+test('masks tokens for display', () => {
+  assert.equal(maskToken('eyJhbGciOiJIUzI1NiJ9.payload.sig1234'), 'eyJ...1234');
+  assert.equal(maskToken('short'), '***');
+});
+
+test('redacts a token wherever it appears in API data', () => {
+  const token = 'eyJhbGciOiJIUzI1NiJ9.payload.sig1234';
+  const data = { message: `bad token ${token}`, debug: { headers: [token, 'other'], code: 401 } };
+
+  assert.deepEqual(redactToken(data, token), { message: 'bad token eyJ...1234', debug: { headers: ['eyJ...1234', 'other'], code: 401 } });
+  assert.equal(data.debug.headers[0], token); // The original is left untouched
+});
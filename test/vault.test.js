@@ -0,0 +1,112 @@
+// test/vault.test.js
+// Encrypted token vault: encryption round trip, wrong passphrase and tampering, the import/rotate
+// commands, and accounts loaded transparently from an unlocked vault.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import emitter from '../src/events.js';
+import { loadConfig } from '../src/config.js';
+import { loadAccounts } from '../src/utils/tokenLoader.js';
+import { VaultError, encryptVault, decryptVault, readVault, unlockVault, lockVault } from '../src/utils/vault.js';
+import { runVaultCommand } from '../src/commands/vault.js';
+
+// Cheap scrypt parameters keep the tests fast; the commands use the real defaults
+const FAST_KDF = { N: 1024, r: 8, p: 1 };
+
+after(() => lockVault());
+
+test('encrypts and decrypts wallet content', () => {
+  const vault = encryptVault('Main|token-one\n', 'correct horse', { format: 'text', kdfParams: FAST_KDF });
+
+  assert.ok(!JSON.stringify(vault).includes('token-one'));
+  assert.deepEqual(decryptVault(vault, 'correct horse'), { content: 'Main|token-one\n', format: 'text' });
+  // Same content and passphrase, fresh salt and IV
+  assert.notEqual(encryptVault('Main|token-one\n', 'correct horse', { kdfParams: FAST_KDF }).data, vault.data);
+});
+
+test('rejects a wrong passphrase and any tampering', () => {
+  const vault = encryptVault('[{"token":"token-one"}]', 'correct horse', { format: 'json', kdfParams: FAST_KDF });
+  const rejects = (candidate, passphrase = 'correct horse') =>
+    assert.throws(() => decryptVault(candidate, passphrase), (error) => error instanceof VaultError && /wrong passphrase/.test(error.message));
+
+  rejects(vault, 'wrong horse');
+  rejects(vault, '');
+  const data = Buffer.from(vault.data, 'base64');
+  data[0] ^= 1;
+  rejects({ ...vault, data: data.toString('base64') });
+  rejects({ ...vault, format: 'text' }); // The header is authenticated too
+  assert.throws(() => decryptVault({ ...vault, version: 2 }, 'correct horse'), /Unsupported vault format/);
+  assert.throws(() => encryptVault('x', ''), VaultError);
+});
+
+test('imports the wallet, rotates the passphrase and loads accounts from the vault', async () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-vault-'));
+  const walletFile = path.join(cwd, 'wallet.txt');
+  const vaultFile = path.join(cwd, 'wallet.vault');
+  fs.writeFileSync(walletFile, 'Main|token-one\ntoken-two\n');
+  const printed = [];
+  const print = (message) => printed.push(message);
+
+  loadConfig({ argv: [], env: {}, cwd });
+  await runVaultCommand(['import'], { env: { CORESKY_VAULT_PASSPHRASE: 'first pass' }, print });
+  assert.match(printed[0], /Imported 2 account\(s\)/);
+  assert.equal(fs.statSync(vaultFile).mode & 0o777, 0o600);
+  assert.ok(!fs.readFileSync(vaultFile, 'utf8').includes('token-one'));
+
+  // An existing vault is only replaced with --force
+  await assert.rejects(runVaultCommand(['import'], { env: { CORESKY_VAULT_PASSPHRASE: 'other' }, print }), /already exists/);
+  await assert.rejects(runVaultCommand(['export'], { env: {}, print }), /Unknown vault command/);
+
+  await runVaultCommand(['rotate'], { env: { CORESKY_VAULT_PASSPHRASE: 'first pass', CORESKY_VAULT_NEW_PASSPHRASE: 'second pass' }, print });
+  assert.throws(() => readVault(vaultFile, 'first pass'), VaultError);
+  assert.equal(readVault(vaultFile, 'second pass').content, 'Main|token-one\ntoken-two\n');
+  await assert.rejects(runVaultCommand(['rotate'], { env: { CORESKY_VAULT_PASSPHRASE: 'first pass', CORESKY_VAULT_NEW_PASSPHRASE: 'x' }, print }), VaultError);
+
+  // With vaultFile set, the plaintext wallet is no longer read
+  fs.unlinkSync(walletFile);
+  loadConfig({ argv: ['--vault', 'wallet.vault'], env: {}, cwd });
+  lockVault();
+  assert.equal(loadAccounts(), null); // Locked: nothing loads
+  unlockVault(vaultFile, 'second pass');
+  assert.deepEqual(loadAccounts().map(account => [account.label, account.token]), [['Main', 'token-one'], [null, 'token-two']]);
+});
+
+test('a running bot keeps its accounts when the vault is rotated under it', async () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-vault-rotated-'));
+  const vaultFile = path.join(cwd, 'wallet.vault');
+  fs.writeFileSync(vaultFile, JSON.stringify(encryptVault('Main|token-one\n', 'first pass', { kdfParams: FAST_KDF })));
+  loadConfig({ argv: ['--vault', 'wallet.vault'], env: {}, cwd });
+  unlockVault(vaultFile, 'first pass');
+  assert.equal(loadAccounts().length, 1);
+
+  await runVaultCommand(['rotate'], { env: { CORESKY_VAULT_PASSPHRASE: 'first pass', CORESKY_VAULT_NEW_PASSPHRASE: 'second pass' }, print() {} });
+
+  // What a hot reload sees: a failed read (callers keep their accounts), with the reason spelled out
+  const logs = [];
+  const onLog = (log) => logs.push(log);
+  emitter.on('log', onLog);
+  try {
+    assert.equal(loadAccounts(), null);
+  } finally {
+    emitter.off('log', onLog);
+  }
+  assert.ok(logs.some(log => log.level === 'error' && log.message.includes('no longer opens with the passphrase the bot was started with')
+    && log.message.includes('vault rotate')));
+  lockVault();
+});
+
+test('import reports a malformed JSON wallet as a vault error', async () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'coresky-vault-json-'));
+  const walletFile = path.join(cwd, 'wallet.json');
+  const env = { CORESKY_VAULT_PASSPHRASE: 'pass' };
+  loadConfig({ argv: ['--wallet', 'wallet.json'], env: {}, cwd });
+
+  fs.writeFileSync(walletFile, '[{"token": ');
+  await assert.rejects(runVaultCommand(['import'], { env, print() {} }), (error) => error instanceof VaultError && /wallet\.json is not valid JSON/.test(error.message));
+  fs.writeFileSync(walletFile, '{"wallets": []}');
+  await assert.rejects(runVaultCommand(['import'], { env, print() {} }), (error) => error instanceof VaultError && /"accounts" array/.test(error.message));
+  assert.ok(!fs.existsSync(path.join(cwd, 'wallet.vault')));
+});
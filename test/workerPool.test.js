@@ -0,0 +1,59 @@
+// test/workerPool.test.js
+// Bounded-concurrency worker pool: ordering, the concurrency bound and stopping early.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runPool } from '../src/utils/workerPool.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('never runs more than `concurrency` items at once and reports in list order', async () => {
+  let running = 0;
+  let peak = 0;
+  const reported = [];
+  const delays = [40, 5, 25, 5, 10, 0];
+
+  const { results, started } = await runPool(delays, async (delay, position) => {
+    running++;
+    peak = Math.max(peak, running);
+    await wait(delay);
+    running--;
+    return position * 10;
+  }, { concurrency: 3, onResult: (result, position) => reported.push([position, result]) });
+
+  assert.equal(peak, 3);
+  assert.equal(started, 6);
+  assert.deepEqual(results, [0, 10, 20, 30, 40, 50]);
+  assert.deepEqual(reported, results.map((result, position) => [position, result]));
+});
+
+test('starts no new items once shouldStop is true and tells workers whether more are waiting', async () => {
+  let stop = false;
+  const hasNextSeen = [];
+  const { results, started } = await runPool(['a', 'b', 'c', 'd'], async (item, position, hasNext) => {
+    hasNextSeen.push(hasNext());
+    if (item === 'b') stop = true;
+    return item;
+  }, { shouldStop: () => stop });
+
+  assert.equal(started, 2);
+  assert.deepEqual(results, ['a', 'b', undefined, undefined]);
+  assert.deepEqual(hasNextSeen, [true, true]);
+
+  const last = [];
+  await runPool([1, 2], (item, position, hasNext) => last.push(hasNext()));
+  assert.deepEqual(last, [true, false]);
+});
+
+test('rejects with the first worker error after the running items finish', async () => {
+  const finished = [];
+  await assert.rejects(
+    runPool([1, 2, 3, 4], async (item) => {
+      if (item === 1) throw new Error('boom');
+      await wait(10);
+      finished.push(item);
+    }, { concurrency: 2 }),
+    /boom/
+  );
+  assert.deepEqual(finished, [2]); // Item 2 was already running; 3 and 4 never started
+});